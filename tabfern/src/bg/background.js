@@ -137,6 +137,49 @@ chrome.contextMenus.create({
     contexts: ['browser_action'], onclick: editNoteOnClick
 });
 
+/// How many times to ask the view where a page is, while it loads
+const FIND_PAGE_TRIES = 20;
+const FIND_PAGE_RETRY_MS = 500;
+
+/// Ask the view where #url is saved.  If the view isn't open, open it,
+/// and keep asking until it has loaded the tree.
+/// @param url {String} The URL
+/// @param by_site {Boolean} If truthy, look for the site rather than the page
+/// @param tab_id {Number} The tab #url is from, which the view skips
+function findPageInView(url, by_site, tab_id, tries_left = FIND_PAGE_TRIES)
+{
+    chrome.runtime.sendMessage({msg: MSG_FIND_PAGE, url, by_site, tab_id},
+        function(resp){
+            if(!isLastError() && resp && resp.response) return;
+
+            // No one answered, or the view isn't ready yet
+            if(tries_left <= 1) return;     // Give up
+            if(tries_left === FIND_PAGE_TRIES && viewWindowID === undefined) {
+                loadView();
+            }
+            setTimeout(()=>{
+                findPageInView(url, by_site, tab_id, tries_left - 1);
+            }, FIND_PAGE_RETRY_MS);
+        }
+    );
+} //findPageInView
+
+function findPageOnClick(info, tab)
+{
+    if(!tab.url) return;
+    findPageInView(tab.url, info.menuItemId === 'findSite', tab.id);
+} //findPageOnClick
+
+chrome.contextMenus.create({
+    id: 'findPage', title: _T('menuWhereIsThisPage'),
+    contexts: ['browser_action'], onclick: findPageOnClick
+});
+
+chrome.contextMenus.create({
+    id: 'findSite', title: _T('menuWhereIsThisSite'),
+    contexts: ['browser_action'], onclick: findPageOnClick
+});
+
 //////////////////////////////////////////////////////////////////////////
 // Messages //
 
@@ -162,6 +205,223 @@ function messageListener(request, sender, sendResponse)
 
 chrome.runtime.onMessage.addListener(messageListener);
 
+//////////////////////////////////////////////////////////////////////////
+// Automatic backups //
+
+const AUTO_BACKUP_ALARM = 'tabfern-auto-backup';
+
+/// Where the view keeps the save data.  Same as K.STORAGE_KEY in
+/// src/view/const.js, which isn't loaded here.
+const SAVE_DATA_KEY = 'tabfern-data';
+
+/// Backups being downloaded.  Download ID => {url, time}.
+let autoBackupDownloads = {};
+
+/// Whether we have added the alarm and download listeners.  We can't
+/// until we have the AUTO_BACKUP_PERMISSIONS.
+let autoBackupListenersAdded = false;
+
+/// Update the stored status of the automatic backups.
+/// @param update_fn {function} Called as update_fn(status), and should
+///                             modify #status in place.
+function updateAutoBackupStatus(update_fn)
+{
+    chrome.storage.local.get(AUTO_BACKUP_STATUS_KEY, function(items) {
+        let status = (!isLastError() && items[AUTO_BACKUP_STATUS_KEY]) || {};
+        if(!Array.isArray(status.files)) status.files = [];
+        update_fn(status);
+        chrome.storage.local.set({[AUTO_BACKUP_STATUS_KEY]: status},
+                                    ignore_chrome_error);
+    });
+} //updateAutoBackupStatus()
+
+/// Set the backup alarm to match the settings, or clear it if automatic
+/// backups are disabled.  If a backup is overdue, run it soon.
+/// Does nothing without the AUTO_BACKUP_PERMISSIONS, since then there
+/// can't be an alarm.
+/// @param restart {Boolean=false} If truthy, clear the alarm first
+function scheduleAutoBackup(restart = false)
+{
+    chrome.permissions.contains(AUTO_BACKUP_PERMISSIONS, function(granted) {
+        if(isLastError() || !granted) return;
+        addAutoBackupListeners();
+
+        if(restart) {
+            chrome.alarms.clear(AUTO_BACKUP_ALARM, setAutoBackupAlarm);
+        } else {
+            setAutoBackupAlarm();
+        }
+    });
+} //scheduleAutoBackup()
+
+/// The guts of scheduleAutoBackup()
+function setAutoBackupAlarm()
+{
+    if(!getBoolSetting(CFG_AUTO_BACKUP)) {
+        chrome.alarms.clear(AUTO_BACKUP_ALARM);
+        return;
+    }
+
+    let period = Number(getStringSetting(CFGS_AUTO_BACKUP_HOURS)) * 60;
+    if(!(period > 0)) period = Number(CFG_DEFAULTS[CFGS_AUTO_BACKUP_HOURS]) * 60;
+
+    chrome.alarms.get(AUTO_BACKUP_ALARM, function(alarm) {
+        if(alarm && alarm.periodInMinutes === period) return;   // Already set
+
+        chrome.storage.local.get(AUTO_BACKUP_STATUS_KEY, function(items) {
+            let status = (!isLastError() && items[AUTO_BACKUP_STATUS_KEY]) || {};
+            let since = status.last_success ?
+                (Date.now() - status.last_success)/60000 : Infinity;
+
+            chrome.alarms.create(AUTO_BACKUP_ALARM, {
+                delayInMinutes: Math.max(1, period - since),
+                periodInMinutes: period,
+            });
+            console.log(`TabFern: automatic backups every ${period} min.`);
+        });
+    });
+} //setAutoBackupAlarm()
+
+/// Record a failed backup
+function autoBackupFailed(why)
+{
+    console.log({'TabFern: automatic backup failed': why});
+    updateAutoBackupStatus((status)=>{
+        status.last_error = String(why);
+    });
+} //autoBackupFailed()
+
+/// Write a backup of the save data to the Downloads folder.
+function runAutoBackup()
+{
+    updateAutoBackupStatus((status)=>{ status.last_attempt = Date.now(); });
+
+    chrome.permissions.contains(AUTO_BACKUP_PERMISSIONS, function(granted) {
+        if(isLastError() || !granted) {
+            autoBackupFailed('TabFern does not have permission to save downloads');
+        } else {
+            writeAutoBackup();
+        }
+    });
+} //runAutoBackup()
+
+/// The guts of runAutoBackup()
+function writeAutoBackup()
+{
+    SaveStorage.read(SAVE_DATA_KEY, function(err, stored) {
+        if(err || !stored.data) {
+            autoBackupFailed(err ? err.message :
+                stored.error ? stored.error.message : 'No save data');
+            return;
+        }
+
+        // Backups are always plain save data, so they can be loaded
+        // anywhere, and so people can read them.
+        let save_data = stored.data;
+
+        let now = Date.now();
+        let date_tag = new Date(now).toISOString().replace(/:/g,'.');
+            // Same as hamBackup() in src/view/tree.js
+        let folder = CFG_VALIDATORS[CFGS_AUTO_BACKUP_FOLDER](
+                        getStringSetting(CFGS_AUTO_BACKUP_FOLDER));
+            // The validator also cleans up the value, e.g., "foo/" => "foo"
+        if(folder === undefined) {
+            folder = CFG_DEFAULTS[CFGS_AUTO_BACKUP_FOLDER];
+        }
+        let filename = (folder ? folder + '/' : '') +
+                        `TabFern backup ${date_tag}.tabfern`;
+
+        let blob = new Blob([JSON.stringify(save_data)],
+                            {type: 'application/json'});
+        let url = URL.createObjectURL(blob);
+
+        chrome.downloads.download(
+            {url, filename, conflictAction: 'uniquify', saveAs: false},
+            function(download_id) {
+                if(isLastError() || download_id === undefined) {
+                    URL.revokeObjectURL(url);
+                    autoBackupFailed(isLastError() ?
+                        chrome.runtime.lastError.message : 'Download failed');
+                    return;
+                }
+                autoBackupDownloads[download_id] = {url, time: now};
+            }
+        );
+    });
+} //writeAutoBackup()
+
+/// Record a finished backup and remove the oldest ones beyond the
+/// number the user wants to keep.
+function autoBackupSucceeded(download_id, time)
+{
+    let keep = Number(getStringSetting(CFGS_AUTO_BACKUP_KEEP)) ||
+                Number(CFG_DEFAULTS[CFGS_AUTO_BACKUP_KEEP]);
+
+    updateAutoBackupStatus((status)=>{
+        status.last_success = time;
+        status.last_error = null;
+        status.files.push({id: download_id, time});
+
+        while(status.files.length > keep) {
+            let old = status.files.shift();
+            chrome.downloads.removeFile(old.id, function() {
+                ignore_chrome_error();  // e.g., the user already deleted it
+                chrome.downloads.erase({id: old.id}, ignore_chrome_error);
+            });
+        }
+    });
+} //autoBackupSucceeded()
+
+function autoBackupOnDownloadChanged(delta)
+{
+    let pending = autoBackupDownloads[delta.id];
+    if(!pending || !delta.state) return;
+
+    if(delta.state.current === 'complete') {
+        URL.revokeObjectURL(pending.url);
+        delete autoBackupDownloads[delta.id];
+        autoBackupSucceeded(delta.id, pending.time);
+
+    } else if(delta.state.current === 'interrupted') {
+        URL.revokeObjectURL(pending.url);
+        delete autoBackupDownloads[delta.id];
+        autoBackupFailed((delta.error && delta.error.current) || 'Interrupted');
+    }
+} //autoBackupOnDownloadChanged()
+
+function autoBackupOnAlarm(alarm)
+{
+    if(alarm.name === AUTO_BACKUP_ALARM) runAutoBackup();
+} //autoBackupOnAlarm()
+
+/// Listen for backup alarms and downloads.  Only call this once we have
+/// the AUTO_BACKUP_PERMISSIONS, since chrome.alarms and chrome.downloads
+/// don't exist until then.
+function addAutoBackupListeners()
+{
+    if(autoBackupListenersAdded) return;
+    autoBackupListenersAdded = true;
+    chrome.downloads.onChanged.addListener(autoBackupOnDownloadChanged);
+    chrome.alarms.onAlarm.addListener(autoBackupOnAlarm);
+} //addAutoBackupListeners()
+
+// The settings page asks for the permissions when the user turns on
+// automatic backups, after the setting has changed.
+chrome.permissions.onAdded.addListener(function() {
+    scheduleAutoBackup();
+});
+
+// Reschedule when the user changes the settings.  The settings page
+// stores them in localStorage, which fires `storage` events here.
+window.addEventListener('storage', function(ev) {
+    if(!ev.key) return;
+    if( ev.key === SETTING_PREFIX + CFG_AUTO_BACKUP ||
+        ev.key === SETTING_PREFIX + CFGS_AUTO_BACKUP_HOURS
+    ) {
+        scheduleAutoBackup(true);
+    }
+});
+
 //var settings = new Store('settings', {
 //     'sample_setting': 'This is how you use Store.js to remember values'
 //});
@@ -190,6 +450,8 @@ for(opt in CFG_DEFAULTS) {
 setSetting(CFG_PRUNE_NEW_WINDOWS, false);   // don't prune - it's a Chrome bug
     // See https://bugs.chromium.org/p/chromium/issues/detail?id=883709#c16
 
+scheduleAutoBackup();
+
 console.log('TabFern: done running background.js');
 
 // vi: set ts=4 sts=4 sw=4 et ai fo-=o: //
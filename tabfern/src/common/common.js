@@ -36,6 +36,35 @@ const TABFERN_VERSION='0.1.19';
 
 const MSG_GET_VIEW_WIN_ID = 'getViewWindowID';
 const MSG_EDIT_TAB_NOTE = 'editTabNote';
+const MSG_FIND_PAGE = 'findPage';   // {url, by_site, tab_id}: where is #url?
+
+////////////////////////////////////////////////////////////////////////// }}}1
+// Storage keys used by more than one part of TabFern // {{{1
+
+/// chrome.storage.local key where background.js records how the automatic
+/// backups are going: {last_success, last_attempt, last_error, files}.
+/// The times are ms since the epoch.
+const AUTO_BACKUP_STATUS_KEY = 'tabfern-auto-backup-status';
+
+/// chrome.storage.local key where the TabFern window records the size of
+/// the save data each time it saves: {raw_bytes, stored_bytes, time}.
+/// #raw_bytes is the size of the uncompressed JSON, and #stored_bytes is
+/// the size of what was actually stored (see compression.js).
+const STORAGE_STATS_KEY = 'tabfern-storage-stats';
+
+////////////////////////////////////////////////////////////////////////// }}}1
+// Optional permissions // {{{1
+
+// Features that are off by default use optional permissions (see
+// manifest.json), so adding them doesn't make Chrome disable TabFern for
+// existing users.  The settings page requests them when the user turns
+// the feature on, and code using them checks chrome.permissions.contains().
+
+/// What the bookmarks mirror (CFG_BOOKMARK_MIRROR) needs
+const BOOKMARK_MIRROR_PERMISSIONS = {permissions: ['bookmarks']};
+
+/// What the automatic backups (CFG_AUTO_BACKUP) need
+const AUTO_BACKUP_PERMISSIONS = {permissions: ['alarms', 'downloads']};
 
 ////////////////////////////////////////////////////////////////////////// }}}1
 // Names of settings, and their defaults // {{{1
@@ -117,6 +146,18 @@ const CFG_TITLE_IN_TOOLTIP = 'tooltip-has-title';
 _DEF[CFG_TITLE_IN_TOOLTIP] = false;
 _VAL[CFG_TITLE_IN_TOOLTIP] = _vbool;
 
+const CFG_TIMES_IN_TOOLTIP = 'tooltip-has-times';
+_DEF[CFG_TIMES_IN_TOOLTIP] = true;
+_VAL[CFG_TIMES_IN_TOOLTIP] = _vbool;
+
+const CFG_BOOKMARK_MIRROR = 'mirror-to-bookmarks';
+_DEF[CFG_BOOKMARK_MIRROR] = false;
+_VAL[CFG_BOOKMARK_MIRROR] = _vbool;
+
+const CFG_AUTO_BACKUP = 'auto-backup-enabled';
+_DEF[CFG_AUTO_BACKUP] = false;
+_VAL[CFG_AUTO_BACKUP] = _vbool;
+
 const CFG_PRUNE_NEW_WINDOWS = 'prune-new-windows';
 _DEF[CFG_PRUNE_NEW_WINDOWS] = false;
 _VAL[CFG_PRUNE_NEW_WINDOWS] = ()=>false;
@@ -160,6 +201,52 @@ _VAL[CFGS_SCROLLBAR_COLOR] = (v)=>{
     return ((Validation.isValidColor(v)) ? v : undefined);
 };
 
+/// How the windows in the tree are kept sorted.  'manual' leaves them where
+/// the user puts them.  The other values are the keys of
+/// window_sort_modes in view/sorts.js.
+const CFGS_WIN_SORT_MODE = 'window-sort-mode';
+_DEF[CFGS_WIN_SORT_MODE] = 'manual';
+_VAL[CFGS_WIN_SORT_MODE] = (v)=>{
+    return ((['manual', 'az', 'natural', 'open-first', 'recent', 'tab-count']
+                .indexOf(v) !== -1) ? v : undefined);
+};
+
+/// What clicking a closed tab in a closed window does: open just that tab
+/// in a new window ('new-window'), open it in the most recently focused
+/// window ('focused-window'), or open the whole window ('whole-window').
+const CFGS_OPEN_TAB_IN = 'open-closed-tab-in';
+_DEF[CFGS_OPEN_TAB_IN] = 'new-window';
+_VAL[CFGS_OPEN_TAB_IN] = (v)=>{
+    return ((['new-window', 'focused-window', 'whole-window']
+                .indexOf(v) !== -1) ? v : undefined);
+};
+
+// Automatic backups, which background.js makes
+const CFGS_AUTO_BACKUP_HOURS = 'auto-backup-interval-hours';
+_DEF[CFGS_AUTO_BACKUP_HOURS] = '24';
+_VAL[CFGS_AUTO_BACKUP_HOURS] = (v)=>{
+    return ((['1', '6', '24', '168'].indexOf(v) !== -1) ? v : undefined);
+};
+
+const CFGS_AUTO_BACKUP_KEEP = 'auto-backup-keep-count';
+_DEF[CFGS_AUTO_BACKUP_KEEP] = '10';
+_VAL[CFGS_AUTO_BACKUP_KEEP] = (v)=>{
+    return ((['3', '5', '10', '30'].indexOf(v) !== -1) ? v : undefined);
+};
+
+const CFGS_AUTO_BACKUP_FOLDER = 'auto-backup-folder';
+_DEF[CFGS_AUTO_BACKUP_FOLDER] = 'TabFern backups';
+_VAL[CFGS_AUTO_BACKUP_FOLDER] = (v)=>{
+    // A relative path within the Downloads folder.  chrome.downloads
+    // rejects absolute paths and "..".
+    if(typeof v !== 'string') return undefined;
+    v = v.trim().replace(/^[\/]+|[\/]+$/g, '');
+    if(/[<>:"|?*]/.test(v) || v.split(/[\/]/).indexOf('..') !== -1) {
+        return undefined;
+    }
+    return v;
+};
+
 // }}}2
 /// The default values for the configuration settings.
 const CFG_DEFAULTS = Object.seal(_DEF);
@@ -362,6 +449,12 @@ var _T = chrome.i18n.getMessage;
 /// `runtime.lastError` diagnostic.  Use this as a Chrome callback.
 function ignore_chrome_error() { void chrome.runtime.lastError; }
 
+/// Escape #text so that it matches literally when used in a RegExp.
+/// From https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Regular_Expressions
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /// Deep-compare two objects for memberwise equality.  However, if either
 /// object contains a pointer to the other, this will return false rather
 /// than getting stuck in a loop.  Non-`object` types are compared by ===.
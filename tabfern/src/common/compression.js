@@ -0,0 +1,255 @@
+/// compression.js: Compress save data so large trees are quicker to store.
+/// Copyright (c) cxw42, 2017--2018.
+/// NOTE: does NOT use common.js routines, so that common.js can use it.
+
+// The compressor is LZW over the UTF-16 code units of the text, with
+// variable-width codes, in the style of lz-string.  Codes 0 and 1
+// introduce new 8-bit and 16-bit characters, and code 2 ends the stream.
+// The bit stream is written six bits per character using the base64
+// alphabet, since chrome.storage stores strings as UTF-8 JSON.
+//
+// Compressed save data is stored as
+//      {tabfern: 42, encoding: ENCODING, data: <compressed JSON of the
+//       save data>}
+// so loaders can tell it from plain save data, which has a `version`.
+// The tree itself is stored one record per item (see save_storage.js),
+// with each record compressed by compress().  compressSaveData() is used
+// for the last-known-good copy, and was used for the tree before records.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory();
+    } else {
+        // Browser globals (root is `window`)
+        root.Compression = factory();
+    }
+}(this, function () {
+    "use strict";
+
+    const ALPHABET =
+        'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const BITS_PER_CHAR = 6;
+
+    /// The module we are creating
+    let module = {
+        ENCODING: 'lzw-base64',
+            ///< The format marker in compressed save data
+    };
+
+    // LZW ///////////////////////////////////////////////////////////// {{{1
+
+    /// Compress #text.
+    /// @param text {String} The text
+    /// @return {String} the compressed text, in the base64 alphabet
+    module.compress = function(text)
+    {
+        text = String(text);
+
+        let out = [];
+        let acc = 0, nbits_in_acc = 0;
+
+        /// Write the low #nbits bits of #value, least-significant first
+        let write = (value, nbits)=>{
+            for(let i=0; i<nbits; ++i) {
+                acc = (acc << 1) | (value & 1);
+                value >>= 1;
+                if(++nbits_in_acc === BITS_PER_CHAR) {
+                    out.push(ALPHABET[acc]);
+                    acc = 0;
+                    nbits_in_acc = 0;
+                }
+            }
+        };
+
+        let dict = new Map();       // string => code
+        let pending = new Set();    // single chars in dict not yet written
+        let next_code = 3;          // 0, 1, 2 are reserved
+        let code_bits = 2;
+        let enlarge_in = 2;         // codes until code_bits must grow
+
+        let used_code = ()=>{
+            if(--enlarge_in === 0) {
+                enlarge_in = 1 << code_bits;
+                ++code_bits;
+            }
+        };
+
+        /// Write the code for #w, which is in #dict
+        let emit = (w)=>{
+            if(pending.has(w)) {
+                let ch = w.charCodeAt(0);
+                if(ch < 256) {
+                    write(0, code_bits);
+                    write(ch, 8);
+                } else {
+                    write(1, code_bits);
+                    write(ch, 16);
+                }
+                used_code();
+                pending.delete(w);
+            } else {
+                write(dict.get(w), code_bits);
+            }
+            used_code();
+        };
+
+        let w = '';
+        for(let i=0; i<text.length; ++i) {
+            let c = text[i];
+            if(!dict.has(c)) {
+                dict.set(c, next_code++);
+                pending.add(c);
+            }
+
+            let wc = w + c;
+            if(dict.has(wc)) {
+                w = wc;
+            } else {
+                emit(w);
+                dict.set(wc, next_code++);
+                w = c;
+            }
+        }
+        if(w !== '') emit(w);
+
+        write(2, code_bits);    // End of stream
+
+        // Flush the last partial character
+        if(nbits_in_acc > 0) {
+            out.push(ALPHABET[acc << (BITS_PER_CHAR - nbits_in_acc)]);
+        }
+        return out.join('');
+    }; //compress()
+
+    /// Decompress #compressed, from compress().
+    /// @return {String} the text, or null if #compressed is damaged
+    module.decompress = function(compressed)
+    {
+        compressed = String(compressed);
+
+        let pos = 0;            // index of the next character to read
+        let cur = 0;            // the character being read
+        let mask = 0;           // the next bit of #cur to read
+
+        /// Read #nbits bits, least-significant first.
+        /// @return {Number} the value, or -1 at the end of the input
+        let read = (nbits)=>{
+            let value = 0;
+            for(let i=0; i<nbits; ++i) {
+                if(mask === 0) {
+                    if(pos >= compressed.length) return -1;
+                    cur = ALPHABET.indexOf(compressed[pos++]);
+                    if(cur < 0) return -1;
+                    mask = 1 << (BITS_PER_CHAR - 1);
+                }
+                if(cur & mask) value |= (1 << i);
+                mask >>= 1;
+            }
+            return value;
+        };
+
+        let dict = [null, null, null];
+        let code_bits = 2;
+        let enlarge_in = 4;
+        let result = [];
+
+        /// Read a new literal character after code #code (0 or 1)
+        let literal = (code)=>{
+            let ch = read(code === 0 ? 8 : 16);
+            return (ch < 0) ? null : String.fromCharCode(ch);
+        };
+
+        let code = read(code_bits);
+        if(code === 2) return '';
+        if(code !== 0 && code !== 1) return null;
+        let w = literal(code);
+        if(w === null) return null;
+        dict.push(w);
+        result.push(w);
+        code_bits = 3;
+
+        for(;;) {
+            code = read(code_bits);
+            if(code < 0) return null;   // Ran out before the end marker
+
+            if(code === 2) return result.join('');
+
+            if(code === 0 || code === 1) {
+                let c = literal(code);
+                if(c === null) return null;
+                dict.push(c);
+                code = dict.length - 1;
+                if(--enlarge_in === 0) {
+                    enlarge_in = 1 << code_bits;
+                    ++code_bits;
+                }
+            }
+
+            let entry;
+            if(code < dict.length && dict[code] !== null) {
+                entry = dict[code];
+            } else if(code === dict.length) {
+                entry = w + w[0];
+            } else {
+                return null;
+            }
+
+            result.push(entry);
+            dict.push(w + entry[0]);
+            w = entry;
+
+            if(--enlarge_in === 0) {
+                enlarge_in = 1 << code_bits;
+                ++code_bits;
+            }
+        }
+    }; //decompress()
+
+    // }}}1
+    // Save data /////////////////////////////////////////////////////// {{{1
+
+    /// Whether #data is compressed save data
+    module.isCompressedSaveData = function(data)
+    {
+        return !!(data && typeof data === 'object' && !Array.isArray(data) &&
+                    data.tabfern === 42 && ('encoding' in data));
+    }; //isCompressedSaveData()
+
+    /// Compress save data #save_data.
+    /// @param save_data {Object} The save data
+    /// @param json {String=} JSON.stringify(save_data), if the caller
+    ///                         already has it
+    /// @return {Object} the compressed save data
+    module.compressSaveData = function(save_data, json = undefined)
+    {
+        if(json === undefined) json = JSON.stringify(save_data);
+        return {tabfern: 42, encoding: module.ENCODING,
+                data: module.compress(json)};
+    }; //compressSaveData()
+
+    /// Get the save data from #data, which may or may not be compressed.
+    /// @return {mixed} the save data
+    /// @throws {Error} if #data is compressed in a way we can't read
+    module.decompressSaveData = function(data)
+    {
+        if(!module.isCompressedSaveData(data)) return data;
+
+        if(data.encoding !== module.ENCODING) {
+            throw new Error(`Unknown save-data encoding ${data.encoding}`);
+        }
+
+        let text = module.decompress(data.data);
+        if(text === null) throw new Error('Compressed save data is damaged');
+        return JSON.parse(text);
+    }; //decompressSaveData()
+
+    // }}}1
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r foldmethod=marker: //
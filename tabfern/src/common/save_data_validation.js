@@ -0,0 +1,322 @@
+/// save_data_validation.js: Check TabFern save data field by field, and
+/// salvage what we can from save data that doesn't pass.
+/// Copyright (c) cxw42, 2017--2018.
+/// NOTE: does NOT use common.js routines, so that common.js can use it.
+
+// validate() walks the save data against the schemas below and returns a
+// list of issues, each with the path of the bad entry (e.g.,
+// `tree[2].tabs[0].raw_url`).  Errors drop the entry at that path from the
+// salvaged copy: a window with no tabs list, a tab with no valid URL, and
+// so on.  Warnings drop only the offending field: unknown keys, or a field
+// of the wrong type that the loader doesn't need.
+//
+// When adding a field to the save data, add it to the schema here, too.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['common/validation'], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory(require('./validation'));
+    } else {
+        // Browser globals (root is `window`)
+        root.SaveDataValidation = factory(root.Validation);
+    }
+}(this, function (Validation) {
+    "use strict";
+
+    /// The module we are creating
+    let module = {
+        ERROR: 'error',
+        WARNING: 'warning',
+    };
+
+    // Schemas ///////////////////////////////////////////////////////// {{{1
+
+    // Field checkers.  Each returns true if the value is OK.
+    const isString = (v)=>typeof v === 'string';
+    const isStringOrNull = (v)=>(v === null || typeof v === 'string');
+    const isBoolean = (v)=>typeof v === 'boolean';
+    const isURL = (v)=>isString(v) && Validation.isValidURL(v);
+    const isTime = (v)=>(Number.isFinite(v) && v > 0);
+    const isItemColor = (v)=>(isString(v) && /^#[0-9a-f]{6}$/i.test(v));
+    const isTagList = (v)=>(Array.isArray(v) &&
+                                v.every((tag)=>isString(tag) && tag.trim()));
+    const isIndexList = (v)=>(Array.isArray(v) &&
+                                v.every((idx)=>Number.isInteger(idx) && idx >= 0));
+
+    /// Schemas for each kind of record.  Each maps field name to
+    /// {check, what, required}.  #what describes what #check expects.
+    /// Fields holding nested records (tabs, children, wins) are
+    /// handled by the walkers below, so only their presence is listed here.
+    const SCHEMAS = {
+        v0_win: {
+            text: {check: isStringOrNull, what: 'a string'},
+            tabs: {required: true},
+        },
+        v0_tab: {
+            text: {check: isStringOrNull, what: 'a string'},
+            url: {check: isURL, what: 'a valid URL', required: true},
+        },
+        win: {
+            raw_title: {check: isStringOrNull, what: 'a string or null'},
+            tabs: {required: true},
+            ephemeral: {check: isBoolean, what: 'true or false'},
+            ordered_url_hash: {check: isStringOrNull, what: 'a string or null'},
+            raw_notes: {check: isString, what: 'a string'},
+            tags: {check: isTagList, what: 'a list of tags'},
+            color: {check: isItemColor, what: 'a color like #rrggbb'},
+            open_tabs: {check: isIndexList, what: 'a list of tab positions',
+                            v2: true},
+        },
+        tab: {
+            raw_title: {check: isStringOrNull, what: 'a string or null'},
+            raw_url: {check: isURL, what: 'a valid URL', required: true},
+            raw_favicon_url: {check: isURL, what: 'a valid URL'},
+            isPinned: {check: isBoolean, what: 'true or false'},
+            bordered: {check: isBoolean, what: 'true or false'},
+            raw_bullet: {check: isString, what: 'a string'},
+            raw_notes: {check: isString, what: 'a string'},
+            tags: {check: isTagList, what: 'a list of tags'},
+            color: {check: isItemColor, what: 'a color like #rrggbb'},
+            time_created: {check: isTime, what: 'a time'},
+            time_opened: {check: isTime, what: 'a time'},
+            time_activated: {check: isTime, what: 'a time'},
+            children: {v2: true},
+        },
+        folder: {
+            folder: {check: (v)=>v === true, what: 'true', required: true},
+            raw_title: {check: isStringOrNull, what: 'a string or null'},
+            wins: {required: true},
+        },
+        save_data: {
+            tabfern: {required: true},
+            version: {required: true},
+            tree: {required: true},
+            checksum: {check: isString, what: 'a string'},
+            checksums: {check: (v)=>Array.isArray(v) && v.every(isString),
+                        what: 'an array of strings'},
+        },
+    };
+
+    // }}}1
+    // Walkers ///////////////////////////////////////////////////////// {{{1
+
+    /// The path of field #key of the record at #path
+    function sub(path, key)
+    {
+        return path ? `${path}.${key}` : key;
+    } //sub
+
+    /// Check the plain fields of #record against SCHEMAS[#kind].
+    /// @param record {Object} The record, which must be an object
+    /// @param kind {String} The schema name
+    /// @param path {String} The path of #record, for messages
+    /// @param version {Number} The save-data version
+    /// @param issues {Array} Where to add issues
+    /// @return {Object} a copy of #record without the fields that have
+    ///     warnings, or null if #record has an error.
+    function checkFields(record, kind, path, version, issues)
+    {
+        let schema = SCHEMAS[kind];
+        let retval = {};
+        let ok = true;
+
+        for(let key of Object.keys(schema)) {
+            if(schema[key].required && !(key in record)) {
+                issues.push({path: sub(path, key), severity: module.ERROR,
+                                message: 'is missing'});
+                ok = false;
+            }
+        }
+
+        for(let key of Object.keys(record)) {
+            let field = schema[key];
+            let field_path = sub(path, key);
+            let val = record[key];
+
+            if(!field || (field.v2 && version < 2)) {
+                issues.push({path: field_path, severity: module.WARNING,
+                                message: 'is not a field TabFern knows about'});
+                continue;
+            }
+
+            if(val === undefined) continue;
+
+            if(field.check && !field.check(val)) {
+                issues.push({path: field_path,
+                    severity: field.required ? module.ERROR : module.WARNING,
+                    message: `should be ${field.what}`});
+                if(field.required) ok = false;
+                continue;
+            }
+
+            retval[key] = val;
+        }
+
+        return ok ? retval : null;
+    } //checkFields
+
+    /// Check an array of records.
+    /// @param arr {mixed} The value that should be the array
+    /// @param path {String} The path of #arr
+    /// @param issues {Array} Where to add issues
+    /// @param each {function} Called as each(item, item_path) for each
+    ///     item.  Returns the salvaged item, or null.
+    /// @return {Array} the salvaged items, or null if #arr isn't an array
+    function checkArray(arr, path, issues, each)
+    {
+        if(!Array.isArray(arr)) {
+            issues.push({path, severity: module.ERROR,
+                            message: 'should be a list'});
+            return null;
+        }
+
+        let retval = [];
+        arr.forEach((item, idx)=>{
+            let item_path = `${path}[${idx}]`;
+            if(!item || typeof item !== 'object' || Array.isArray(item)) {
+                issues.push({path: item_path, severity: module.ERROR,
+                                message: 'should be an object'});
+                return;
+            }
+            let salvaged = each(item, item_path);
+            if(salvaged) retval.push(salvaged);
+        });
+        return retval;
+    } //checkArray
+
+    function checkTab(tab, path, version, issues)
+    {
+        let retval = checkFields(tab, 'tab', path, version, issues);
+        if(!retval) return null;
+
+        if(version >= 2 && ('children' in tab)) {
+            let children = checkArray(tab.children, sub(path, 'children'), issues,
+                (kid, kid_path)=>checkTab(kid, kid_path, version, issues));
+            if(children && children.length > 0) retval.children = children;
+            else delete retval.children;
+        }
+        return retval;
+    } //checkTab
+
+    function checkWin(win, path, version, issues)
+    {
+        let retval = checkFields(win, 'win', path, version, issues);
+        if(!retval) return null;
+
+        let tabs = checkArray(win.tabs, sub(path, 'tabs'), issues,
+            (tab, tab_path)=>checkTab(tab, tab_path, version, issues));
+        if(!tabs) return null;
+        retval.tabs = tabs;
+        return retval;
+    } //checkWin
+
+    function checkFolder(folder, path, issues)
+    {
+        let retval = checkFields(folder, 'folder', path, 2, issues);
+        if(!retval) return null;
+
+        let wins = checkArray(folder.wins, sub(path, 'wins'), issues,
+            (win, win_path)=>checkWin(win, win_path, 2, issues));
+        if(!wins) return null;
+        retval.wins = wins;
+        return retval;
+    } //checkFolder
+
+    function checkV0Win(win, path, issues)
+    {
+        let retval = checkFields(win, 'v0_win', path, 0, issues);
+        if(!retval) return null;
+
+        let tabs = checkArray(win.tabs, sub(path, 'tabs'), issues,
+            (tab, tab_path)=>checkFields(tab, 'v0_tab', tab_path, 0, issues));
+        if(!tabs) return null;
+        retval.tabs = tabs;
+        return retval;
+    } //checkV0Win
+
+    // }}}1
+    // Public interface //////////////////////////////////////////////// {{{1
+
+    /// Check save data #data of any version.
+    /// @param data {mixed} The parsed save data
+    /// @return {Object} {version, data, issues, nwins, nwins_kept}:
+    ///     - version: the save-data version, or null if unknown
+    ///     - data: the salvaged save data, of the same version as #data,
+    ///       or null if nothing could be salvaged.  Has no checksum, since
+    ///       it may differ from the original.
+    ///     - issues: [{path, severity, message}], in order
+    ///     - nwins, nwins_kept: the number of windows in #data, and in
+    ///       the salvaged data
+    module.validate = function(data)
+    {
+        let issues = [];
+        let retval = {version: null, data: null, issues, nwins: 0, nwins_kept: 0};
+
+        if(Array.isArray(data)) {       // V0
+            retval.version = 0;
+            retval.nwins = data.length;
+            let tree = checkArray(data, '', issues,
+                (win, path)=>checkV0Win(win, path, issues));
+            retval.data = tree;
+            retval.nwins_kept = tree.length;
+            return retval;
+        }
+
+        if(!data || typeof data !== 'object') {
+            issues.push({path: '', severity: module.ERROR,
+                message: 'is not TabFern save data'});
+            return retval;
+        }
+
+        let top = checkFields(data, 'save_data', '', 2, issues);
+        if(!top) return retval;
+        if(data.tabfern !== 42 || !(data.version === 1 || data.version === 2)) {
+            issues.push({path: 'version', severity: module.ERROR,
+                message: 'is not a save-data version TabFern knows about'});
+            return retval;
+        }
+
+        let version = retval.version = data.version;
+        let countWins = (item)=>(item && item.folder && version >= 2 &&
+                Array.isArray(item.wins)) ? item.wins.length : 1;
+
+        if(Array.isArray(data.tree)) {
+            retval.nwins = data.tree.reduce((acc, item)=>acc + countWins(item), 0);
+        }
+
+        let tree = checkArray(data.tree, 'tree', issues, (item, path)=>(
+            (version >= 2 && ('folder' in item)) ?
+                checkFolder(item, path, issues) :
+                checkWin(item, path, version, issues)
+        ));
+        if(!tree) return retval;
+
+        delete top.checksum;
+        delete top.checksums;
+        retval.data = Object.assign(top, {tree});
+        retval.nwins_kept = tree.reduce((acc, item)=>acc + countWins(item), 0);
+        return retval;
+    }; //validate()
+
+    /// Format the issues from validate() as text, one per line.
+    /// @param issues {Array} The issues
+    /// @param max {Number=} If given, show at most this many
+    /// @return {String} the text
+    module.describeIssues = function(issues, max = Infinity)
+    {
+        let lines = issues.slice(0, max).map((issue)=>
+            `${issue.severity === module.ERROR ? '✖' : '⚠'} ` +
+            `${issue.path || '(top level)'} ${issue.message}`);
+        if(issues.length > max) lines.push(`... (${issues.length - max} more)`);
+        return lines.join('\n');
+    }; //describeIssues()
+
+    // }}}1
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r foldmethod=marker: //
@@ -0,0 +1,149 @@
+/// save_storage.js: Read and write the save data as one record per
+/// top-level window or folder, so a save only rewrites what changed.
+/// Copyright (c) cxw42, 2017--2018.
+/// NOTE: does NOT use common.js routines, so that common.js can use it.
+
+// The save data is stored as an index under the main storage key:
+//      {tabfern: 42, version: 2, encoding: ENCODING, records: [keys],
+//       checksums: [checksums]}
+// Each key in #records names a chrome.storage.local item holding one
+// element of the V2 save-data tree (a window or a folder), as
+// compressed JSON (see compression.js).  The records are in tree order.
+// #checksums[i] is the checksum of the JSON of the element in
+// #records[i], so a save only has to compute the checksums of the records
+// it writes.  The assembled save data carries #checksums along, so it can
+// be checked the same way.  Indexes from before #checksums have a
+// #checksum of the whole tree instead.
+//
+// The index and the records it names are always written in the same
+// chrome.storage.local.set() call.  Records no longer named by the index
+// are removed afterwards.
+//
+// read() also reads save data stored in one piece, compressed or not, so
+// older save data is upgraded the next time the tree is saved.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['common/compression'], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory(require('./compression'));
+    } else {
+        // Browser globals (root is `window`)
+        root.SaveStorage = factory(root.Compression);
+    }
+}(this, function (Compression) {
+    "use strict";
+
+    /// The module we are creating
+    let module = {
+        ENCODING: 'records',
+            ///< The format marker in the index
+    };
+
+    /// Whether #data is an index of records
+    module.isIndex = function(data)
+    {
+        return !!(data && typeof data === 'object' && !Array.isArray(data) &&
+                    data.tabfern === 42 && data.encoding === module.ENCODING &&
+                    Array.isArray(data.records));
+    }; //isIndex()
+
+    /// Make an index.
+    /// @param record_keys {Array} The keys of the records, in tree order
+    /// @param checksums {Array} The checksums of the records, in the same
+    ///                             order
+    /// @return {Object} the index
+    module.makeIndex = function(record_keys, checksums)
+    {
+        return {tabfern: 42, version: 2, encoding: module.ENCODING,
+                records: record_keys, checksums};
+    }; //makeIndex()
+
+    /// Pack one element of the save-data tree for storage.
+    /// @param json {String} The JSON of the element
+    /// @return {String} the record
+    module.packRecord = function(json)
+    {
+        return Compression.compress(json);
+    }; //packRecord()
+
+    /// Put the save data back together from an index and its records.
+    /// @param index {Object} The index
+    /// @param items {Object} The records, keyed by record key, as from
+    ///                         chrome.storage.local.get()
+    /// @return {Object} the V2 save data
+    /// @throws {Error} if a record is missing or damaged
+    module.assemble = function(index, items)
+    {
+        let tree = index.records.map((key)=>{
+            if(typeof items[key] !== 'string') {
+                throw new Error(`Record ${key} is missing`);
+            }
+            let json = Compression.decompress(items[key]);
+            if(json === null) throw new Error(`Record ${key} is damaged`);
+            return JSON.parse(json);
+        });
+
+        let save_data = {tabfern: 42, version: index.version, tree};
+        if('checksums' in index) save_data.checksums = index.checksums;
+        if('checksum' in index) save_data.checksum = index.checksum;
+        return save_data;
+    }; //assemble()
+
+    /// Read the save data stored in chrome.storage.local under #key,
+    /// however it is stored.
+    /// @param key {String} The main storage key
+    /// @param cbk {function} Called as cbk(err, stored).  #err is
+    ///     chrome.runtime.lastError if Chrome couldn't read storage.
+    ///     Otherwise, #stored is {raw, data, record_keys, error}:
+    ///     - raw: the value stored under #key, or undefined if none
+    ///     - data: the save data, or undefined if none or unreadable
+    ///     - record_keys: the keys of the records, if any
+    ///     - error: an Error if the save data is unreadable, else null
+    module.read = function(key, cbk)
+    {
+        chrome.storage.local.get(key, function(items) {
+            if(chrome.runtime.lastError) {
+                cbk(chrome.runtime.lastError);
+                return;
+            }
+
+            let stored = {raw: items[key], data: undefined, record_keys: [],
+                            error: null};
+            if(stored.raw === undefined) {
+                cbk(null, stored);
+                return;
+            }
+
+            if(!module.isIndex(stored.raw)) {
+                try {
+                    stored.data = Compression.decompressSaveData(stored.raw);
+                } catch(e) {
+                    stored.error = e;
+                }
+                cbk(null, stored);
+                return;
+            }
+
+            stored.record_keys = stored.raw.records.slice();
+            chrome.storage.local.get(stored.record_keys, function(records) {
+                if(chrome.runtime.lastError) {
+                    cbk(chrome.runtime.lastError);
+                    return;
+                }
+                try {
+                    stored.data = module.assemble(stored.raw, records);
+                } catch(e) {
+                    stored.error = e;
+                }
+                cbk(null, stored);
+            });
+        });
+    }; //read()
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
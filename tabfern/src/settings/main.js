@@ -186,6 +186,86 @@ function importSettings(evt_unused)
     importer.getFileAsString(processFile);
 } //importSettings()
 
+// }}}1
+// Automatic-backup status ///////////////////////////////////////// {{{1
+
+/// Show when the last automatic backup happened, or warn if automatic
+/// backups have been failing.  The background page keeps the status.
+function showAutoBackupStatus()
+{
+    let elem = $$('#auto-backup-status');
+    if(!elem.length) return;
+
+    chrome.storage.local.get(AUTO_BACKUP_STATUS_KEY, function(items) {
+        let status = (!isLastError() && items[AUTO_BACKUP_STATUS_KEY]) || {};
+        let enabled = getBoolSetting(CFG_AUTO_BACKUP);
+        let period = Number(getStringSetting(CFGS_AUTO_BACKUP_HOURS))*3600*1000;
+
+        let text = '', is_warning = false;
+        if(status.last_success) {
+            text = 'Last backup: ' + new Date(status.last_success).toLocaleString();
+        }
+
+        if(enabled) {
+            let overdue = !status.last_success ||
+                            (Date.now() - status.last_success > 2*period);
+            let failed = status.last_error && status.last_attempt &&
+                    (!status.last_success || status.last_attempt > status.last_success);
+
+            if(failed) {
+                is_warning = true;
+                text = `The last automatic backup failed (${status.last_error}). ` + text;
+            } else if(overdue && status.last_attempt) {
+                is_warning = true;
+                text = 'Automatic backups have not completed recently. ' + text;
+            }
+        }
+
+        elem.text(text).css('color', is_warning ? 'red' : '');
+    });
+} //showAutoBackupStatus()
+
+/// Show how big the save data is, with and without compression.  The
+/// TabFern window records the sizes each time it saves.
+function showStorageSize()
+{
+    let elem = $$('#storage-size');
+    if(!elem.length) return;
+
+    chrome.storage.local.get(STORAGE_STATS_KEY, function(items) {
+        let stats = !isLastError() && items[STORAGE_STATS_KEY];
+        if(!stats || !stats.raw_bytes) {
+            elem.text('Open the TabFern window to measure the saved data.');
+            return;
+        }
+
+        let kb = (bytes)=>(bytes/1024).toFixed(1) + ' KB';
+        let percent = Math.round(100 * stats.stored_bytes / stats.raw_bytes);
+        elem.text(`Saved data: ${kb(stats.raw_bytes)} uncompressed, ` +
+            `${kb(stats.stored_bytes)} as stored (${percent}%), ` +
+            `as of ${new Date(stats.time).toLocaleString()}.`);
+    });
+} //showStorageSize()
+
+// }}}1
+// Optional permissions //////////////////////////////////////////// {{{1
+
+/// When the user turns on checkbox setting #name, ask Chrome for the
+/// optional #permissions the feature needs.  If the user doesn't grant
+/// them, turn the setting back off.
+function requestPermissionsWhenEnabled(name, permissions)
+{
+    let setting = settingsobj.manifest[name];
+    if(!setting) return;
+
+    setting.addEvent('action', function(enabled) {
+        if(!enabled) return;
+        chrome.permissions.request(permissions, function(granted) {
+            if(isLastError() || !granted) setting.set(false);
+        });
+    });
+} //requestPermissionsWhenEnabled()
+
 // }}}1
 // Main //////////////////////////////////////////////////////////// {{{1
 
@@ -200,11 +280,16 @@ function main()
         // ----------------------------
         // Finish creating the page
         createPicker();   // Skinny-scrollbar color picker
+        showAutoBackupStatus();
+        showStorageSize();
 
         // ----------------------------
         // Hook up events
         $$('#import-settings').on('click', importSettings);
         $$('#export-settings').on('click', exportSettings);
+        requestPermissionsWhenEnabled(CFG_BOOKMARK_MIRROR,
+                                        BOOKMARK_MIRROR_PERMISSIONS);
+        requestPermissionsWhenEnabled(CFG_AUTO_BACKUP, AUTO_BACKUP_PERMISSIONS);
 
         let is_settings_load = false;
         if(getBoolSetting(SETTINGS_LOADED_OK)) {
@@ -149,6 +149,44 @@ vote at ${issue(125,true)}.
                         TabFern window, even if you didn't check the "Sort
                         open windows" box above.`
             },
+            {
+                "tab": future_i18n("Behaviour"),
+                "group": future_i18n("When I..."),
+                "name": CFGS_OPEN_TAB_IN,
+                "type": "popupButton",
+                "label": future_i18n('Click a tab in a closed window, open '),
+                'options': [
+                    { value: 'new-window', text: 'just that tab, in a new window' },
+                    { value: 'focused-window', text: 'just that tab, in the window I was using' },
+                    { value: 'whole-window', text: 'the whole window' },
+                ],
+            },
+
+            {
+                "tab": future_i18n("Behaviour"),
+                "group": future_i18n("Window order"),
+                "name": CFGS_WIN_SORT_MODE,
+                "type": "popupButton",
+                "label": future_i18n('Keep the windows sorted: '),
+                'options': [
+                    { value: 'manual', text: 'No - I arrange them myself' },
+                    { value: 'az', text: 'By name, A-Z' },
+                    { value: 'natural', text: 'By name, numbers by value (2 before 10)' },
+                    { value: 'open-first', text: 'Open windows first' },
+                    { value: 'recent', text: 'Most recently used first' },
+                    { value: 'tab-count', text: 'Most tabs first' },
+                ],
+            },
+            {
+                "tab": future_i18n("Behaviour"),
+                "group": future_i18n("Window order"),
+                "type": "description",
+                "text": `Unless this is "No," the windows are sorted again
+                        whenever one is created, renamed, opened, or closed,
+                        and windows you drag or sort from the menu will move
+                        back into order.  Windows in folders are sorted
+                        within their folders.`
+            },
 
             {
                 "tab": future_i18n("Behaviour"),
@@ -286,6 +324,13 @@ bar (it will start with "file://")</li>
                 "type": "checkbox",
                 "label": future_i18n("Show page title in each item's tooltip"),
             },
+            {
+                "tab": future_i18n("Appearance"),
+                "group": future_i18n("Tooltips"),
+                "name": CFG_TIMES_IN_TOOLTIP,
+                "type": "checkbox",
+                "label": future_i18n("Show when each tab was created, last opened, and last used"),
+            },
 
             // Features
             {
@@ -295,6 +340,83 @@ bar (it will start with "file://")</li>
                 "type": "checkbox",
                 "label": "Enable right-click menus" + refresh_message,
             },
+            {
+                "tab": "Features",
+                "group": "Bookmarks",
+                "name": CFG_BOOKMARK_MIRROR,
+                "type": "checkbox",
+                "label": "Keep a copy of the saved windows in a \"TabFern\" bookmarks folder",
+            },
+            {
+                "tab": "Features",
+                "group": "Bookmarks",
+                "type": "description",
+                "text":
+`Each saved window is a folder of bookmarks inside the "TabFern" folder
+in Other bookmarks, so Chrome sync can carry it to your other computers.
+If you change a window's bookmarks, TabFern uses your changes unless
+the window has also changed in TabFern or is open.  If you add a folder
+of bookmarks, TabFern adds it as a saved window.  Deleting a folder does
+not delete the window.`
+            },
+            {
+                "tab": "Features",
+                "group": "Automatic backups",
+                "name": CFG_AUTO_BACKUP,
+                "type": "checkbox",
+                "label": "Back up TabFern to your Downloads folder automatically",
+            },
+            {
+                "tab": "Features",
+                "group": "Automatic backups",
+                "name": CFGS_AUTO_BACKUP_HOURS,
+                "type": "popupButton",
+                "label": "Back up every ",
+                'options': [
+                    { value: '1', text: 'hour' },
+                    { value: '6', text: '6 hours' },
+                    { value: '24', text: 'day' },
+                    { value: '168', text: 'week' },
+                ],
+            },
+            {
+                "tab": "Features",
+                "group": "Automatic backups",
+                "name": CFGS_AUTO_BACKUP_KEEP,
+                "type": "popupButton",
+                "label": "Number of backups to keep: ",
+                'options': [
+                    { value: '3', text: '3' },
+                    { value: '5', text: '5' },
+                    { value: '10', text: '10' },
+                    { value: '30', text: '30' },
+                ],
+            },
+            {
+                "tab": "Features",
+                "group": "Automatic backups",
+                "name": CFGS_AUTO_BACKUP_FOLDER,
+                "type": "text",
+                "label": "Subfolder of Downloads to save backups in: ",
+            },
+            {
+                "tab": "Features",
+                "group": "Automatic backups",
+                "type": "description",
+                "text":
+`Backups are .tabfern files, which you can load with "Load contents of a
+backup" in the TabFern menu.  TabFern removes the oldest backups it made
+once there are more than the number to keep.
+<span id="auto-backup-status"></span>`
+            },
+            {
+                "tab": "Features",
+                "group": "Storage",
+                "type": "description",
+                "text":
+`TabFern compresses your saved windows and tabs so that large trees save
+quickly.  <span id="storage-size"></span>`
+            },
 /*
             {
                 "tab": "Features",
@@ -0,0 +1,235 @@
+// view/backup_crypto.js: Encrypt and decrypt backup files with a
+// passphrase.  Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// An encrypted backup is a JSON object:
+//  {   tabfern_encrypted: 1,
+//      kdf: {name: 'PBKDF2', hash: 'SHA-256', iterations, salt},
+//      cipher: {name: 'AES-GCM', iv},
+//      check,
+//      data,
+//  }
+// #salt, #iv, #check, and #data are base64.  PBKDF2 derives 512 bits from
+// the passphrase: the first 256 are the AES key, and the first 128 of the
+// rest are stored as #check.  #check lets us tell a wrong passphrase (check
+// doesn't match) from a damaged file (check matches, but AES-GCM
+// authentication fails).  #data is the encrypted JSON of the save data
+// from makeSaveData().
+//
+// Errors are reported by failing the sequence with an Error whose `code`
+// is one of the module's error codes.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['asynquence-contrib'], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory(require('asynquence-contrib'));
+    } else {
+        // Browser globals (root is `window`)
+        root.BackupCrypto = factory(root.ASQ);
+    }
+}(this, function (ASQ) {
+    "use strict";
+
+    const FORMAT_VERSION = 1;
+    const ITERATIONS = 250000;
+    /// The most PBKDF2 iterations we will run for a backup.  A file asking
+    /// for more would hang the view while deriving the key.
+    const MAX_ITERATIONS = 10 * ITERATIONS;
+    const SALT_BYTES = 16, IV_BYTES = 12, CHECK_BYTES = 16;
+
+    /// The module we are creating
+    let module = {
+        // Error codes
+        WRONG_PASSPHRASE: 'wrong-passphrase',
+        CORRUPT: 'corrupt',
+        UNSUPPORTED: 'unsupported',
+    };
+
+    // Helpers ///////////////////////////////////////////////////////// {{{1
+
+    /// Make an Error with code #code for failing a sequence
+    function codedError(code, message)
+    {
+        let err = new Error(message || code);
+        err.code = code;
+        return err;
+    } //codedError
+
+    function toBase64(bytes)
+    {
+        let str = '';
+        for(let i=0; i<bytes.length; ++i) str += String.fromCharCode(bytes[i]);
+        return btoa(str);
+    } //toBase64
+
+    /// Decode #text, which must be base64.
+    /// @return {Uint8Array} the bytes, or null if #text is not valid
+    function fromBase64(text)
+    {
+        if(typeof text !== 'string') return null;
+        let str;
+        try {
+            str = atob(text);
+        } catch(e) {
+            return null;
+        }
+        let bytes = new Uint8Array(str.length);
+        for(let i=0; i<str.length; ++i) bytes[i] = str.charCodeAt(i);
+        return bytes;
+    } //fromBase64
+
+    /// Constant-time comparison of two byte arrays
+    function sameBytes(a, b)
+    {
+        if(a.length !== b.length) return false;
+        let diff = 0;
+        for(let i=0; i<a.length; ++i) diff |= (a[i] ^ b[i]);
+        return diff === 0;
+    } //sameBytes
+
+    /// Derive the AES key and the check bytes from #passphrase.
+    /// @return {Promise} resolving to {key, check}
+    function deriveKey(passphrase, salt, iterations)
+    {
+        let subtle = crypto.subtle;
+        return subtle.importKey('raw', new TextEncoder().encode(passphrase),
+                                'PBKDF2', false, ['deriveBits'])
+        .then((base_key)=>subtle.deriveBits(
+            {name: 'PBKDF2', hash: 'SHA-256', salt, iterations}, base_key, 512))
+        .then((bits)=>{
+            let bytes = new Uint8Array(bits);
+            let check = bytes.slice(32, 32 + CHECK_BYTES);
+            return subtle.importKey('raw', bytes.slice(0, 32), 'AES-GCM',
+                                    false, ['encrypt', 'decrypt'])
+            .then((key)=>({key, check}));
+        });
+    } //deriveKey
+
+    // }}}1
+    // Public interface //////////////////////////////////////////////// {{{1
+
+    /// Whether #data (text or a parsed object) is an encrypted backup.
+    module.isEncrypted = function(data)
+    {
+        if(typeof data === 'string') {
+            if(!/^\s*\{/.test(data)) return false;
+            try {
+                data = JSON.parse(data);
+            } catch(e) {
+                // A damaged encrypted backup still announces itself
+                return /^\s*\{\s*"tabfern_encrypted"/.test(data);
+            }
+        }
+        return !!(data && typeof data === 'object' &&
+                    ('tabfern_encrypted' in data));
+    }; //isEncrypted()
+
+    /// Encrypt save data #save_data with #passphrase.
+    /// @param save_data {Object} The save data, from makeSaveData()
+    /// @param passphrase {String} The passphrase
+    /// @return {ASQ} a sequence yielding the text of the encrypted backup
+    module.encrypt = function(save_data, passphrase)
+    {
+        let salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        let iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        let plaintext = new TextEncoder().encode(JSON.stringify(save_data));
+
+        return ASQ().promise(
+            deriveKey(passphrase, salt, ITERATIONS)
+            .then(({key, check})=>
+                crypto.subtle.encrypt({name: 'AES-GCM', iv}, key, plaintext)
+                .then((ciphertext)=>JSON.stringify({
+                    tabfern_encrypted: FORMAT_VERSION,
+                    kdf: {name: 'PBKDF2', hash: 'SHA-256',
+                            iterations: ITERATIONS, salt: toBase64(salt)},
+                    cipher: {name: 'AES-GCM', iv: toBase64(iv)},
+                    check: toBase64(check),
+                    data: toBase64(new Uint8Array(ciphertext)),
+                }))
+            )
+        );
+    }; //encrypt()
+
+    /// Unpack the wrapper of encrypted backup #text.
+    /// @return {Object} {iterations, salt, iv, check, data}
+    /// @throws an Error having code CORRUPT or UNSUPPORTED
+    function unpack(text)
+    {
+        let wrapper;
+        try {
+            wrapper = JSON.parse(text);
+        } catch(e) {
+            throw codedError(module.CORRUPT, e.message);
+        }
+
+        if(!wrapper || typeof wrapper !== 'object') {
+            throw codedError(module.CORRUPT);
+        }
+        let kdf = wrapper.kdf || {}, cipher = wrapper.cipher || {};
+        if(wrapper.tabfern_encrypted !== FORMAT_VERSION ||
+            kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+            cipher.name !== 'AES-GCM'
+        ) {
+            throw codedError(module.UNSUPPORTED);
+        }
+
+        let salt = fromBase64(kdf.salt), iv = fromBase64(cipher.iv);
+        let check = fromBase64(wrapper.check);
+        let data = fromBase64(wrapper.data);
+        if(!salt || !iv || !check || !data ||
+            !(Number.isInteger(kdf.iterations) && kdf.iterations > 0)
+        ) {
+            throw codedError(module.CORRUPT);
+        }
+        if(kdf.iterations > MAX_ITERATIONS) {
+            throw codedError(module.UNSUPPORTED);
+        }
+
+        return {iterations: kdf.iterations, salt, iv, check, data};
+    } //unpack
+
+    /// Decrypt encrypted backup #text with #passphrase.
+    /// @param text {String} The contents of the backup file
+    /// @param passphrase {String} The passphrase
+    /// @return {ASQ} a sequence yielding the save data.  On error, the
+    ///     sequence fails with an Error having code WRONG_PASSPHRASE,
+    ///     CORRUPT, or UNSUPPORTED.
+    module.decrypt = function(text, passphrase)
+    {
+        let packed;
+        try {
+            packed = unpack(text);
+        } catch(e) {
+            return ASQ().val(()=>{ throw e; });
+        }
+        let {iterations, salt, iv, check, data} = packed;
+
+        return ASQ().promise(
+            deriveKey(passphrase, salt, iterations)
+            .then((derived)=>{
+                if(!sameBytes(derived.check, check)) {
+                    throw codedError(module.WRONG_PASSPHRASE);
+                }
+                return crypto.subtle.decrypt({name: 'AES-GCM', iv},
+                                                derived.key, data)
+                .catch((e)=>{ throw codedError(module.CORRUPT, e.message); });
+            })
+            .then((plaintext)=>{
+                try {
+                    return JSON.parse(new TextDecoder().decode(plaintext));
+                } catch(e) {
+                    throw codedError(module.CORRUPT, e.message);
+                }
+            })
+        );
+    }; //decrypt()
+
+    // }}}1
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r foldmethod=marker: //
@@ -0,0 +1,376 @@
+// view/bookmark_mirror.js: Keep a copy of the saved windows in a Chrome
+// bookmarks folder.  Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// The mirror is a "TabFern" folder under "Other bookmarks".  Each saved
+// window is a subfolder holding one bookmark per tab (nested tabs are
+// flattened).  Each TabFern folder is a subfolder holding its windows'
+// subfolders.
+//
+// Conflict rules, applied by diff() each time the mirror is synced:
+// - A window subfolder that hasn't changed since TabFern last wrote it
+//   is updated to match the window.
+// - A window subfolder the user changed wins if the TabFern window has
+//   not changed since the last write and is closed.  The window is
+//   replaced by the bookmarks.  Otherwise, TabFern wins and the user's
+//   change is overwritten.
+// - A window subfolder TabFern didn't write (e.g., a new one the user made,
+//   or one that arrived from Chrome sync) is added to the tree as a closed
+//   window, unless the tree already has a window just like it.
+// - Deleting a subfolder does not delete the window.  TabFern puts the
+//   subfolder back the next time it writes the mirror.  Likewise, emptying
+//   a subfolder does not empty the window, and empty subfolders TabFern
+//   didn't write are not imported.
+// - Bookmarks directly in the "TabFern" folder are left alone.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['loglevel', 'asynquence-contrib', 'asq-helpers'], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory(require('loglevel'),
+                            require('asynquence-contrib'),
+                            require('asq-helpers'));
+    } else {
+        // Browser globals (root is `window`)
+        root.BookmarkMirror = factory(root.log, root.ASQ, root.ASQH);
+    }
+}(this, function (log, ASQ, ASQH) {
+    "use strict";
+
+    /// The module we are creating
+    let module = {
+        STATE_KEY: 'tabfern-bookmark-mirror',
+            ///< chrome.storage.local key for the mirror state
+        ROOT_TITLE: 'TabFern',
+            ///< Title of the bookmark folder holding the mirror
+    };
+
+    // Converting between save data and bookmarks ////////////////////// {{{1
+
+    /// Make a digest of window form #win_form ({title, children:[{title,url}]})
+    /// so we can tell whether it has changed.  Uses 32-bit FNV-1a.
+    module.digestOf = function(win_form)
+    {
+        let text = JSON.stringify([win_form.title,
+            (win_form.children || []).map((bm)=>[bm.title, bm.url])]);
+        let hash = 0x811c9dc5;
+        for(let i=0; i<text.length; ++i) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `${text.length}-${hash.toString(16)}`;
+    }; //digestOf()
+
+    /// Get the form a V2 window record will have as bookmarks.
+    /// @param win_data_v2 {Object} The window
+    /// @param untitled {String} The title to use if the window doesn't have one
+    /// @return {Object} {title, children: [{title, url}]}
+    module.windowForm = function(win_data_v2, untitled)
+    {
+        let children = [];
+        function visit(tabs) {
+            if(!Array.isArray(tabs)) return;
+            for(let tab of tabs) {
+                if(!tab) continue;
+                if(tab.raw_url) {
+                    children.push({title: tab.raw_title || tab.raw_url,
+                                    url: tab.raw_url});
+                }
+                visit(tab.children);
+            }
+        }
+        visit(win_data_v2.tabs);
+
+        let title = (typeof win_data_v2.raw_title === 'string' &&
+                        win_data_v2.raw_title) ? win_data_v2.raw_title : untitled;
+        return {title, children};
+    }; //windowForm()
+
+    /// Get the bookmark folders to write for a V2 save-data tree.
+    /// @param tree {Array} The V2 save-data tree
+    /// @param options {Object} {untitled_win, untitled_folder}
+    /// @return {Array} of {title, children}.  Windows have `is_win: true`.
+    module.treeForm = function(tree, options = {})
+    {
+        let retval = [];
+        for(let item of (Array.isArray(tree) ? tree : [])) {
+            if(!item) continue;
+            if(item.folder) {
+                retval.push({
+                    title: item.raw_title || options.untitled_folder || '',
+                    children: (item.wins || []).map((win)=>Object.assign(
+                        module.windowForm(win, options.untitled_win),
+                        {is_win: true})),
+                });
+            } else {
+                retval.push(Object.assign(
+                    module.windowForm(item, options.untitled_win),
+                    {is_win: true}));
+            }
+        }
+        return retval;
+    }; //treeForm()
+
+    /// Get the window subfolders in the mirror.
+    /// @param root_node {BookmarkTreeNode} The "TabFern" folder, with children
+    /// @return {Array} of {bm_id, folder_title, record, digest}.  #record is
+    ///     a V1 window record; #folder_title is the title of the TabFern
+    ///     folder holding the window, or null.
+    module.mirrorWindows = function(root_node)
+    {
+        let retval = [];
+        let is_folder = (node)=>!node.url && Array.isArray(node.children);
+
+        function addWindow(node, folder_title) {
+            let form = {
+                title: node.title,
+                children: node.children.filter((kid)=>!!kid.url)
+                            .map((kid)=>({title: kid.title, url: kid.url})),
+            };
+            retval.push({
+                bm_id: node.id,
+                folder_title,
+                digest: module.digestOf(form),
+                record: {
+                    raw_title: node.title || null,
+                    tabs: form.children.map((bm)=>(
+                            {raw_title: bm.title || bm.url, raw_url: bm.url})),
+                },
+            });
+        } //addWindow
+
+        for(let node of (root_node.children || [])) {
+            if(!is_folder(node)) continue;
+
+            // A folder holding only folders is a TabFern folder
+            if(node.children.length > 0 && node.children.every(is_folder)) {
+                for(let kid of node.children) addWindow(kid, node.title);
+            } else {
+                addWindow(node, null);
+            }
+        }
+        return retval;
+    }; //mirrorWindows()
+
+    /// Decide what to do with the mirror's contents, per the conflict rules
+    /// at the top of this file.
+    /// @param tf_wins {Array} The saved windows in the tree, as
+    ///     {key, digest, isOpen}.  #key is whatever the caller uses to
+    ///     identify the window.
+    /// @param mirror_wins {Array} from mirrorWindows()
+    /// @param state_digests {Object} bm_id => digest, as of the last write
+    /// @return {Object} {updates: [{key, record}], imports: [mirror win],
+    ///     conflicts: [mirror win]}
+    module.diff = function(tf_wins, mirror_wins, state_digests = {})
+    {
+        let retval = {updates: [], imports: [], conflicts: []};
+        let used_keys = new Set();
+
+        for(let mwin of mirror_wins) {
+            let written_digest = state_digests[mwin.bm_id];
+
+            // Windows can't be empty, so TabFern wins over an empty
+            // subfolder.
+            if(mwin.record.tabs.length === 0) {
+                if(written_digest) retval.conflicts.push(mwin);
+                continue;
+            }
+
+            if(!written_digest) {               // Not ours: import it
+                // ... unless we already have it, e.g., because the mirror
+                // state was lost.
+                if(!tf_wins.some((w)=>w.digest === mwin.digest)) {
+                    retval.imports.push(mwin);
+                }
+                continue;
+            }
+
+            if(written_digest === mwin.digest) continue;   // Not edited
+
+            // Edited.  Find the window as we wrote it, if it hasn't changed.
+            let tf_win = tf_wins.find((w)=>
+                w.digest === written_digest && !used_keys.has(w.key));
+
+            if(tf_win && !tf_win.isOpen) {
+                used_keys.add(tf_win.key);
+                retval.updates.push({key: tf_win.key, record: mwin.record});
+            } else {
+                retval.conflicts.push(mwin);
+            }
+        }
+
+        return retval;
+    }; //diff()
+
+    // }}}1
+    // Chrome bookmarks API //////////////////////////////////////////// {{{1
+
+    /// Make a Chrome callback that calls #ok(...args) on success, or
+    /// fails asynquence step #done on error.
+    function cc(done, ok)
+    {
+        return function(...args) {
+            if(ASQH.isLastError()) {
+                done.fail(chrome.runtime.lastError);
+            } else {
+                ok(...args);
+            }
+        };
+    } //cc
+
+    /// Find an existing mirror root folder in the whole bookmarks tree, e.g.,
+    /// one that Chrome sync brought from another computer.  Looks for a
+    /// ROOT_TITLE folder in the top-level folders, "Other bookmarks" first.
+    /// @param tree {Array} The nodes from chrome.bookmarks.getTree()
+    /// @return {BookmarkTreeNode} the folder, with children, or null
+    module.findRoot = function(tree)
+    {
+        let kids = (tree && tree[0] && tree[0].children) || [];
+        let tops = kids[1] ? [kids[1]].concat(kids.filter((_, i)=>i !== 1))
+                            : kids;
+        for(let top of tops) {
+            let found = (top.children || []).find((node)=>
+                !node.url && node.title === module.ROOT_TITLE);
+            if(found) return found;
+        }
+        return null;
+    }; //findRoot()
+
+    /// Find the mirror's root folder, or create it under "Other bookmarks".
+    /// @param root_id {String} The ID we used last time, if any
+    /// @return {ASQ} a sequence yielding the root folder's BookmarkTreeNode,
+    ///     with children.
+    module.getRoot = function(root_id)
+    {
+        return ASQ().then((done)=>{
+            if(!root_id) { done(null); return; }
+            chrome.bookmarks.getSubTree(String(root_id), (nodes)=>{
+                // Don't fail if the user deleted the folder
+                done((!chrome.runtime.lastError && nodes && nodes[0] &&
+                        !nodes[0].url) ? nodes[0] : null);
+            });
+        })
+        .then((done, node)=>{
+            if(node) { done(node); return; }
+
+            // Use an existing one if there is one, so we don't make
+            // duplicates.  Otherwise, create it in "Other bookmarks",
+            // the second child of the root.
+            chrome.bookmarks.getTree(cc(done, (nodes)=>{
+                let found = module.findRoot(nodes);
+                if(found) {
+                    if(!found.children) found.children = [];
+                    done(found);
+                    return;
+                }
+
+                let kids = nodes[0].children;
+                let parent = kids[1] || kids[0];
+                chrome.bookmarks.create(
+                    {parentId: parent.id, title: module.ROOT_TITLE},
+                    cc(done, (created)=>{
+                        created.children = [];
+                        done(created);
+                    })
+                );
+            }));
+        });
+    }; //getRoot()
+
+    /// Make the children of bookmark folder #parent_node match #desired,
+    /// reusing existing bookmarks and folders in order.  Bookmarks in
+    /// #parent_node that aren't folders are left alone if #keep_loose.
+    /// @param parent_node {BookmarkTreeNode} The folder, with children
+    /// @param desired {Array} of {title, url} and {title, children}.
+    ///     Each gets a bm_id on success.
+    /// @param keep_loose {Boolean} whether to keep non-folder bookmarks
+    /// @return {ASQ} a sequence that completes when the write is done
+    function writeChildren(parent_node, desired, keep_loose)
+    {
+        let existing = (parent_node.children || []).filter((node)=>
+                            !(keep_loose && node.url));
+        let seq = ASQ();
+
+        desired.forEach((want, idx)=>{
+            let have = existing[idx];
+            let want_folder = !want.url;
+
+            seq.then((done)=>{
+                if(have && (!have.url === want_folder)) {     // Reuse it
+                    want.bm_id = have.id;
+                    let changes = {};
+                    if(have.title !== want.title) changes.title = want.title;
+                    if(!want_folder && have.url !== want.url) changes.url = want.url;
+                    if(Object.keys(changes).length > 0) {
+                        chrome.bookmarks.update(have.id, changes, ASQH.CC(done));
+                    } else {
+                        done();
+                    }
+
+                } else {                        // Replace it, or add it
+                    let create = ()=>{
+                        let props = {parentId: parent_node.id, title: want.title};
+                        if(!want_folder) props.url = want.url;
+                        chrome.bookmarks.create(props, cc(done, (node)=>{
+                            want.bm_id = node.id;
+                            done();
+                        }));
+                    };
+                    if(have) {
+                        existing[idx] = undefined;
+                        chrome.bookmarks.removeTree(have.id, cc(done, create));
+                    } else {
+                        create();
+                    }
+                }
+            });
+
+            if(want_folder) {
+                seq.then((done)=>{
+                    let reused = (existing[idx] && existing[idx].id === want.bm_id);
+                    writeChildren(
+                        reused ? existing[idx] : {id: want.bm_id, children: []},
+                        want.children || [], false)
+                    .pipe(done);
+                });
+            }
+        });
+
+        // Remove extras
+        for(let extra of existing.slice(desired.length)) {
+            if(!extra) continue;
+            seq.then((done)=>{
+                chrome.bookmarks.removeTree(extra.id, ASQH.CC(done));
+            });
+        }
+
+        return seq;
+    } //writeChildren
+
+    /// Write #tree_form (from treeForm()) into the mirror folder #root_node.
+    /// @return {ASQ} a sequence yielding the new state digests
+    ///     (bm_id => digest) for the windows written.
+    module.write = function(root_node, tree_form)
+    {
+        return writeChildren(root_node, tree_form, true)
+        .val(()=>{
+            let digests = {};
+            let add = (win_form)=>{
+                if(win_form.bm_id) digests[win_form.bm_id] = module.digestOf(win_form);
+            };
+            for(let item of tree_form) {
+                if(item.is_win) add(item);
+                else (item.children || []).forEach(add);
+            }
+            return digests;
+        });
+    }; //write()
+
+    // }}}1
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r foldmethod=marker: //
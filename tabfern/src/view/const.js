@@ -28,13 +28,27 @@
     let module = {
         STORAGE_KEY: 'tabfern-data',
             ///< Store the saved windows/tabs
+        LAST_GOOD_KEY: 'tabfern-data-last-good',
+            ///< Store the last save data that loaded successfully,
+            ///< as {time, data}
         LOCN_KEY: 'tabfern-window-location',
             ///< Store where the tabfern popup is
         LASTVER_KEY: 'tabfern-last-version',
             ///< Store the last version used on this system, for showing a
             ///< "What's New" notification
 
-        SAVE_DATA_AS_VERSION: 1,       // version we are currently saving
+        SAVE_DATA_AS_VERSION: 2,       // version we are currently saving
+
+        /// How long scheduleSave() waits for more changes before saving
+        SAVE_DELAY_MS: 1000,
+
+        /// The longest scheduleSave() will put off saving during a
+        /// continuous stream of changes
+        SAVE_MAX_DELAY_MS: 5000,
+
+        /// How long scheduleLazySave() may put off saving.  Any other save
+        /// before then, including the one on exit, saves those changes too.
+        LAZY_SAVE_DELAY_MS: 5 * 60 * 1000,
 
         //BORDERED_TAB_CLASS: 'tabfern-tab-bordered',     // class on <li>s with a top border
         //FOCUSED_WIN_CLASS: 'tf-focused-window',  // Class on the currently-focused win
@@ -44,6 +58,12 @@
             // Class on a .jstree-node to indicate its actions should be shown
 
         BULLET_CLASS: 'tf-bullet',      // class on spans showing bullets for items
+        NOTES_CLASS: 'tf-notes',        // class on icons flagging items with notes
+        TAG_CLASS: 'tf-tag',            // class on spans showing an item's tags
+        COLOR_STRIPE_CLASS: 'tf-color-stripe',
+            // class on spans showing an item's color
+        SEARCH_HIT_CLASS: 'tf-search-hit',
+            // class on the parts of a label that match the search
         CLASS_RECOVERED:  'ephemeral-recovered',
 
         INIT_TIME_ALLOWED_MS:  3000,  // After this time, if init isn't done,
@@ -65,6 +85,13 @@
         /// This many ms after mouseout, a context menu will disappear
         CONTEXT_MENU_MOUSEOUT_TIMEOUT_MS:  1500,
 
+        /// Search this many ms after the user stops typing in the search box
+        SEARCH_DELAY_MS:  200,
+
+        /// Re-sort the windows this many ms after the last change that
+        /// could affect their order.  See scheduleWindowSort() in tree.js.
+        WINDOW_SORT_DELAY_MS:  100,
+
         // --- Syntactic sugar ---
         WIN_KEEP:  true,    // must be truthy
         WIN_NOKEEP:  false, // must be falsy
@@ -77,6 +104,7 @@
         // They are also applied to nodes using jstree-multitype.
         IT_WIN:  'win',      // strings are used as required by multidex
         IT_TAB:     'tab',
+        IT_FOLDER:  'folder',   // A named group of windows
 
         // Node subtypes that can be layered onto the basic node types using jstree-multitype
         NST_OPEN:           'open',     // Present if a window or tab is open
@@ -85,6 +113,22 @@
         NST_RECOVERED:      'recovered',    // Present on windows recovered from a crash
 
         NST_TOP_BORDER:     'top-bordered', // Present on tabs that have a top border
+
+        NST_COLORED:        'colored',  // Present on items that have a color
+
+        NST_DUPLICATE:      'duplicate',    // Present on tabs the duplicate finder found
+
+        /// The colors offered in the "Set color" menu, in menu order.
+        /// #name is the suffix of the message giving the color's name.
+        ITEM_COLORS: [
+            { name: 'Red',      color: '#e53935' },
+            { name: 'Orange',   color: '#fb8c00' },
+            { name: 'Yellow',   color: '#fdd835' },
+            { name: 'Green',    color: '#43a047' },
+            { name: 'Blue',     color: '#1e88e5' },
+            { name: 'Purple',   color: '#8e24aa' },
+            { name: 'Gray',     color: '#757575' },
+        ],
     };
 
     /// Make a callback function that will forward to #fn on a later tick.
@@ -0,0 +1,124 @@
+// view/duplicates.js: Find tabs that are saved more than once.
+// Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// The duplicate finder (hamFindDuplicates() in tree.js) works on a list
+// of items, one per tab, in tree order.  Each item has at least:
+//  - url {String}: the tab's URL
+//  - time {Number}: when the tab was created, or undefined if unknown
+//  - is_open {Boolean}: whether the tab is open in Chrome
+// Callers can add whatever other members they need.  Two tabs are
+// duplicates if their URLs are the same after normalizeURL().
+//
+// showWhereURLIs() in tree.js also uses normalizeURL() and siteOf() to
+// find the tabs showing a given page or site.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory();
+    } else {
+        // Browser globals (root is `window`)
+        root.Duplicates = factory();
+    }
+}(this, function () {
+    "use strict";
+
+    /// The module we are creating
+    let module = {
+        // Ways to remove duplicates.  See extrasOf().
+        KEEP_FIRST: 'first',
+        KEEP_NEWEST: 'newest',
+        CLOSE_OPEN: 'open',
+    };
+
+    /// Empty pages, which aren't worth reporting.  Same as in
+    /// actionDeleteTab() in tree.js.
+    const EMPTY_PAGE_RE = /^((chrome:\/\/newtab\/?)|(about:blank))$/i;
+
+    /// Normalize #url so that URLs for the same page compare equal.  The
+    /// scheme and host are lowercased, default ports and fragments are
+    /// removed, and empty paths become "/".
+    /// @param url {String} The URL
+    /// @return {String} the normalized URL, or #url if it can't be parsed
+    module.normalizeURL = function(url)
+    {
+        try {
+            let parsed = new URL(url);
+            parsed.hash = '';
+            return parsed.href;
+        } catch(e) {
+            return url;
+        }
+    }; //normalizeURL()
+
+    /// Get the site #url is on: its host, without any leading "www.".
+    /// @param url {String} The URL
+    /// @return {String} the site, or null if #url has no host
+    module.siteOf = function(url)
+    {
+        try {
+            let host = new URL(url).hostname;
+            return host ? host.replace(/^www\./, '') : null;
+        } catch(e) {
+            return null;
+        }
+    }; //siteOf()
+
+    /// Find the duplicates in #items.
+    /// @param items {Array} The items, in tree order
+    /// @return {Array} [{url, items}], one for each normalized URL that more
+    ///     than one item has, in order of each group's first item.  Each
+    ///     #items is in tree order.  Empty pages are skipped.
+    module.findDuplicates = function(items)
+    {
+        let groups = new Map();     // normalized URL => [item]
+        for(let item of items) {
+            if(!item.url || EMPTY_PAGE_RE.test(item.url)) continue;
+            let url = module.normalizeURL(item.url);
+            if(!groups.has(url)) groups.set(url, []);
+            groups.get(url).push(item);
+        }
+
+        let retval = [];
+        for(let [url, group] of groups) {
+            if(group.length > 1) retval.push({url, items: group});
+        }
+        return retval;
+    }; //findDuplicates()
+
+    /// Get the items to remove from #group.
+    /// @param group {Array} The items in one group from findDuplicates()
+    /// @param how {String} One of:
+    ///     - KEEP_FIRST: all but the first item
+    ///     - KEEP_NEWEST: all but the item with the latest #time.  Items
+    ///       without a #time are older than any that have one.  Of items
+    ///       with the same time, the first is kept.
+    ///     - CLOSE_OPEN: all but the first open item, of the open items
+    /// @return {Array} the items, in tree order
+    module.extrasOf = function(group, how)
+    {
+        let candidates = group;
+        if(how === module.CLOSE_OPEN) {
+            candidates = group.filter((item)=>item.is_open);
+        }
+        if(candidates.length < 2) return [];
+
+        let keep = candidates[0];
+        if(how === module.KEEP_NEWEST) {
+            let timeOf = (item)=>(Number.isFinite(item.time) ? item.time : -Infinity);
+            for(let item of candidates) {
+                if(timeOf(item) > timeOf(keep)) keep = item;
+            }
+        }
+
+        return candidates.filter((item)=>item !== keep);
+    }; //extrasOf()
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
@@ -0,0 +1,282 @@
+// view/exporters.js: Convert TabFern save data into formats other programs
+// can read.  Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// Each exporter takes a V2 save-data tree (the `tree` member of the save
+// data, or the result of getTreeSaveDataV2() in tree.js): an array of V2
+// window records and V2 folder records.  Exporters return the text of the
+// file to be saved.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory();
+    } else {
+        // Browser globals (root is `window`)
+        root.Exporters = factory();
+    }
+}(this, function () {
+    "use strict";
+
+    /// The module we are creating
+    let module = {};
+
+    // Helpers ///////////////////////////////////////////////////////// {{{1
+
+    /// Escape #text for use in HTML content or a double-quoted attribute.
+    /// We don't use justhtmlescape here because it also escapes spaces
+    /// and punctuation, which other programs' importers may not undo.
+    function escapeHTML(text)
+    {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    } //escapeHTML
+
+    /// Call #cbk(win_data_v2, folder_data_v2) for each window in #tree.
+    /// #folder_data_v2 is the folder holding the window, or null.
+    function forEachWindow(tree, cbk)
+    {
+        for(let item of (Array.isArray(tree) ? tree : [])) {
+            if(!item) continue;
+            if(item.folder) {
+                for(let win of (item.wins || [])) {
+                    if(win) cbk(win, item);
+                }
+            } else {
+                cbk(item, null);
+            }
+        }
+    } //forEachWindow
+
+    /// Call #cbk(tab, depth) for each tab in window #win_data_v2, depth-first.
+    /// #depth is 0 for tabs directly in the window.
+    function forEachTab(win_data_v2, cbk)
+    {
+        function visit(tabs, depth) {
+            if(!Array.isArray(tabs)) return;
+            for(let tab of tabs) {
+                if(!tab) continue;
+                cbk(tab, depth);
+                visit(tab.children, depth+1);
+            }
+        }
+        visit(win_data_v2.tabs, 0);
+    } //forEachTab
+
+    /// Get the tabs in V2 window record #win_data_v2, with nested tabs
+    /// flattened in depth-first order.
+    function flatTabsOf(win_data_v2)
+    {
+        let retval = [];
+        forEachTab(win_data_v2, (tab)=>{ retval.push(tab); });
+        return retval;
+    } //flatTabsOf
+
+    /// Title to export for window or folder record #data.
+    /// @param data {Object} The record
+    /// @param untitled {String} The title to use if #data doesn't have one
+    function titleOf(data, untitled)
+    {
+        return (typeof data.raw_title === 'string' && data.raw_title) ?
+            data.raw_title : untitled;
+    } //titleOf
+
+    // }}}1
+    // Netscape bookmarks HTML ///////////////////////////////////////// {{{1
+
+    /// The lines of the notes of record #data, or [] if it has none
+    function notesLinesOf(data)
+    {
+        if(typeof data.raw_notes !== 'string' || !data.raw_notes.trim()) {
+            return [];
+        }
+        return data.raw_notes.replace(/\s+$/, '').split(/\r?\n/);
+    } //notesLinesOf
+
+    /// Export #tree as a NETSCAPE-Bookmark-file-1 HTML file.  Each window
+    /// becomes a bookmark folder, and each folder becomes a bookmark folder
+    /// holding its windows' folders.  Tab bullets are saved as the first
+    /// line of bookmark descriptions, and notes as the following lines.
+    /// Window notes are saved as bookmark-folder descriptions.
+    /// @param tree {Array} The V2 save-data tree
+    /// @param options {Object={}} Optional:
+    /// - untitled_win {String}: the title for windows without one
+    /// - untitled_folder {String}: the title for folders without one
+    /// - title {String}: the title of the bookmarks file
+    /// @return {String} the HTML
+    module.toBookmarksHTML = function(tree, options = {})
+    {
+        let untitled_win = options.untitled_win || 'TabFern';
+        let untitled_folder = options.untitled_folder || untitled_win;
+        let doc_title = escapeHTML(options.title || 'Bookmarks');
+        let lines = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<!-- This is an automatically generated file.',
+            '     It will be read and overwritten.',
+            '     DO NOT EDIT! -->',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            `<TITLE>${doc_title}</TITLE>`,
+            `<H1>${doc_title}</H1>`,
+            '<DL><p>',
+        ];
+
+        function addWindow(win_data_v2, indent) {
+            lines.push(`${indent}<DT><H3>${escapeHTML(titleOf(win_data_v2, untitled_win))}</H3>`);
+            let win_notes = notesLinesOf(win_data_v2);
+            if(win_notes.length > 0) {
+                lines.push(`${indent}<DD>` + escapeHTML(win_notes.join('\n')));
+            }
+            lines.push(`${indent}<DL><p>`);
+            for(let tab of flatTabsOf(win_data_v2)) {
+                let icon = '';
+                if(/^https?:/i.test(tab.raw_favicon_url || '')) {
+                    icon = ` ICON_URI="${escapeHTML(tab.raw_favicon_url)}"`;
+                }
+                lines.push(`${indent}    <DT><A HREF="${escapeHTML(tab.raw_url || '')}"${icon}>` +
+                            escapeHTML(tab.raw_title || tab.raw_url || '') +
+                            '</A>');
+                let notes = notesLinesOf(tab);
+                if(tab.raw_bullet || notes.length > 0) {
+                    lines.push(`${indent}    <DD>` +
+                        escapeHTML([tab.raw_bullet || ''].concat(notes)
+                                    .join('\n')));
+                }
+            }
+            lines.push(`${indent}</DL><p>`);
+        } //addWindow
+
+        for(let item of (Array.isArray(tree) ? tree : [])) {
+            if(!item) continue;
+            if(item.folder) {
+                lines.push(`    <DT><H3>${escapeHTML(titleOf(item, untitled_folder))}</H3>`);
+                lines.push('    <DL><p>');
+                for(let win of (item.wins || [])) {
+                    if(win) addWindow(win, '        ');
+                }
+                lines.push('    </DL><p>');
+            } else {
+                addWindow(item, '    ');
+            }
+        }
+
+        lines.push('</DL><p>');
+        return lines.join('\n') + '\n';
+    }; //toBookmarksHTML()
+
+    // }}}1
+    // Text formats //////////////////////////////////////////////////// {{{1
+
+    /// Export #tree as Markdown: a heading per folder and per window, and
+    /// a (nested) list of links per window.  Bullets follow the links, and
+    /// notes follow the headings or links they belong to.
+    /// Windows in folders get a lower-level heading than their folder.
+    /// @param tree {Array} The V2 save-data tree
+    /// @param options {Object={}} untitled_win and untitled_folder, as
+    ///                             toBookmarksHTML().
+    /// @return {String} the Markdown
+    module.toMarkdown = function(tree, options = {})
+    {
+        let untitled_win = options.untitled_win || 'TabFern';
+        let untitled_folder = options.untitled_folder || untitled_win;
+        let lines = [];
+        let last_folder = null;
+
+        let escText = (text)=>String(text).replace(/([\\\[\]*_`<>])/g, '\\$1');
+        let escURL = (url)=>String(url).replace(/\(/g, '%28')
+                                        .replace(/\)/g, '%29')
+                                        .replace(/ /g, '%20');
+
+        forEachWindow(tree, (win, folder)=>{
+            if(folder && folder !== last_folder) {
+                lines.push(`## ${escText(titleOf(folder, untitled_folder))}`, '');
+            }
+            last_folder = folder;
+
+            lines.push(`${folder ? '###' : '##'} ${escText(titleOf(win, untitled_win))}`, '');
+
+            let win_notes = notesLinesOf(win);
+            if(win_notes.length > 0) lines.push(...win_notes.map(escText), '');
+
+            forEachTab(win, (tab, depth)=>{
+                let url = tab.raw_url || '';
+                let line = '  '.repeat(depth) +
+                    `- [${escText(tab.raw_title || url)}](${escURL(url)})`;
+                if(tab.raw_bullet) line += ` \u2014 ${escText(tab.raw_bullet)}`;
+                lines.push(line);
+
+                // Indent the notes so they stay part of the list item
+                for(let notes_line of notesLinesOf(tab)) {
+                    lines.push(notes_line.trim() ?
+                        '  '.repeat(depth+1) + escText(notes_line) : '');
+                }
+            });
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }; //toMarkdown()
+
+    /// Export #tree as plain text: the URLs of each window's tabs, one per
+    /// line, with a blank line between windows.
+    /// @param tree {Array} The V2 save-data tree
+    /// @return {String} the text
+    module.toPlainText = function(tree, _unused_options = {})
+    {
+        let wins = [];
+        forEachWindow(tree, (win)=>{
+            let urls = [];
+            forEachTab(win, (tab)=>{ if(tab.raw_url) urls.push(tab.raw_url); });
+            if(urls.length > 0) wins.push(urls.join('\n'));
+        });
+        return wins.join('\n\n') + '\n';
+    }; //toPlainText()
+
+    /// Quote #val as a CSV field per RFC 4180, if necessary.
+    function csvField(val)
+    {
+        let text = (val === undefined || val === null) ? '' : String(val);
+        if(/[",\r\n]/.test(text)) text = '"' + text.replace(/"/g, '""') + '"';
+        return text;
+    } //csvField
+
+    /// Export #tree as CSV, one row per tab, with columns window title,
+    /// tab title, URL, bullet, pinned, bordered, notes.
+    /// @param tree {Array} The V2 save-data tree
+    /// @param options {Object={}} untitled_win, as toBookmarksHTML().
+    /// @return {String} the CSV, including a header row
+    module.toCSV = function(tree, options = {})
+    {
+        let untitled_win = options.untitled_win || 'TabFern';
+        let rows = [['Window', 'Title', 'URL', 'Bullet', 'Pinned', 'Bordered',
+                        'Notes']];
+
+        forEachWindow(tree, (win)=>{
+            let win_title = titleOf(win, untitled_win);
+            forEachTab(win, (tab)=>{
+                rows.push([win_title, tab.raw_title, tab.raw_url,
+                    tab.raw_bullet, !!tab.isPinned, !!tab.bordered,
+                    tab.raw_notes]);
+            });
+        });
+
+        return rows.map((row)=>row.map(csvField).join(',')).join('\r\n') +
+                '\r\n';
+    }; //toCSV()
+
+    /// The text formats, for building menus.  Each has the
+    /// rendering function and the filename extension.
+    module.text_formats = {
+        markdown: { render: module.toMarkdown, extension: 'md' },
+        text: { render: module.toPlainText, extension: 'txt' },
+        csv: { render: module.toCSV, extension: 'csv' },
+    };
+
+    // }}}1
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r foldmethod=marker: //
@@ -0,0 +1,227 @@
+// view/history.js: Keep a rolling history of save-data snapshots so the
+// user can go back to an earlier tree.  Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// The list of snapshots is kept in chrome.storage.local under STORAGE_KEY,
+// newest first, as {time, key, nwins, ntabs}.  #time is ms since the epoch.
+// #key names the chrome.storage.local item holding the snapshot's save
+// data, compressed (see compression.js).  Snapshots from before the data
+// had its own key have the save data in #data instead of a #key.
+//
+// A new snapshot is taken only once the newest one is a five-minute
+// bucket old, and only if the tree changed since then, so saves in
+// between don't cost anything.  The history keeps
+// the newest snapshot in each time bucket, per BUCKETS: five-minute
+// buckets for the last hour, hourly buckets for the last day, and daily
+// buckets for the last week.  Older snapshots are dropped.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['asynquence-contrib', 'asq-helpers', 'common/compression'],
+                factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory(require('asynquence-contrib'),
+                                    require('asq-helpers'),
+                                    require('common/compression'));
+    } else {
+        // Browser globals (root is `window`)
+        root.History = factory(root.ASQ, root.ASQH, root.Compression);
+    }
+}(this, function (ASQ, ASQH, Compression) {
+    "use strict";
+
+    const MINUTE = 60*1000, HOUR = 60*MINUTE, DAY = 24*HOUR;
+
+    /// The module we are creating
+    let module = {
+        STORAGE_KEY: 'tabfern-history',
+            ///< chrome.storage.local key for the snapshots
+
+        BUCKETS: [
+            // Snapshots younger than max_age are kept one per bucket_size
+            { max_age: HOUR, bucket_size: 5*MINUTE },
+            { max_age: DAY, bucket_size: HOUR },
+            { max_age: 7*DAY, bucket_size: DAY },
+        ],
+    };
+
+    /// The time of the newest snapshot: undefined if we haven't read the
+    /// list yet, or null if there are no snapshots.
+    let newest_time;
+
+    /// Whether the tree changed since the newest snapshot.  We don't know
+    /// until we are told, so assume it did.
+    let has_changes = true;
+
+    /// Count the windows and tabs in save data #data.  Handles V0, V1,
+    /// and V2 save data, including folders and nested tabs.
+    /// @return {Object} {nwins, ntabs}
+    module.counts = function(data)
+    {
+        let tree = Array.isArray(data) ? data :
+                    (data && Array.isArray(data.tree) ? data.tree : []);
+        let nwins = 0, ntabs = 0;
+
+        let count_tabs = (tabs)=>{
+            if(!Array.isArray(tabs)) return;
+            for(let tab of tabs) {
+                if(!tab) continue;
+                ++ntabs;
+                count_tabs(tab.children);
+            }
+        };
+
+        for(let item of tree) {
+            if(!item) continue;
+            for(let win of (item.folder ? (item.wins || []) : [item])) {
+                ++nwins;
+                count_tabs(win.tabs);
+            }
+        }
+
+        return {nwins, ntabs};
+    }; //counts()
+
+    /// Thin out #snapshots per BUCKETS.
+    /// @param snapshots {Array} The snapshots, newest first
+    /// @param now {Number} The current time, in ms since the epoch
+    /// @return {Array} the snapshots to keep, newest first
+    module.prune = function(snapshots, now)
+    {
+        let retval = [];
+        let seen_buckets = new Set();
+
+        for(let snap of snapshots) {
+            let age = now - snap.time;
+            let bucket = module.BUCKETS.find((b)=>age < b.max_age);
+            if(!bucket) continue;       // Too old
+
+            // Buckets are aligned to absolute time so they don't shift
+            // as time passes.
+            let bucket_id = `${bucket.bucket_size}:` +
+                            Math.floor(snap.time / bucket.bucket_size);
+            if(seen_buckets.has(bucket_id)) continue;   // have a newer one
+            seen_buckets.add(bucket_id);
+            retval.push(snap);
+        }
+
+        return retval;
+    }; //prune()
+
+    /// The chrome.storage.local key for the data of the snapshot taken at
+    /// #time
+    module.keyOf = function(time)
+    {
+        return `${module.STORAGE_KEY}-${time}`;
+    }; //keyOf()
+
+    /// Whether a snapshot is due at #now, given the time of the newest one.
+    /// @param newest_time {Number} The newest snapshot's time, or null if
+    ///                             there are none
+    /// @param now {Number} The current time, in ms since the epoch
+    /// @return {Boolean}
+    module.isDue = function(newest_time, now)
+    {
+        return (typeof newest_time !== 'number') ||
+                (now - newest_time >= module.BUCKETS[0].bucket_size);
+    }; //isDue()
+
+    /// Get the list of snapshots.  Use load() to get a snapshot's save data.
+    /// @return {ASQ} a sequence yielding the snapshots, newest first
+    module.list = function()
+    {
+        return ASQH.NowCC((cc)=>{
+            chrome.storage.local.get(module.STORAGE_KEY, cc);
+        })
+        .val((items)=>{
+            let snapshots = items[module.STORAGE_KEY];
+            return Array.isArray(snapshots) ? snapshots : [];
+        });
+    }; //list()
+
+    /// Get the save data of snapshot #snap, from list().
+    /// @return {ASQ} a sequence yielding the save data
+    module.load = function(snap)
+    {
+        if(!snap.key) return ASQ(snap.data);    // From before #key
+
+        return ASQH.NowCC((cc)=>{
+            chrome.storage.local.get(snap.key, cc);
+        })
+        .val((items)=>{
+            if(!(snap.key in items)) {
+                throw new Error(`Snapshot ${snap.key} is missing`);
+            }
+            return Compression.decompressSaveData(items[snap.key]);
+        });
+    }; //load()
+
+    /// Add save data #data to the history, if a snapshot is due (isDue())
+    /// and the tree changed since the newest one.
+    /// @param data {Object} The save data
+    /// @param changed_ids {Array=} The node IDs of the items that changed
+    ///     since the last call.  If not given, the tree may have changed.
+    /// @param now {Number=} The current time, in ms since the epoch
+    /// @return {ASQ} a sequence that completes once the history is stored
+    module.addSnapshot = function(data, changed_ids = undefined,
+                                    now = Date.now())
+    {
+        if(!changed_ids || changed_ids.length > 0) has_changes = true;
+        if(!has_changes ||
+            (newest_time !== undefined && !module.isDue(newest_time, now))
+        ) {
+            return ASQ();       // Not yet
+        }
+
+        let stale_keys = [];
+        return module.list()
+        .then((done, snapshots)=>{
+            if(newest_time === undefined) {
+                newest_time = snapshots.length > 0 ? snapshots[0].time : null;
+            }
+            if(!has_changes || !module.isDue(newest_time, now)) {
+                done();         // Another call got here first
+                return;
+            }
+            newest_time = now;
+            has_changes = false;
+
+            let snap = Object.assign({time: now, key: module.keyOf(now)},
+                                        module.counts(data));
+            let to_set = {[snap.key]: Compression.compressSaveData(data)};
+
+            let kept = module.prune([snap].concat(snapshots), now);
+            stale_keys = snapshots.filter((s)=>s.key && !kept.includes(s))
+                                .map((s)=>s.key);
+
+            // Move the data of older snapshots to their own keys
+            kept = kept.map((s)=>{
+                if(s.key) return s;
+                let moved = {time: s.time, key: module.keyOf(s.time),
+                                nwins: s.nwins, ntabs: s.ntabs};
+                to_set[moved.key] = Compression.compressSaveData(s.data);
+                return moved;
+            });
+            to_set[module.STORAGE_KEY] = kept;
+
+            chrome.storage.local.set(to_set, ASQH.CC(done));
+        })
+        .then((done)=>{
+            if(stale_keys.length === 0) {
+                done();
+                return;
+            }
+            chrome.storage.local.remove(stale_keys, ASQH.CC(done));
+        })
+        .or(()=>{
+            newest_time = undefined;    // Check storage again next time
+            has_changes = true;
+        });
+    }; //addSnapshot()
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
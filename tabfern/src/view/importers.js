@@ -0,0 +1,433 @@
+// view/importers.js: Convert exports from other tab managers into TabFern
+// V1 window records.  Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// Each importer has:
+// - id {String}:       a short name for the format
+// - name {String}:     the user-visible name of the format
+// - detect(text, parsed) {function}: returns truthy if #text is in the
+//      format.  #parsed is the result of JSON.parse(text), or undefined
+//      if #text isn't JSON.
+// - convert(text, parsed) {function}: returns an array of V1 window records
+//      and folder records ({folder: true, raw_title, wins: [V1 windows]}).
+// Importers are tried in order, so put more-specific formats first.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['common/validation'], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory(require('common/validation'));
+    } else {
+        // Browser globals (root is `window`)
+        root.Importers = factory(root.Validation);
+    }
+}(this, function (Validation) {
+    "use strict";
+
+    /// The module we are creating
+    let module = {};
+
+    // Helpers ///////////////////////////////////////////////////////// {{{1
+
+    /// Is #val a non-null object that is not an array?
+    function isPlainObject(val)
+    {
+        return (!!val && typeof val === 'object' && !Array.isArray(val));
+    } //isPlainObject
+
+    /// Make a V1 tab record, or return null if #url isn't usable.
+    /// @param url {mixed}          The tab's URL
+    /// @param title {mixed}        The tab's title, if known
+    /// @param more {Object=}       Optional {pinned, favicon_url, bullet,
+    ///                             notes}
+    function makeTabV1(url, title, more = {})
+    {
+        if(typeof url !== 'string' || !url) return null;
+
+        let tab = {
+            raw_url: url,
+            raw_title: (typeof title === 'string' && title) ? title : url,
+        };
+
+        if(more.pinned) tab.isPinned = true;
+        if(typeof more.bullet === 'string' && more.bullet) {
+            tab.raw_bullet = more.bullet;
+        }
+        if(typeof more.notes === 'string' && more.notes) {
+            tab.raw_notes = more.notes;
+        }
+
+        // Only keep favicons we can fetch later.  Some exporters store
+        // large data: URLs, which we don't want in the save data.
+        if(Validation.isValidURL(more.favicon_url, ['http', 'https'])) {
+            tab.raw_favicon_url = more.favicon_url;
+        }
+
+        return tab;
+    } //makeTabV1
+
+    /// Make a V1 window record from a list of V1 tabs (nulls are skipped).
+    /// @param more {Object=}       Optional {notes}
+    /// @return the record, or null if there are no tabs.
+    function makeWinV1(title, tabs, more = {})
+    {
+        tabs = tabs.filter((tab)=>!!tab);
+        if(tabs.length < 1) return null;
+        let win = {
+            raw_title: (typeof title === 'string' && title) ? title : null,
+            tabs,
+        };
+        if(typeof more.notes === 'string' && more.notes) {
+            win.raw_notes = more.notes;
+        }
+        return win;
+    } //makeWinV1
+
+    /// Title for window #idx of #count in a session called #session_name
+    function sessionWinTitle(session_name, idx, count)
+    {
+        if(typeof session_name !== 'string' || !session_name) return null;
+        return (count > 1) ? `${session_name} (${idx+1})` : session_name;
+    } //sessionWinTitle
+
+    // }}}1
+    // Netscape bookmarks HTML ///////////////////////////////////////// {{{1
+
+    // The NETSCAPE-Bookmark-file-1 format that browsers use for bookmark
+    // exports, and that view/exporters writes.  A folder holding bookmarks
+    // becomes a window; a top-level folder holding only folders becomes a
+    // TabFern folder.  Deeper folders are flattened into their windows.
+    // The first line of a bookmark's description (<DD>) becomes the tab's
+    // bullet, and any other lines become its notes.  A folder's description
+    // becomes the notes of its window.
+
+    const NETSCAPE_DOCTYPE_RE = /^\s*<!DOCTYPE\s+NETSCAPE-Bookmark-file-1\s*>/i;
+
+    /// The URL schemes of bookmarks we import.  Others, e.g., javascript:
+    /// bookmarklets and Firefox place: queries, wouldn't work as tabs.
+    const BOOKMARK_SCHEMES = ['http', 'https', 'ftp', 'file', 'chrome', 'about'];
+
+    /// Find the <DL> holding the contents of the folder whose <DT> is #dt.
+    /// Depending on the markup, the parser puts it inside the <DT> or
+    /// after it.
+    function folderDLOf(dt)
+    {
+        for(let kid of dt.children) {
+            if(kid.tagName === 'DL') return kid;
+        }
+        for(let sib = dt.nextElementSibling; sib; sib = sib.nextElementSibling) {
+            if(sib.tagName === 'DL') return sib;
+            if(sib.tagName === 'DT') break;
+            if(sib.tagName === 'DD') {
+                // A folder description doesn't end until the next <DT>,
+                // so the parser puts the folder's <DL> inside it.
+                for(let kid of sib.children) {
+                    if(kid.tagName === 'DL') return kid;
+                }
+            }
+        }
+        return null;
+    } //folderDLOf
+
+    /// Get the description of the item whose <DT> is #dt, or '' if none.
+    function descriptionOf(dt)
+    {
+        let dd = dt.nextElementSibling;
+        if(!dd || dd.tagName !== 'DD') return '';
+
+        // Skip the contents of a folder, which may be inside the <DD>
+        let text = '';
+        for(let kid of dd.childNodes) {
+            if(kid.tagName === 'DL') break;
+            text += kid.textContent;
+        }
+        return text.replace(/\s+$/, '');
+    } //descriptionOf
+
+    /// Parse the items in <DL> #dl.
+    /// @return {Array} of {title, items} (folders) and V1 tab records.
+    function parseBookmarkDL(dl)
+    {
+        let retval = [];
+        for(let dt of dl.children) {
+            if(dt.tagName !== 'DT') continue;
+            let heading = null, link = null;
+            for(let kid of dt.children) {
+                if(kid.tagName === 'H3') heading = kid;
+                if(kid.tagName === 'A') link = kid;
+            }
+
+            if(heading) {
+                let sub_dl = folderDLOf(dt);
+                retval.push({
+                    title: heading.textContent.trim(),
+                    items: sub_dl ? parseBookmarkDL(sub_dl) : [],
+                    notes: descriptionOf(dt).trim(),
+                });
+
+            } else if(link) {
+                let href = link.getAttribute('href');
+                if(!Validation.isValidURL(href, BOOKMARK_SCHEMES)) continue;
+
+                let desc = descriptionOf(dt);
+                let nl = desc.indexOf('\n');
+                retval.push(makeTabV1(href, link.textContent.trim(),
+                    {   favicon_url: link.getAttribute('icon_uri') ||
+                                        link.getAttribute('icon'),
+                        bullet: (nl < 0 ? desc : desc.slice(0, nl)).trim(),
+                        notes: (nl < 0) ? '' : desc.slice(nl+1),
+                    }));
+            }
+        }
+        return retval.filter((item)=>!!item);
+    } //parseBookmarkDL
+
+    /// All the tabs in #items, including those in nested folders
+    function bookmarkTabsOf(items)
+    {
+        let retval = [];
+        for(let item of items) {
+            if(Array.isArray(item.items)) {
+                retval.push(...bookmarkTabsOf(item.items));
+            } else {
+                retval.push(item);
+            }
+        }
+        return retval;
+    } //bookmarkTabsOf
+
+    let netscape_bookmarks = {
+        id: 'netscape-bookmarks',
+        name: 'Bookmarks HTML',
+
+        detect: function(text, parsed) {
+            return (parsed === undefined) &&
+                NETSCAPE_DOCTYPE_RE.test(String(text));
+        },
+
+        convert: function(text, _unused_parsed) {
+            let doc = new DOMParser().parseFromString(String(text),
+                                                        'text/html');
+            let root_dl = doc.querySelector('dl');
+            if(!root_dl) return [];
+
+            let retval = [];
+            let loose_tabs = [];    // bookmarks not in any folder
+
+            for(let item of parseBookmarkDL(root_dl)) {
+                if(!Array.isArray(item.items)) {
+                    loose_tabs.push(item);
+                    continue;
+                }
+
+                // A folder of folders becomes a TabFern folder
+                let is_folder_of_folders = (item.items.length > 0) &&
+                    item.items.every((kid)=>Array.isArray(kid.items));
+
+                if(is_folder_of_folders) {
+                    let wins = item.items.map((kid)=>
+                        makeWinV1(kid.title, bookmarkTabsOf(kid.items),
+                                    {notes: kid.notes}))
+                        .filter((win)=>!!win);
+                    retval.push({folder: true,
+                        raw_title: item.title || null, wins});
+                } else {
+                    let win = makeWinV1(item.title, bookmarkTabsOf(item.items),
+                                        {notes: item.notes});
+                    if(win) retval.push(win);
+                }
+            }
+
+            let win = makeWinV1(null, loose_tabs);
+            if(win) retval.push(win);
+
+            return retval;
+        },
+    }; //netscape_bookmarks
+
+    // }}}1
+    // OneTab ////////////////////////////////////////////////////////// {{{1
+
+    // OneTab's "Export URLs" is plain text, one tab per line, as
+    // `URL | Title`.  Tab groups are separated by blank lines.
+
+    const ONETAB_LINE_RE = /^([a-z][a-z0-9+.\-]*:\S*)(?:\s+\|\s?(.*))?$/i;
+
+    let onetab = {
+        id: 'onetab',
+        name: 'OneTab',
+
+        detect: function(text, parsed) {
+            if(parsed !== undefined) return false;  // not JSON
+            let lines = String(text).split(/\r?\n/).filter((l)=>l.trim());
+            if(lines.length < 1) return false;
+            return lines.every((line)=>ONETAB_LINE_RE.test(line.trim()));
+        },
+
+        convert: function(text, _unused_parsed) {
+            let wins = [];
+            let tabs = [];
+
+            for(let line of String(text).split(/\r?\n/)) {
+                line = line.trim();
+                if(!line) {                     // end of a group
+                    let win = makeWinV1(null, tabs);
+                    if(win) wins.push(win);
+                    tabs = [];
+                    continue;
+                }
+
+                let matches = line.match(ONETAB_LINE_RE);
+                if(!matches) continue;
+                tabs.push(makeTabV1(matches[1], matches[2]));
+            }
+
+            let win = makeWinV1(null, tabs);    // the last group
+            if(win) wins.push(win);
+
+            return wins;
+        },
+    }; //onetab
+
+    // }}}1
+    // Session Buddy /////////////////////////////////////////////////// {{{1
+
+    // Session Buddy JSON exports are
+    // {sessions: [{name, windows: [{tabs: [{url, title, pinned,
+    //  favIconUrl}, ...]}, ...]}, ...], ...}
+
+    let session_buddy = {
+        id: 'session-buddy',
+        name: 'Session Buddy',
+
+        detect: function(text, parsed) {
+            return isPlainObject(parsed) && Array.isArray(parsed.sessions) &&
+                parsed.sessions.every((sess)=>
+                    isPlainObject(sess) && Array.isArray(sess.windows));
+        },
+
+        convert: function(text, parsed) {
+            let wins = [];
+            for(let sess of parsed.sessions) {
+                let session_name = sess.name || sess.title;
+                sess.windows.forEach((sbwin, idx)=>{
+                    if(!isPlainObject(sbwin) || !Array.isArray(sbwin.tabs)) return;
+                    let tabs = sbwin.tabs.map((sbtab)=>
+                        isPlainObject(sbtab) ?
+                            makeTabV1(sbtab.url, sbtab.title,
+                                {pinned: sbtab.pinned,
+                                    favicon_url: sbtab.favIconUrl}) :
+                            null
+                    );
+                    let win = makeWinV1(
+                        sessionWinTitle(session_name, idx, sess.windows.length),
+                        tabs);
+                    if(win) wins.push(win);
+                });
+            }
+            return wins;
+        },
+    }; //session_buddy
+
+    // }}}1
+    // Tab Session Manager ///////////////////////////////////////////// {{{1
+
+    // Tab Session Manager JSON exports are an array of sessions.  Each is
+    // {name, windows: {<window id>: {<tab id>: {url, title, index,
+    //  pinned, favIconUrl}, ...}, ...}, ...}.
+
+    let tab_session_manager = {
+        id: 'tab-session-manager',
+        name: 'Tab Session Manager',
+
+        detect: function(text, parsed) {
+            return Array.isArray(parsed) && parsed.length > 0 &&
+                parsed.every((sess)=>
+                    isPlainObject(sess) && isPlainObject(sess.windows));
+        },
+
+        convert: function(text, parsed) {
+            let wins = [];
+            for(let sess of parsed) {
+                let win_ids = Object.keys(sess.windows);
+                win_ids.forEach((win_id, idx)=>{
+                    let tsmwin = sess.windows[win_id];
+                    if(!isPlainObject(tsmwin)) return;
+
+                    let tsmtabs = Object.keys(tsmwin).map((k)=>tsmwin[k])
+                                    .filter(isPlainObject);
+                    tsmtabs.sort((a,b)=>((+a.index||0) - (+b.index||0)));
+
+                    let tabs = tsmtabs.map((tsmtab)=>
+                        makeTabV1(tsmtab.url, tsmtab.title,
+                            {pinned: tsmtab.pinned,
+                                favicon_url: tsmtab.favIconUrl})
+                    );
+                    let win = makeWinV1(
+                        sessionWinTitle(sess.name, idx, win_ids.length),
+                        tabs);
+                    if(win) wins.push(win);
+                });
+            }
+            return wins;
+        },
+    }; //tab_session_manager
+
+    // }}}1
+    // Public interface //////////////////////////////////////////////// {{{1
+
+    /// All the importers, in the order they are tried
+    module.importers = [netscape_bookmarks, session_buddy,
+                        tab_session_manager, onetab];
+
+    /// Determine which format #text is in.
+    /// @param text {String} The contents of the file
+    /// @return {Object} The importer, or null if no importer recognizes #text.
+    module.detect = function(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch(e) {
+            parsed = undefined;
+        }
+
+        for(let importer of module.importers) {
+            if(importer.detect(text, parsed)) return importer;
+        }
+        return null;
+    }; //detect()
+
+    /// Convert #text from whatever format it is in.
+    /// @param text {String} The contents of the file
+    /// @return {Object} {id, name, wins, win_count, tab_count}, where wins is
+    ///     an array of V1 window records and folder records
+    ///     ({folder: true, raw_title, wins}).  Returns null if the format
+    ///     was not recognized.
+    module.convert = function(text) {
+        let importer = module.detect(text);
+        if(!importer) return null;
+
+        let parsed;
+        try { parsed = JSON.parse(text); } catch(e) { parsed = undefined; }
+
+        let wins = importer.convert(text, parsed);
+        let win_count = 0, tab_count = 0;
+        for(let item of wins) {
+            for(let win of (item.folder ? item.wins : [item])) {
+                ++win_count;
+                tab_count += win.tabs.length;
+            }
+        }
+
+        return {id: importer.id, name: importer.name, wins, win_count,
+                tab_count};
+    }; //convert()
+
+    // }}}1
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r foldmethod=marker: //
@@ -48,15 +48,29 @@
             'tab',          // the actual Tab record from Chrome
                 // TODO remove this --- tab_id should be enough
             'being_opened', // true if we are manually opening the Chrome tab
+            'nested_under', // node ID of the tab this tab was nested under
+                            // before its window was opened and flattened.
+                            // undefined => none.
             'raw_url',      // the tab's URL
             'raw_title',    // the tab's title.  null => default.
             'isOpen',       // open or not
             'raw_bullet',   // User-provided descriptive text (brief).
                             // null => none.
-                            // It's not called a "note" because we may
-                            // someday add a long-form notes field.
+                            // It's not called a "note" because
+                            // raw_notes holds the long-form notes.
+            'raw_notes',    // User-provided notes (long-form, may be
+                            // multi-line).  null => none.
+            'tags',         // User-provided tags (see view/tags.js).
+                            // Array of strings.  undefined => none.
+            'color',        // User-assigned color, as '#rrggbb'.
+                            // undefined => none.
             'raw_favicon_url',  //favicon URL
             'isPinned',     // whether the tab is pinned
+            'time_created', // when TabFern first saw the tab,
+                            // in ms since the epoch.  undefined => unknown.
+            'time_opened',  // when the tab was last opened, likewise
+            'time_activated',   // when the tab was last the active tab
+                                // in its window, likewise
             // Note: isTopBordered (NST_TOP_BORDER) is stored in the jstree,
             // not here.
         ]);
@@ -83,7 +97,30 @@
             'keep',         // whether the window should be saved or not
             //'raw_bullet',   // User-provided text (brief).  null => none
                 // Not currently used.
+            'raw_notes',    // User-provided notes (long-form, may be
+                            // multi-line).  null => none.
+            'tags',         // User-provided tags (see view/tags.js).
+                            // Array of strings.  undefined => none.
+            'color',        // User-assigned color, as '#rrggbb'.
+                            // undefined => none.
             'prune_data',   // {timer_id,cwin} of a setTimeout used for pruning
+            'open_tab_node_ids',    // If the window was partly open when
+                            // the tree was saved, the node IDs of the tabs
+                            // that were open, in order.  Used to reconnect
+                            // the window at startup.  undefined => none.
+        ]);
+
+    /// Map between node IDs and folders.  Folders group windows into
+    /// named collections.  They only exist in the tree, so have no
+    /// Chrome IDs.
+    module.folders = multidex(
+        K.IT_FOLDER,    //type
+        [ //keys
+            'node_id',  // from jstree
+        ],
+        [ //other data
+            'raw_title',    // the folder's name
+            'isOpen',       // always false --- folders are not Chrome widgets
         ]);
 
     /// Find a node's value in the model, regardless of type.
@@ -103,6 +140,9 @@
         val = module.tabs.by_node_id(node_id);
         if(val) return val;
 
+        val = module.folders.by_node_id(node_id);
+        if(val) return val;
+
         return false;   //not found
     } //val_by_node_id
 
@@ -233,10 +233,13 @@
     // CSS classes
     const WIN_CLASS = 'tf-window'; // class on all <li>s representing windows
     const TAB_CLASS = 'tf-tab';    // class on all <li>s representing tabs
+    const FOLDER_CLASS = 'tf-folder';  // class on all <li>s representing folders
     const OPEN_CLASS = 'tfs-open';
     const SAVED_CLASS = 'tfs-saved';
     const RECOVERED_CLASS = 'tfs-recovered';
     const TOP_BORDER_CLASS = 'tfs-top-bordered';
+    const COLORED_CLASS = 'tfs-colored';
+    const DUPLICATE_CLASS = 'tfs-duplicate';
 
     /// Create the tree.
     /// @param selector {JQuery selector} where to make the tree
@@ -259,12 +262,19 @@
         jstreeTypes[K.NST_SAVED] = { li_attr: { 'class': SAVED_CLASS } };
         jstreeTypes[K.NST_RECOVERED] = { li_attr: { 'class': RECOVERED_CLASS } };
         jstreeTypes[K.NST_TOP_BORDER] = { li_attr: { 'class': TOP_BORDER_CLASS } };
+        jstreeTypes[K.NST_COLORED] = { li_attr: { 'class': COLORED_CLASS } };
+        jstreeTypes[K.NST_DUPLICATE] = { li_attr: { 'class': DUPLICATE_CLASS } };
 
         jstreeTypes[K.IT_TAB] = {
             li_attr: { 'class': TAB_CLASS },
             icon: 'fff-page',   // per-node icons will override this
         };
 
+        jstreeTypes[K.IT_FOLDER] = {
+            li_attr: { 'class': FOLDER_CLASS },
+            icon: 'fa fa-folder-o',
+        };
+
         // TODO add option for users to create divider items between windows -
         // e.g., <div style="display:inline-block; width: 100%; height:0px; margin-top:8px; margin-bottom:7px; border-top: 1px solid yellow;"></div>
 
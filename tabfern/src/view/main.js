@@ -46,6 +46,8 @@ let the_split;
 
 function doSplit()
 {
+    if(!the_split) closeNotes();    // One pane at a time
+
     if(!!the_split) {   // Close the split
         the_split.collapse(1);      // close #plugin-container
         the_split.destroy();
@@ -66,6 +68,85 @@ function doSplit()
     }
 } //doSplit
 
+//////////////////////////////////////////////////////////////////////////
+// NOTES //
+
+let notes_split;
+
+/// The sizes of the tree and the notes pane, in percent, as the user last
+/// left them.
+let notes_sizes = [65, 35];
+
+/// The callbacks from the openNotes() call that opened the pane
+let notes_editor;
+
+/// Open the notes pane below the tree, replacing any notes being edited.
+/// @param title {String} What the notes are about, for the pane's header
+/// @param text {String} The notes
+/// @param callbacks {Object} Optional:
+///     - onChange(text): called with the new text as the user types
+///     - onClose(): called when the pane closes
+function openNotes(title, text, callbacks = {})
+{
+    if(notes_split) closeNotes();
+    if(the_split) doSplit();        // One pane at a time
+
+    $('#notes-title').text(title);
+    $('#notes-text').val(text || '');
+    notes_editor = callbacks;
+
+    notes_split = split(
+            [$('#tree-container')[0], $('#notes-container')[0]],
+            {   direction: 'vertical',
+                sizes: notes_sizes,
+                minSize: [100, 60],
+                onDragEnd: ()=>{ notes_sizes = notes_split.getSizes(); },
+            }
+    );
+
+    $('#notes-text').focus();
+} //openNotes
+
+/// Close the notes pane, if it is open
+function closeNotes()
+{
+    if(!notes_split) return;
+
+    let editor = notes_editor;
+    notes_editor = undefined;
+
+    notes_split.collapse(1);        // close #notes-container
+    notes_split.destroy();
+    notes_split = undefined;
+
+    if(editor && editor.onClose) editor.onClose();
+} //closeNotes
+
+/// Whether the notes pane is open
+function isNotesOpen()
+{
+    return !!notes_split;
+} //isNotesOpen
+
+function initNotes()
+{
+    $('#notes-close').attr('title', _T('ttCloseNotes'))
+        .on('click', closeNotes);
+
+    $('#notes-text').attr('placeholder', _T('labelNotesPlaceholder'))
+        .on('input', function() {
+            if(notes_editor && notes_editor.onChange) {
+                notes_editor.onChange(this.value);
+            }
+        })
+        .on('keydown', (evt)=>{
+            if(evt.key === 'Escape') {
+                evt.preventDefault();
+                closeNotes();
+            }
+        });
+} //initNotes
+
 //////////////////////////////////////////////////////////////////////////
 // INIT //
 
@@ -78,6 +159,11 @@ function initMain()
     document.title = `${_T('wsShortName')} (v${TABFERN_VERSION})`;
 
     window.doSplit = doSplit;    // export doSplit so tree.js can call it
+
+    initNotes();
+    window.openNotes = openNotes;       // likewise, for the notes pane
+    window.closeNotes = closeNotes;
+    window.isNotesOpen = isNotesOpen;
 } //initMain
 
 //////////////////////////////////////////////////////////////////////////
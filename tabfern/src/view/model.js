@@ -50,6 +50,13 @@
     /// Value returned by vn*() on error.  Both members are falsy.
     module.VN_NONE = {val: null, node_id: ''};
 
+    /// The form of item colors (see set_color())
+    const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+    /// The search whose matches are highlighted in labels, or null.
+    /// See set_search_highlight().
+    let search_re = null;
+
     // Querying the model ////////////////////////////////////////////// {{{1
 
     /// Get a {val, node_id} pair (vn) from one of those (vorny).
@@ -115,6 +122,42 @@
         return true;
     }; //has_subtype()
 
+    /// Get the window item that contains #vorny.  Tabs may be nested under
+    /// other tabs (V2 save data), so walk up until we reach a window.
+    /// @param vorny {mixed} A window or tab item
+    /// @return {Object} {val, node_id} of the window, or module.VN_NONE
+    ///                  if #vorny is not in a window.
+    module.vn_win_of = function(vorny) {
+        let {val, node_id} = module.vn_by_vorny(vorny);
+        while(val && val.ty === K.IT_TAB) {
+            let node = T.treeobj.get_node(node_id);
+            if(!node || !node.parent) return module.VN_NONE;
+            node_id = node.parent;
+            val = D.val_by_node_id(node_id);
+        }
+        if(!val || val.ty !== K.IT_WIN) return module.VN_NONE;
+        return {val, node_id};
+    }; //vn_win_of()
+
+    /// Get the node IDs of all the tabs under #vornyParent, in depth-first
+    /// order.  For a window, this is the order Chrome sees the tabs in
+    /// once the window is opened.
+    /// @param vornyParent {mixed} A window or tab item
+    /// @return {Array} The node IDs (empty on error)
+    module.tab_node_ids_of = function(vornyParent) {
+        let {node_id} = module.vn_by_vorny(vornyParent);
+        let node = T.treeobj.get_node(node_id);
+        if(!node || !node.children) return [];
+
+        let retval = [];
+        for(let child_node_id of node.children) {
+            if(!D.tabs.by_node_id(child_node_id)) continue;
+            retval.push(child_node_id);
+            retval.push(...module.tab_node_ids_of(child_node_id));
+        }
+        return retval;
+    }; //tab_node_ids_of()
+
     // }}}1
     // Data-access routines //////////////////////////////////////////// {{{1
 
@@ -144,6 +187,8 @@
             return _T('labelSavedTabs');
         } else if(val.ty === K.IT_WIN) {    // def. title for ephem. win.
             return _T('labelUnsaved');
+        } else if(val.ty === K.IT_FOLDER) { // default title for folders
+            return _T('labelFolder');
         } else {                        // e.g., tabs with no raw_title.
             // TODO see if this makes sense.  Maybe show the URL instead?
             return "** no title **";
@@ -212,6 +257,14 @@
         if(!val) return false;
 
         let retval = '';
+
+        // The color stripe goes first so the stripes line up
+        if(val.color && COLOR_RE.test(val.color)) {
+            retval += '<span class="' + K.COLOR_STRIPE_CLASS +
+                        '" style="background-color: ' + val.color +
+                        '"></span>';
+        }
+
         if(val.isPinned) {  // TODO make this optional?
             // Note: for windows, isPinned is nonexistent, thus falsy.
             retval += '&#x1f4cc;&nbsp;';    // PUSHPIN
@@ -225,7 +278,7 @@
             // The first condition checks for null/undefined/&c., and also
             // for empty strings.
             retval += '<span class="' + K.BULLET_CLASS + '">';
-            retval += Esc.escape(val.raw_bullet);
+            retval += highlight_html(val.raw_bullet);
 
             // Add a dingbat if there is text to go on both sides of it.
             if(raw_text && raw_text !== "\ufeff") {
@@ -237,10 +290,79 @@
             retval += '</span>';
         } //endif there's a raw_bullet
 
-        retval += Esc.escape(raw_text);
+        retval += highlight_html(raw_text);
+
+        if(Array.isArray(val.tags)) {
+            for(let tag of val.tags) {
+                retval += ' <span class="' + K.TAG_CLASS + '">' +
+                            Esc.escape(tag) + '</span>';
+            }
+        }
+
+        // Flag items that have notes, since the notes themselves are only
+        // shown in the notes pane.
+        if(module.has_notes(val)) {
+            retval += ' <i class="fa fa-sticky-note-o ' + K.NOTES_CLASS +
+                        '"></i>';
+        }
+
         return retval;
     }; //get_html_label()
 
+    /// Escape #text for use in a label, and mark the matches of #search_re.
+    /// @param text {String} The text
+    /// @return {String} the HTML
+    function highlight_html(text) {
+        if(!search_re) return Esc.escape(text);
+
+        // Use our own global copy so we don't disturb the caller's lastIndex
+        let re = new RegExp(search_re.source,
+                    search_re.flags.replace('g', '') + 'g');
+        let retval = '';
+        let last = 0;
+        let match;
+        while((match = re.exec(text)) !== null) {
+            if(match[0].length < 1) {   // don't get stuck on empty matches
+                ++re.lastIndex;
+                continue;
+            }
+            retval += Esc.escape(text.slice(last, match.index)) +
+                '<mark class="' + K.SEARCH_HIT_CLASS + '">' +
+                Esc.escape(match[0]) + '</mark>';
+            last = match.index + match[0].length;
+        }
+        return retval + Esc.escape(text.slice(last));
+    } //highlight_html
+
+    /// Set the search whose matches get_html_label() highlights.  Labels
+    /// already in the tree are not changed; call refresh_label() on them.
+    /// @param re {RegExp} The search, or null to stop highlighting
+    module.set_search_highlight = function(re) {
+        search_re = re || null;
+    }; //set_search_highlight()
+
+    /// Whether an item has long-form notes.
+    /// @param vorny {mixed} The item of interest
+    /// @return {Boolean}
+    module.has_notes = function(vorny) {
+        let {val} = module.vn_by_vorny(vorny);
+        return !!(val && val.raw_notes && typeof val.raw_notes === 'string' &&
+                    val.raw_notes.trim());
+    }; //has_notes()
+
+    /// Get the text to match when searching for an item: its title, URL,
+    /// bullet, notes, and tags, one per line.
+    /// @param vorny {mixed} The item of interest
+    /// @return {String} the text, or '' if the item doesn't exist
+    module.get_search_text = function(vorny) {
+        let {val} = module.vn_by_vorny(vorny);
+        if(!val) return '';
+        return [module.get_raw_text(val), val.raw_url, val.raw_bullet,
+                val.raw_notes].concat(Array.isArray(val.tags) ? val.tags : [])
+            .filter((text)=>text && typeof text === 'string')
+            .join('\n');
+    }; //get_search_text()
+
     // }}}1
     // Item manipulation /////////////////////////////////////////////// {{{1
 
@@ -264,6 +386,15 @@
         if(getBoolSetting(CFG_URL_IN_TOOLTIP) && (val.ty === K.IT_TAB) ) {
             strs.push(val.raw_url);
         }
+        if(getBoolSetting(CFG_TIMES_IN_TOOLTIP) && (val.ty === K.IT_TAB) ) {
+            for(let [field, msg] of [['time_created', 'labelTimeCreated'],
+                                    ['time_opened', 'labelTimeOpened'],
+                                    ['time_activated', 'labelTimeActivated']]) {
+                if(val[field]) {
+                    strs.push(_T(msg, new Date(val[field]).toLocaleString()));
+                }
+            }
+        }
 
         let tooltip = strs.join('\n');  // '' if no tooltips
 
@@ -295,6 +426,30 @@
         return retval;
     }; //refresh_label()
 
+    /// Set or clear the color of an item, and update its label.
+    /// @param vorny {mixed} The window or tab
+    /// @param color {String} The color, as '#rrggbb', or falsy to clear it
+    /// @return {Boolean} true on success; false on error
+    module.set_color = function(vorny, color) {
+        let {val, node_id} = module.vn_by_vorny(vorny);
+        if(!val || !node_id) return false;
+        if(val.ty !== K.IT_WIN && val.ty !== K.IT_TAB) return false;
+
+        if(color) {
+            if(typeof color !== 'string' || !COLOR_RE.test(color)) {
+                return false;
+            }
+            val.color = color.toLowerCase();
+            T.treeobj.add_multitype(node_id, K.NST_COLORED);
+        } else {
+            val.color = undefined;  // records are sealed
+            T.treeobj.del_multitype(node_id, K.NST_COLORED);
+        }
+
+        module.refresh_label(val);
+        return true;
+    }; //set_color()
+
     /// Update the icon of #vorny
     /// @param vorny {Mixed} The item
     /// @return {Boolean} true on success; false on error
@@ -324,6 +479,10 @@
                 }
                 break;
 
+            case K.IT_FOLDER:
+                icon = 'fa fa-folder-o';
+                break;
+
             default:
                 return false;
         }
@@ -432,7 +591,7 @@
         if(!parent_val || !parent_node_id || !parent_node) return false;
 
         let child_urls = [];
-        for(let child_node_id of parent_node.children) {
+        for(let child_node_id of module.tab_node_ids_of(parent_node_id)) {
             let child_url = D.tabs.by_node_id(child_node_id, 'raw_url');
             if(!child_url) {   // rather than inconsistent state, just clear it
                 D.windows.change_key(parent_val, 'ordered_url_hash', null);
@@ -473,14 +632,26 @@
     ///
     /// @param isFirstChild {Boolean} [false] If truthy, the new node will be
     ///     the first child of its parent; otherwise, the last child.
+    /// @param vornyFolder {mixed} [undefined] If given, the folder the new
+    ///     window will be in.  Otherwise, the new window is at the top level.
     /// @return {Object} {val, node_id} The new item,
     ///                                 or module.VN_NONE on error.
-    module.vnRezWin = function(isFirstChild=false) {
+    module.vnRezWin = function(isFirstChild=false, vornyFolder=undefined) {
+        let parent = $.jstree.root;
+        let first_pos = 1;      // 1 => after the holding pen (T.holding_node_id)
+
+        if(vornyFolder) {
+            let {node_id: folder_node_id} =
+                module.vn_by_vorny(vornyFolder, K.IT_FOLDER);
+            if(!folder_node_id) return module.VN_NONE;
+            parent = folder_node_id;
+            first_pos = 0;      // folders don't have holding pens
+        }
+
         let node_id = T.treeobj.create_node(
-                $.jstree.root,
+                parent,
                 { text: 'Window' },
-                (isFirstChild ? 1 : 'last')
-                    // 1 => after the holding pen (T.holding_node_id)
+                (isFirstChild ? first_pos : 'last')
         );
         if(node_id === false) return module.VN_NONE;
 
@@ -492,6 +663,7 @@
             win: undefined,
             raw_title: null,
             raw_bullet: null,
+            raw_notes: null,
             isOpen: false,
             keep: undefined,
             prune_data: undefined
@@ -507,11 +679,46 @@
         return {val, node_id};
     }; //vnRezWin()
 
+    /// Add a model node/item for a folder at the top level of the tree.
+    ///
+    /// @param isFirstChild {Boolean} [false] If truthy, the new node will be
+    ///     the first child of the root; otherwise, the last child.
+    /// @param raw_title {String} [null] The folder's name.  null => default.
+    /// @return {Object} {val, node_id} The new item,
+    ///                                 or module.VN_NONE on error.
+    module.vnRezFolder = function(isFirstChild=false, raw_title=null) {
+        let node_id = T.treeobj.create_node(
+                $.jstree.root,
+                { text: 'Folder' },
+                (isFirstChild ? 1 : 'last')
+                    // 1 => after the holding pen (T.holding_node_id)
+        );
+        if(node_id === false) return module.VN_NONE;
+
+        T.treeobj.add_multitype(node_id, K.IT_FOLDER);
+
+        let val = D.folders.add({
+            node_id: node_id,
+            raw_title: raw_title,
+            isOpen: false,
+        });
+
+        if(!val) {
+            T.treeobj.delete_node(node_id);
+            return module.VN_NONE;
+        }
+
+        module.refresh(val);
+
+        return {val, node_id};
+    }; //vnRezFolder()
+
     /// Add a model node/item for a tab, with the given parent.
     /// Does not process Chrome widgets.  Instead, assumes the tab is
     /// closed initially.
     ///
-    /// @param {mixed} vornyParent The parent
+    /// @param {mixed} vornyParent The parent: a window, or a tab if the
+    ///                 new tab is nested under that tab.
     /// @return {Object} {val, node_id} The new item,
     ///                                 or module.VN_NONE on error.
     module.vnRezTab = function(vornyParent) {
@@ -550,7 +757,9 @@
 
         // create_node may redraw the parent node as well, which trashes the
         // action-group positioning.  Therefore, rjustify the whole window.
-        T.rjustify_node_actions($(`#${parent_node_id}`)[0]);
+        let win_node_id = module.vn_win_of(parent_node_id).node_id ||
+                            parent_node_id;
+        T.rjustify_node_actions($(`#${win_node_id}`)[0]);
 
         return {val, node_id};
     }; //vnRezTab()
@@ -592,6 +801,97 @@
         return true;
     }; //del_subtype()
 
+    /// Move all the tabs nested under other tabs in window #win_vorny up
+    /// to be direct children of the window, in depth-first order.
+    /// Chrome windows are flat, so this is called before a window with
+    /// nested tabs is opened.  Each moved tab remembers its parent in
+    /// val.nested_under so restoreNesting() can put it back.
+    /// @param win_vorny {mixed} The window
+    /// @return {Boolean} true on success; false on error
+    module.flattenTabs = function(win_vorny) {
+        let {val, node_id} = module.vn_by_vorny(win_vorny, K.IT_WIN);
+        if(!val || !node_id) return false;
+
+        let tab_node_ids = module.tab_node_ids_of(node_id);
+
+        // Record the hierarchy before we change it
+        for(let tab_node_id of tab_node_ids) {
+            let tab_node = T.treeobj.get_node(tab_node_id);
+            let tab_val = D.tabs.by_node_id(tab_node_id);
+            if(!tab_node || !tab_val) return false;
+            if(tab_node.parent !== node_id) {
+                tab_val.nested_under = tab_node.parent;
+            }
+        }
+
+        for(let idx=0; idx < tab_node_ids.length; ++idx) {
+            let tab_node = T.treeobj.get_node(tab_node_ids[idx]);
+            if(!tab_node) return false;
+            if( (tab_node.parent === node_id) &&
+                (T.treeobj.get_node(node_id).children[idx] === tab_node.id) ) {
+                continue;   // Already in the right place
+            }
+            T.treeobj.because('flatten', 'move_node', tab_node, node_id, idx);
+        }
+        return true;
+    }; //flattenTabs()
+
+    /// Get the nesting that flattenTabs() recorded for the tabs in
+    /// window #win_vorny.  A tab is only nested under a tab that comes
+    /// before it in the same window, and pinned tabs are never nested,
+    /// so changes made while the window was open are respected.
+    /// @param win_vorny {mixed} The window
+    /// @return {Map} child tab node ID => parent tab node ID.  Empty if
+    ///                 there is nothing to nest or on error.
+    module.nesting_of = function(win_vorny) {
+        let retval = new Map();
+        let {node_id} = module.vn_by_vorny(win_vorny, K.IT_WIN);
+        let win_node = node_id && T.treeobj.get_node(node_id);
+        if(!win_node) return retval;
+
+        let seen = new Set();
+        for(let tab_node_id of win_node.children) {
+            let tab_val = D.tabs.by_node_id(tab_node_id);
+            if(!tab_val) continue;
+            let parent_node_id = tab_val.nested_under;
+            let parent_val = parent_node_id &&
+                                D.tabs.by_node_id(parent_node_id);
+            if( parent_val && seen.has(parent_node_id) &&
+                !tab_val.isPinned && !parent_val.isPinned ) {
+                retval.set(tab_node_id, parent_node_id);
+            }
+            seen.add(tab_node_id);
+        }
+
+        return retval;
+    }; //nesting_of()
+
+    /// Undo flattenTabs(): move the tabs in window #win_vorny back under
+    /// the tabs they were nested under, per nesting_of().  Call this once
+    /// the window and its tabs have been marked closed.
+    /// @param win_vorny {mixed} The window
+    /// @return {Boolean} true on success; false on error
+    module.restoreNesting = function(win_vorny) {
+        let {val, node_id} = module.vn_by_vorny(win_vorny, K.IT_WIN);
+        if(!val || !node_id) return false;
+        let win_node = T.treeobj.get_node(node_id);
+        if(!win_node) return false;
+
+        let nesting = module.nesting_of(node_id);
+        for(let tab_node_id of win_node.children.slice()) {
+            let tab_val = D.tabs.by_node_id(tab_node_id);
+            if(tab_val) tab_val.nested_under = undefined;
+        }
+
+        // Map iterates in window order, so siblings keep their order.
+        for(let [tab_node_id, parent_node_id] of nesting) {
+            T.treeobj.because('flatten', 'move_node', tab_node_id,
+                                parent_node_id, 'last');
+        }
+
+        return true;
+    }; //restoreNesting()
+
     // TODO? implement this?
 //    /// Modify #vorny with all the changes from #deltas in one go.
 //    module.change = function(vorny, deltas) {
@@ -691,6 +991,7 @@
         // val.raw_bullet is unchanged since it doesn't come from ctab
         val.raw_favicon_url = ctab.favIconUrl;
         val.isPinned = !!ctab.pinned;
+        val.time_opened = Date.now();
 
         T.treeobj.add_multitype(node_id, K.NST_OPEN);
 
@@ -704,6 +1005,22 @@
         return true;
     }; //markTabAsOpen()
 
+    /// Record that the Chrome tab attached to #tab_vorny has become the
+    /// active tab in its window.
+    /// @param tab_vorny {mixed} The item
+    /// @return {Boolean} true on success; false on error
+    module.markTabAsActivated = function(tab_vorny) {
+        if(!tab_vorny) return false;
+
+        let {val, node_id} = module.vn_by_vorny(tab_vorny, K.IT_TAB);
+        if(!val || !node_id || !val.isOpen) return false;
+
+        val.time_activated = Date.now();
+        module.refresh_tooltip(val);
+
+        return true;
+    }; //markTabAsActivated()
+
     // }}}1
     // Removing Chrome widgets from model items //////////////////////// {{{1
 
@@ -780,7 +1097,8 @@
     // }}}1
     // Removing model items //////////////////////////////////////////// {{{1
 
-    /// Delete a tab from the tree and the details.
+    /// Delete a tab from the tree and the details.  Any tabs nested
+    /// under the tab are deleted as well.
     /// ** NOTE ** Does NOT update the parent's val.ordered_url_hash.
     /// TODO? Report error if tab is currently open?
     /// @param tab_vorny {mixed}
@@ -792,7 +1110,13 @@
         let node = T.treeobj.get_node(node_id);
         if(!val || !node_id || !node) return false;
 
-        let parent_node_id = node.parent;
+        let parent_node_id = module.vn_win_of(node.parent).node_id ||
+                                node.parent;
+
+        // Remove nested tabs first
+        for(let child_node_id of node.children.slice()) {
+            if(!module.eraseTab(child_node_id, reason)) return false;
+        }
 
         D.tabs.remove_value(val);
             // So any events that are triggered won't try to look for a
@@ -826,8 +1150,9 @@
         let node = T.treeobj.get_node(node_id);
         if(!node) return false;
 
-        // Remove the children cleanly
-        for(let child_node_id of node.children) {
+        // Remove the children cleanly.  slice() since eraseTab() removes
+        // each child from node.children.
+        for(let child_node_id of node.children.slice()) {
             if(!module.eraseTab(child_node_id)) {
                 return false;
             }
@@ -841,6 +1166,30 @@
         return true;
     }; //eraseWin()
 
+    /// Delete a folder from the tree and the details.  This will also
+    /// erase any windows still in the folder.  To keep the windows,
+    /// move them out of the folder first.
+    /// @param folder_vorny {mixed}  The item
+    /// @return {Boolean} true on success; false on error
+    module.eraseFolder = function(folder_vorny) {
+        let {val, node_id} = module.vn_by_vorny(folder_vorny, K.IT_FOLDER);
+        if(!val || !node_id) return false;
+
+        let node = T.treeobj.get_node(node_id);
+        if(!node) return false;
+
+        for(let child_node_id of node.children.slice()) {
+            if(!module.eraseWin(child_node_id)) {
+                return false;
+            }
+        }
+
+        D.folders.remove_value(val);
+        T.treeobj.delete_node(node_id);
+
+        return true;
+    }; //eraseFolder()
+
     // }}}1
 
     return module;
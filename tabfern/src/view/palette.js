@@ -0,0 +1,101 @@
+// view/palette.js: Fuzzy matching for the quick switcher.  Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// The quick switcher (showPalette() in tree.js) lists tabs, windows, and
+// commands, and narrows the list as the user types.  A query matches a
+// text if all the query's characters appear in the text, in order,
+// ignoring case and whitespace in the query.  So "gml" matches "Gmail",
+// and "sortaz" matches "Sort: A-Z".  Matches at the starts of words and
+// runs of consecutive characters score higher.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory();
+    } else {
+        // Browser globals (root is `window`)
+        root.Palette = factory();
+    }
+}(this, function () {
+    "use strict";
+
+    /// The module we are creating
+    let module = {};
+
+    /// Characters after which a new word starts
+    const WORD_SEPARATORS = ' \t/\\.:-_|?&=#()[]';
+
+    const SCORE_MATCH = 1;          ///< for each matched character
+    const SCORE_WORD_START = 4;     ///< extra, for a match starting a word
+    const SCORE_CONSECUTIVE = 3;    ///< extra, for a match right after another
+    const PENALTY_GAP = 0.1;        ///< per character skipped between matches
+
+    /// Match #query against #text.
+    /// @param query {String} What the user typed
+    /// @param text {String} The text to check
+    /// @return {Object} {score, positions}, where #positions holds the
+    ///     indices in #text of the matched characters, or null if
+    ///     #query doesn't match.  An empty query matches with score 0.
+    module.match = function(query, text)
+    {
+        query = String(query).replace(/\s+/g, '').toLowerCase();
+        text = String(text);
+        let lower = text.toLowerCase();
+
+        let score = 0;
+        let positions = [];
+        let from = 0;
+        for(let ch of query) {
+            let idx = lower.indexOf(ch, from);
+            if(idx < 0) return null;
+
+            score += SCORE_MATCH;
+            if(idx === 0 || WORD_SEPARATORS.includes(text[idx-1]) ||
+                (text[idx-1] === text[idx-1].toLowerCase() &&
+                    text[idx] !== text[idx].toLowerCase())   // camelCase
+            ) {
+                score += SCORE_WORD_START;
+            }
+            if(positions.length > 0) {
+                if(idx === from) {
+                    score += SCORE_CONSECUTIVE;
+                } else {
+                    score -= PENALTY_GAP * (idx - from);
+                }
+            }
+
+            positions.push(idx);
+            from = idx + 1;
+        }
+
+        return {score, positions};
+    }; //match()
+
+    /// Rank #entries by how well they match #query.
+    /// @param entries {Array} Objects with a `text` member to match against
+    /// @param query {String} What the user typed
+    /// @param max {Number=} If given, return at most this many
+    /// @return {Array} [{entry, score, positions}] for the entries that
+    ///     match, best first.  Entries with equal scores stay in the order
+    ///     they had in #entries.
+    module.rank = function(entries, query, max = Infinity)
+    {
+        let retval = [];
+        entries.forEach((entry, idx)=>{
+            let result = module.match(query, entry.text);
+            if(result) retval.push({entry, idx, ...result});
+        });
+
+        retval.sort((a, b)=>(b.score - a.score) || (a.idx - b.idx));
+
+        return retval.slice(0, max).map(({entry, score, positions})=>
+                                        ({entry, score, positions}));
+    }; //rank()
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
@@ -0,0 +1,170 @@
+// view/restore_preview.js: Helpers for previewing the contents of a backup
+// before loading it.  Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// The preview works on a V2 save-data tree: an array of V1/V2 window
+// records and V2 folder records, as in the `tree` member of V2 save data.
+// Each window and folder in the tree is identified by a path string:
+// "3" for the fourth top-level item, and "3/1" for the second window in
+// that folder.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory();
+    } else {
+        // Browser globals (root is `window`)
+        root.RestorePreview = factory();
+    }
+}(this, function () {
+    "use strict";
+
+    /// The module we are creating
+    let module = {};
+
+    /// Get a V2 save-data tree from TabFern save data of any version.
+    /// V0 windows are converted to V1 windows, and V1 tabs lose any
+    /// `children`, as in loadSavedWindowsFromData() in tree.js.
+    /// @param data {mixed} The parsed save data
+    /// @return {Array} the tree, or null if #data isn't save data we know
+    module.treeOf = function(data)
+    {
+        if(Array.isArray(data)) {       // V0
+            return data.filter((win)=>win && typeof win === 'object')
+                .map((v0_win)=>({
+                    raw_title: v0_win.text,
+                    tabs: (Array.isArray(v0_win.tabs) ? v0_win.tabs : [])
+                        .filter((tab)=>!!tab)
+                        .map((v0_tab)=>({raw_title: v0_tab.text,
+                                            raw_url: v0_tab.url})),
+                }));
+        }
+
+        if(!data || typeof data !== 'object' || data.tabfern !== 42 ||
+            !Array.isArray(data.tree)
+        ) {
+            return null;
+        }
+
+        let tree = data.tree.filter((item)=>item && typeof item === 'object');
+        if(data.version === 1) {
+            return tree.map((v1_win)=>{
+                let v2_win = Object.assign({}, v1_win);
+                if(Array.isArray(v1_win.tabs)) {
+                    v2_win.tabs = v1_win.tabs.map((v1_tab)=>{
+                        let v2_tab = Object.assign({}, v1_tab);
+                        delete v2_tab.children;
+                        return v2_tab;
+                    });
+                }
+                return v2_win;
+            });
+        } else if(data.version === 2) {
+            return tree;
+        }
+        return null;
+    }; //treeOf()
+
+    /// Get the URLs of the tabs in window record #win, with nested tabs in
+    /// depth-first order, as M.tab_node_ids_of() does once it's loaded.
+    /// @return {Array} the URLs, or null if any tab doesn't have a URL
+    module.urlsOf = function(win)
+    {
+        let urls = [];
+        let ok = true;
+        function visit(tabs) {
+            if(!Array.isArray(tabs)) return;
+            for(let tab of tabs) {
+                if(!tab) continue;
+                if(!tab.raw_url) ok = false;
+                urls.push(tab.raw_url);
+                visit(tab.children);
+            }
+        }
+        visit(win.tabs);
+        return ok ? urls : null;
+    }; //urlsOf()
+
+    /// List the folders and windows in #tree for display.
+    /// @param tree {Array} The V2 save-data tree
+    /// @return {Array} of {path, is_folder, raw_title, ntabs, urls}.
+    ///     Folders are followed by their windows.  Windows in folders
+    ///     have `folder_path`.  Folders have #ntabs as the total over
+    ///     their windows, and no #urls.
+    module.entriesOf = function(tree)
+    {
+        let retval = [];
+
+        let winEntry = (win, path, folder_path)=>{
+            let urls = module.urlsOf(win);
+            let entry = {path, is_folder: false,
+                raw_title: (typeof win.raw_title === 'string') ?
+                                win.raw_title : null,
+                ntabs: 0, urls};
+            if(folder_path !== undefined) entry.folder_path = folder_path;
+            let count = (tabs)=>{
+                for(let tab of (Array.isArray(tabs) ? tabs : [])) {
+                    if(!tab) continue;
+                    ++entry.ntabs;
+                    count(tab.children);
+                }
+            };
+            count(win.tabs);
+            return entry;
+        };
+
+        tree.forEach((item, idx)=>{
+            if(!item) return;
+            if(!item.folder) {
+                retval.push(winEntry(item, String(idx)));
+                return;
+            }
+
+            let folder_entry = {path: String(idx), is_folder: true,
+                raw_title: (typeof item.raw_title === 'string') ?
+                                item.raw_title : null,
+                ntabs: 0};
+            retval.push(folder_entry);
+            (Array.isArray(item.wins) ? item.wins : []).forEach((win, widx)=>{
+                if(!win) return;
+                let entry = winEntry(win, `${idx}/${widx}`, String(idx));
+                folder_entry.ntabs += entry.ntabs;
+                retval.push(entry);
+            });
+        });
+
+        return retval;
+    }; //entriesOf()
+
+    /// Get the parts of #tree the user selected.
+    /// @param tree {Array} The V2 save-data tree
+    /// @param selected {Set} The paths of the selected windows and folders
+    /// @return {Array} a new V2 save-data tree.  A folder is included if it
+    ///     is selected or any of its windows is.  Its windows are included
+    ///     only if selected.
+    module.filterTree = function(tree, selected)
+    {
+        let retval = [];
+        tree.forEach((item, idx)=>{
+            if(!item) return;
+            if(!item.folder) {
+                if(selected.has(String(idx))) retval.push(item);
+                return;
+            }
+
+            let wins = (Array.isArray(item.wins) ? item.wins : [])
+                        .filter((win, widx)=>win && selected.has(`${idx}/${widx}`));
+            if(wins.length > 0 || selected.has(String(idx))) {
+                retval.push(Object.assign({}, item, {wins}));
+            }
+        });
+        return retval;
+    }; //filterTree()
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
@@ -21,6 +21,9 @@
         ESC: {
             keys: ['esc']
         },
+        COMMAND_PALETTE: {
+            keys: ['ctrl shift p']
+        },
         BYPASS_CONTEXT_MENU_MOMENTARY_LATCH: {
             keys: [( JSON.parse(localStorage.getItem('store.settings.KeyMappings.KeyBinds.IgnoreContextMenu.KeyBind')) || 'shift')]
         },
@@ -5,22 +5,24 @@
     if (typeof define === 'function' && define.amd) {
         // AMD
         define(['jquery', 'jstree','loglevel', 'view/const', 'view/item_tree',
-                 'view/item_details'], factory);
+                 'view/item_details', 'view/model', 'view/duplicates'], factory);
     } else if (typeof exports === 'object') {
         // Node, CommonJS-like
         module.exports = factory(
             require('jquery'), require('jstree'), require('loglevel'),
             require('view/const'), require('view/item_tree'),
-            require('view/item_details'),
+            require('view/item_details'), require('view/model'),
+            require('view/duplicates'),
         );
     } else {
         // Browser globals (root is `window`)
         root.sorts = factory(
             root.$, root.$.jstree, root.log,
-            root.K, root.T, root.D
+            root.K, root.T, root.D, root.M, root.Duplicates
         );
     }
-}(this, function ($, _unused_jstree_placeholder_, log_orig, K, T, D ) {
+}(this, function ($, _unused_jstree_placeholder_, log_orig, K, T, D, M,
+                    Duplicates ) {
     "use strict";
 
     function loginfo(...args) { log_orig.info('TabFern view/sorts.js: ', ...args); }; //TODO
@@ -95,6 +97,16 @@
         return a_text.localeCompare(b_text, undefined, {sensitivity:'base'});
     } //compare_text_simple
 
+    /// The text to sort #node by.  For items, this is the title without the
+    /// markup the label adds (color stripe, bullet, search highlights).
+    /// @param node {Object} A jstree node
+    /// @return {String} the text
+    function sort_text_of(node)
+    {
+        if(D.val_by_node_id(node.id)) return M.get_raw_text(node.id);
+        return node.text;   // Not an item
+    } //sort_text_of
+
     /// Sorting criterion for node text: by locale, ascending, case-insensitive.
     /// If either node is unknown to the tree, it is sorted later.  If both nodes
     /// are unknown, they are sorted equally.
@@ -106,7 +118,8 @@
         let ans = basic_comparisons(a_id, b_id);
         if(typeof ans !== 'object') return ans;
 
-        return compare_text_simple(ans.a_node.text, ans.b_node.text);
+        return compare_text_simple(sort_text_of(ans.a_node),
+                                    sort_text_of(ans.b_node));
     } //compare_node_text
 
     /// Sorting criterion for node text: by locale, descending,
@@ -116,56 +129,44 @@
         return module.compare_node_text(b_id,a_id);
     } //compare_node_text_desc
 
-    /// Sorting criterion for node text: numeric, by locale, ascending,
-    /// case-insensitive.
-    /// If either node is unknown to the tree, it is sorted later.  If both nodes
-    /// are unknown, they are sorted equally.  Numbers are sorted before
+    /// Locale-aware natural collation: case-insensitive, with runs of digits
+    /// compared by their numeric values, so "Window 9" comes before
+    /// "Window 10".
+    const natural_collator = new Intl.Collator(undefined,
+                                    {numeric: true, sensitivity: 'base'});
+
+    /// Sorting criterion for node text: natural order, ascending.  See
+    /// natural_collator.  If either node is unknown to the tree, it is
+    /// sorted later.  If both nodes are unknown, they are sorted equally.
     /// @param a_id {string}    One node's ID
     /// @param b_id {mixed}     The other node's ID
-    /// @return {Number} -1, 0, or 1
-    module.compare_node_num = function(a_id, b_id)
+    /// @return {Number} negative, 0, or positive
+    module.compare_node_natural = function(a_id, b_id)
     {
         let ans = basic_comparisons(a_id, b_id);
         if(typeof ans !== 'object') return ans;
 
-        let a_text = ans.a_node.text;
-        let b_text = ans.b_node.text;
-
-        if(a_text === b_text) return EQUAL; // e.g., both unknown
-
-        let a_num = parseFloat(a_text);
-        let b_num = parseFloat(b_text);
-
-        if(isNaN(a_num) && !isNaN(b_num)) return B_FIRST;
-            // a text, b numeric => a later
-        if(!isNaN(a_num) && isNaN(b_num)) return A_FIRST;
-            // b text, a numeric => b later
-
-        if(isNaN(a_num) && isNaN(b_num))     // both are text
-            return a_text.localeCompare(b_text,undefined,{sensitivity:'base'});
-
-        // Finally!  Numeric comparison!  (including Infinity and -Infinity!)
-        if(a_num === b_num) return EQUAL;
-        return (a_num < b_num ? A_FIRST : B_FIRST);
-    } //compare_node_num
+        return natural_collator.compare(sort_text_of(ans.a_node),
+                                        sort_text_of(ans.b_node));
+    } //compare_node_natural
 
-    /// Sorting criterion for node text: numeric, by locale, descending,
-    /// case-insensitive.  Limitations are as compare_node_num().
-    module.compare_node_num_desc = function(a_id,b_id)
+    /// Sorting criterion for node text: natural order, descending.
+    /// Limitations are as compare_node_natural().
+    module.compare_node_natural_desc = function(a_id,b_id)
     {
-        return module.compare_node_num(b_id,a_id);
-    } //compare_node_num_desc
+        return module.compare_node_natural(b_id,a_id);
+    } //compare_node_natural_desc
 
     /// Sorting criterion to sort open windows by name at the top of the list.
-    /// Other windows stay in their relative positions.
+    /// Other windows, and folders, stay in their relative positions.
     /// @pre Each node being sorted must be a child of a common parent.
     module.open_windows_to_top = function(a_id,b_id)
     {
         let ans = basic_comparisons(a_id, b_id);
         if(typeof ans !== 'object') return ans;
 
-        let a_val = D.windows.by_node_id(a_id);
-        let b_val = D.windows.by_node_id(b_id);
+        let a_val = D.val_by_node_id(a_id);     // Folders are never open,
+        let b_val = D.val_by_node_id(b_id);     // so are treated as closed.
         if(a_val && !b_val) return A_FIRST;   // b unknown => b later
         if(!a_val && b_val) return B_FIRST;   // a unknown => a later
         if(!a_val && !b_val) return EQUAL;    // both unknown
@@ -175,7 +176,8 @@
         } else if(!a_val.isOpen && b_val.isOpen) {
             return B_FIRST;
         } else if(a_val.isOpen && b_val.isOpen) {   // both open
-            return compare_text_simple(ans.a_node.text, ans.b_node.text);
+            return compare_text_simple(sort_text_of(ans.a_node),
+                                        sort_text_of(ans.b_node));
         } else {    // neither open --- preserve the existing order
             let par = T.treeobj.get_node(ans.a_node.parent);
             if(!par || !par.children) return EQUAL;     //unknown
@@ -192,6 +194,157 @@
         }
     } //open_windows_to_top
 
+    /// The latest #field of the tabs in node #node_id.  For a tab, its own
+    /// time, or that of a tab nested under it.  For a window or folder, the
+    /// latest of the tabs in it.
+    /// @param node_id {string} The node
+    /// @param field {string} A time field of tab records, e.g., time_created
+    /// @return {Number} the time, or 0 if unknown
+    function latest_time(node_id, field)
+    {
+        let node = T.treeobj.get_node(node_id);
+        if(!node) return 0;
+
+        let retval = 0;
+        for(let id of [node.id].concat(node.children_d || [])) {
+            let tab_val = D.tabs.by_node_id(id);
+            if(tab_val && tab_val[field] > retval) retval = tab_val[field];
+        }
+        return retval;
+    } //latest_time
+
+    /// Make a sorting criterion that sorts by the latest #field of the
+    /// tabs in each node, newest first.  Nodes with unknown times go last,
+    /// in their existing order.
+    function newest_first(field)
+    {
+        return function(a_id, b_id) {
+            let ans = basic_comparisons(a_id, b_id);
+            if(typeof ans !== 'object') return ans;
+
+            let a_time = latest_time(a_id, field);
+            let b_time = latest_time(b_id, field);
+            if(a_time === b_time) return EQUAL;
+            return (a_time > b_time ? A_FIRST : B_FIRST);
+        };
+    } //newest_first
+
+    /// Sorting criteria for when tabs were created, last opened, and
+    /// last the active tab, newest first.  See latest_time().
+    module.compare_time_created_desc = newest_first('time_created');
+    module.compare_time_opened_desc = newest_first('time_opened');
+    module.compare_time_activated_desc = newest_first('time_activated');
+
+    /// Where color #color goes in the color order: by hue, red first,
+    /// then grays, light to dark.
+    /// @param color {String} The color, as '#rrggbb'
+    /// @return {Number} the sort key, or Infinity if #color isn't a color
+    function color_sort_key(color)
+    {
+        let matches = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+        if(!matches) return Infinity;
+        let [r, g, b] = matches.slice(1).map((hex)=>parseInt(hex, 16) / 255);
+
+        let max = Math.max(r, g, b), min = Math.min(r, g, b);
+        let chroma = max - min;
+        if(chroma < 0.1) return 360 + (1 - max);     // gray
+
+        let hue;
+        if(max === r) {
+            hue = ((g - b) / chroma + 6) % 6;
+        } else if(max === g) {
+            hue = (b - r) / chroma + 2;
+        } else {
+            hue = (r - g) / chroma + 4;
+        }
+        return hue * 60;
+    } //color_sort_key
+
+    /// Sorting criterion for the colors of windows and tabs, in the order
+    /// of the "Set color" menu.  Items without a color go last, in their
+    /// existing order.
+    module.compare_color = function(a_id, b_id)
+    {
+        let ans = basic_comparisons(a_id, b_id);
+        if(typeof ans !== 'object') return ans;
+
+        let a_val = D.val_by_node_id(a_id);
+        let b_val = D.val_by_node_id(b_id);
+        let a_key = color_sort_key(a_val ? a_val.color : undefined);
+        let b_key = color_sort_key(b_val ? b_val.color : undefined);
+        if(a_key === b_key) return EQUAL;
+        return (a_key < b_key ? A_FIRST : B_FIRST);
+    } //compare_color
+
+    /// The number of tabs in #node_id, including tabs nested under tabs and
+    /// tabs in the windows in a folder.
+    function tab_count(node_id)
+    {
+        let node = T.treeobj.get_node(node_id);
+        if(!node || !node.children_d) return 0;
+        return node.children_d.filter((id)=>D.tabs.by_node_id(id)).length;
+    } //tab_count
+
+    /// Sorting criterion for the number of tabs in windows and folders,
+    /// most tabs first.  Items with the same number of tabs stay in their
+    /// existing order.
+    module.compare_tab_count_desc = function(a_id, b_id)
+    {
+        let ans = basic_comparisons(a_id, b_id);
+        if(typeof ans !== 'object') return ans;
+
+        return tab_count(b_id) - tab_count(a_id);
+    } //compare_tab_count_desc
+
+    /// The sorting criteria for the window sort modes, by the values of
+    /// the CFGS_WIN_SORT_MODE setting.  The "manual" mode has none.
+    module.window_sort_modes = {
+        __proto__: null,
+        'az': module.compare_node_text,
+        'natural': module.compare_node_natural,
+        'open-first': module.open_windows_to_top,
+        'recent': module.compare_time_activated_desc,
+        'tab-count': module.compare_tab_count_desc,
+    };
+
+    /// Make a sorting criterion for tabs, by locale, ascending,
+    /// case-insensitive.  Tabs missing a key go after the tabs that have
+    /// it, and nodes that aren't tabs go last, in their existing order.
+    /// @param keys_of {function} Takes a tab's details record and returns
+    ///     an array of strings to compare, most significant first.
+    ///     Falsy elements are missing keys.
+    function tab_text_order(keys_of)
+    {
+        return function(a_id, b_id) {
+            let ans = basic_comparisons(a_id, b_id);
+            if(typeof ans !== 'object') return ans;
+
+            let a_val = D.tabs.by_node_id(a_id);
+            let b_val = D.tabs.by_node_id(b_id);
+            if(a_val && !b_val) return A_FIRST;
+            if(!a_val && b_val) return B_FIRST;
+            if(!a_val && !b_val) return EQUAL;
+
+            let a_keys = keys_of(a_val), b_keys = keys_of(b_val);
+            for(let i=0; i<a_keys.length; ++i) {
+                if(a_keys[i] && !b_keys[i]) return A_FIRST;
+                if(!a_keys[i] && b_keys[i]) return B_FIRST;
+                if(!a_keys[i] && !b_keys[i]) continue;
+                let order = compare_text_simple(a_keys[i], b_keys[i]);
+                if(order) return order;
+            }
+            return EQUAL;
+        };
+    } //tab_text_order
+
+    /// Sorting criteria for the tabs in a window: by title (or URL if the
+    /// tab has no title), by site and then URL, or by URL.
+    module.compare_tab_title = tab_text_order(
+        (val)=>[val.raw_title || val.raw_url]);
+    module.compare_tab_domain = tab_text_order(
+        (val)=>[Duplicates.siteOf(val.raw_url), val.raw_url]);
+    module.compare_tab_url = tab_text_order((val)=>[val.raw_url]);
+
     return module;
 }));
 
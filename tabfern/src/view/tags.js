@@ -0,0 +1,91 @@
+// view/tags.js: Free-form tags on windows and tabs.  Part of TabFern.
+// Copyright (c) 2018 Chris White, Jasmine Hegman.
+
+// Tags are stored as arrays of strings in the `tags` field of window and
+// tab records, in the order the user entered them.  Tags are compared
+// case-insensitively, so "Work" and "work" are the same tag.  The user
+// edits tags as a comma-separated list.
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // AMD
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        // Node, CommonJS-like
+        module.exports = factory();
+    } else {
+        // Browser globals (root is `window`)
+        root.Tags = factory();
+    }
+}(this, function () {
+    "use strict";
+
+    /// The module we are creating
+    let module = {};
+
+    /// The form of #tag used for comparisons
+    function keyOf(tag)
+    {
+        return tag.toLowerCase();
+    } //keyOf
+
+    /// Clean up the tags in #tags: trim them, collapse internal whitespace,
+    /// and drop empty tags, non-strings, and duplicates.
+    /// @param tags {mixed} An array of tags, or anything else
+    /// @return {Array} the tags (empty if #tags isn't an array)
+    module.normalize = function(tags)
+    {
+        if(!Array.isArray(tags)) return [];
+
+        let retval = [];
+        let seen = new Set();
+        for(let tag of tags) {
+            if(typeof tag !== 'string') continue;
+            tag = tag.replace(/\s+/g, ' ').trim();
+            if(!tag || seen.has(keyOf(tag))) continue;
+            seen.add(keyOf(tag));
+            retval.push(tag);
+        }
+        return retval;
+    }; //normalize()
+
+    /// Parse the comma-separated tags in #text.
+    /// @return {Array} the tags
+    module.parse = function(text)
+    {
+        return module.normalize(String(text).split(','));
+    }; //parse()
+
+    /// Format #tags for editing, as parse() reads them.
+    /// @return {String} the text
+    module.format = function(tags)
+    {
+        return module.normalize(tags).join(', ');
+    }; //format()
+
+    /// Whether #tags includes any of the tags in #wanted.
+    /// @param tags {Array} The tags of an item
+    /// @param wanted {Array} The tags to look for
+    /// @return {Boolean}
+    module.matchesAny = function(tags, wanted)
+    {
+        let wanted_keys = new Set(module.normalize(wanted).map(keyOf));
+        return module.normalize(tags).some((tag)=>wanted_keys.has(keyOf(tag)));
+    }; //matchesAny()
+
+    /// Get all the tags in #lists, sorted case-insensitively.  Where the
+    /// same tag is spelled differently, the first spelling wins.
+    /// @param lists {Array} Arrays of tags
+    /// @return {Array} the tags
+    module.union = function(lists)
+    {
+        let all = [];
+        for(let tags of lists) all.push(...module.normalize(tags));
+        return module.normalize(all).sort((a, b)=>
+            keyOf(a).localeCompare(keyOf(b)));
+    }; //union()
+
+    return module;
+}));
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
@@ -49,7 +49,7 @@ let Module_dependencies = [
     'loglevel', 'hamburger', 'bypasser', 'multidex', 'justhtmlescape',
     'signals', 'export-file', 'import-file',
     'asynquence-contrib', 'asq-helpers', 'rmodal',
-    'tinycolor', 'spin-packed',
+    'tinycolor', 'spin-packed', 'spectrum',
 
     // Shimmed modules.  Refer to these via Modules or *without* the
     // `window.` prefix so it will be easier to refactor references
@@ -63,7 +63,10 @@ let Module_dependencies = [
 
     // Modules of TabFern itself
     'view/const', 'view/item_details', 'view/sorts', 'view/item_tree',
-    'view/model',
+    'view/model', 'view/importers', 'view/exporters', 'view/bookmark_mirror',
+    'view/history', 'view/backup_crypto', 'view/restore_preview',
+    'common/save_data_validation', 'common/compression',
+    'common/save_storage', 'view/tags', 'view/palette', 'view/duplicates',
 ];
 
 /// Make short names in Modules for some modules.  shortname => longname
@@ -80,6 +83,8 @@ let Module_shortnames = {
 var my_winid;                   ///< window ID of this popup window
 
 /// Window ID of the currently-focused window, as best we understand it.
+/// This is the last Chrome window in the tree that had the focus, so it
+/// stays the same while the user is working in the TabFern window.
 var currently_focused_winid = null;
 
 /// HACK to avoid creating extra tree items.
@@ -108,11 +113,29 @@ var ShowWhatIsNew = false;
 /// Array of URLs of the last-deleted window
 var lastDeletedWindow;
 
+/// The tags the tag filter is showing, or null if the filter is off.
+/// See applyFilters().
+var tagFilter = null;
+
+/// The search in the search box, or null if the box is empty.
+/// See applyFilters().
+var searchRE = null;
+
+/// Whether each node was open before the search started, so we can put
+/// them back when the search is cleared.  null if there is no search.
+var preSearchOpenState = null;
+
 /// Node ID of the last-closed saved window --- merging is prohibited with
 /// this node.  It's the last-closed saved and not the last-closed overall
 /// because nodes for unsaved windows disappear with their windows.
 var lastSavedClosedWindow_node_id = undefined;
 
+/// The node IDs of the tabs marked as duplicates.  See markDuplicateTabs().
+var duplicateNodeIds = new Set();
+
+/// Is the quick switcher open?  See showPalette().
+var paletteIsOpen = false;
+
 /// Did initialization complete successfully?
 var did_init_complete = false;
 
@@ -249,6 +272,92 @@ function updateTabIndexValues(win_node_id, as_open = [])
     log.trace(`win ${win_node_id} hash from ${old_hash} to ${new_hash}`); //DEBUG
 } //updateTabIndexValues
 
+/// Open closed tab #tab_node_id in the open Chrome window of its tree window.
+/// The Chrome tab and the item will be linked in tabOnCreated().
+/// @param tab_node_id {string} The tab's node ID
+function openTabInOpenWindow(tab_node_id)
+{
+    let tab_val = D.tabs.by_node_id(tab_node_id);
+    let win_vn = M.vn_win_of(tab_node_id);
+    if(!tab_val || !win_vn.val || win_vn.val.win_id === K.NONE) return;
+
+    // Update the index values, so we know which index the tab should have.
+    updateTabIndexValues(win_vn.node_id, [tab_node_id]);
+        // [tab_node_id]: Treat the new tab as if it were open when
+        // computing index values.
+
+    tab_val.being_opened = true;
+        // so tabOnCreated doesn't duplicate it
+
+    let newtab_info = {
+        windowId: win_vn.val.win_id,
+        url: chrome.runtime.getURL('/src/view/newtab.html') + '#' + tab_node_id,
+            // pass the node ID to the tabOnUpdated callback
+        index: tab_val.index,
+        pinned: !!tab_val.isPinned,
+    }
+
+    log.info({'Opening tab':newtab_info});
+    ASQH.NowCC((cc)=>{ chrome.tabs.create(newtab_info, cc); })
+    .or((err)=>{
+        tab_val.being_opened = false;
+        log.warn({[`Couldn't open tab ${tab_node_id}`]:err});
+    });
+} //openTabInOpenWindow()
+
+/// Open the page of closed tab #tab_val in the window the user was most
+/// recently using (currently_focused_winid).  The tab's own item stays
+/// closed; the new tab gets an item in that window, as any new tab would.
+/// @param tab_val {Object} The closed tab's details record
+/// @return {Boolean} true if there was an open window to use
+function openTabInFocusedWindow(tab_val)
+{
+    let win_val = D.windows.by_win_id(currently_focused_winid);
+    if(!win_val || !win_val.isOpen) return false;
+
+    let win_id = win_val.win_id;
+    ASQH.NowCC((cc)=>{
+        chrome.tabs.create({windowId: win_id, url: tab_val.raw_url}, cc);
+    })
+    .then((done)=>{
+        chrome.windows.update(win_id, {focused:true}, ASQH.CC(done));
+    })
+    .or((err)=>{
+        log.warn({[`Couldn't open ${tab_val.raw_url} in window ${win_id}`]:err});
+    });
+
+    return true;
+} //openTabInFocusedWindow()
+
+/// Find where the tab at index #index in a Chrome window goes among the
+/// children of that window's tree node.  Chrome indices only count open
+/// tabs, but an open window can also hold closed tabs, e.g., if the user
+/// opened just one tab of a saved window.  A tab goes right before the
+/// open tab now at #index, or right after the last open tab.
+/// @param win_node_id {string} The window's node ID
+/// @param index {Number} The tab's index in the Chrome window
+/// @param moving_node_id {string} (Optional) The tab being placed, if it is
+///     already a child of #win_node_id
+/// @return {Number} The position to pass to move_node()
+function treePositionOfTabIndex(win_node_id, index, moving_node_id = undefined)
+{
+    let win_node = T.treeobj.get_node(win_node_id);
+    if(!win_node) return index;
+
+    let open_positions = [];    // where the other open tabs are
+    win_node.children.forEach((child_id, pos)=>{
+        if(child_id === moving_node_id) return;
+        if(D.tabs.by_node_id(child_id, 'isOpen')) open_positions.push(pos);
+    });
+
+    if(index < open_positions.length) return open_positions[index];
+    if(open_positions.length > 0) {
+        return open_positions[open_positions.length-1] + 1;
+    }
+    return (moving_node_id !== undefined) ?
+        win_node.children.indexOf(moving_node_id) : win_node.children.length;
+} //treePositionOfTabIndex()
+
 /// Get the size of a window, as an object
 /// @param win {DOM window} The window
 function getWindowSize(win)
@@ -492,105 +601,1143 @@ function showConfirmationModalDialog(message_html) {
     return retval;
 } // showConfirmationModalDialog()
 
+/// Show the History dialog, which lists the snapshots in view/history
+/// and lets the user restore one.
+function showHistoryDialog()
+{
+    let jqdlg = $('#history-dialog');
+    let list = jqdlg.find('#history-dialog-list');
+
+    jqdlg.find('#history-dialog-title').text(_T('dlgHistoryTitle'));
+    jqdlg.find('#history-dialog-close').text(_T('dlgClose'));
+
+    let dlg = new (Modules['rmodal'])(
+        document.getElementById('history-dialog'),
+        {
+            closeTimeout: 0,
+            afterOpen: function() {
+                $('#history-dialog-close').focus();
+            },
+            afterClose: function() {
+                $(document).off('keydown.TFhistory');
+                jqdlg.find('button').off('click.TFhistory');
+                list.empty();
+            },
+        }
+    );
+
+    const H = Modules['view/history'];
+
+    /// Restore snapshot #snap, and close the dialog if that worked
+    let restore = (snap, replace)=>{
+        H.load(snap)
+        .val((data)=>{
+            if(restoreSnapshot(snap, data, replace)) dlg.close();
+        })
+        .or((err)=>{
+            log.error({'Could not load snapshot': err});
+            window.alert(_T('errCouldNotRestoreSnapshot',
+                            new Date(snap.time).toLocaleString()));
+        });
+    };
+
+    H.list()
+    .val((snapshots)=>{
+        list.empty();
+        if(snapshots.length === 0) {
+            list.append($('<li>').text(_T('dlgHistoryEmpty')));
+        }
+
+        for(let snap of snapshots) {
+            let item = $('<li>');
+            $('<span class="history-desc">')
+                .text(_T('dlgHistoryItem', [
+                    new Date(snap.time).toLocaleString(),
+                    String(snap.nwins), String(snap.ntabs)]))
+                .appendTo(item);
+
+            $('<button type="button" class="btn">')
+                .text(_T('dlgHistoryReplace'))
+                .attr('title', _T('ttHistoryReplace'))
+                .on('click.TFhistory', ()=>{ restore(snap, true); })
+                .appendTo(item);
+            $('<button type="button" class="btn">')
+                .text(_T('dlgHistoryMerge'))
+                .attr('title', _T('ttHistoryMerge'))
+                .on('click.TFhistory', ()=>{ restore(snap, false); })
+                .appendTo(item);
+
+            list.append(item);
+        }
+
+        jqdlg.find('#history-dialog-close').on('click.TFhistory',
+                                                ()=>{ dlg.close(); });
+        $(document).on('keydown.TFhistory', (ev)=>{ dlg.keydown(ev); });
+
+        dlg.open();
+    })
+    .or((err)=>{
+        log.error({'Could not load history': err});
+        window.alert(_T('errCouldNotLoadHistory', String(err)));
+    });
+} //showHistoryDialog()
+
+/// Show the duplicate tabs in #groups, from findDuplicateTabs(), and offer
+/// to remove the extras.
+function showDuplicatesDialog(groups)
+{
+    const Dups = Modules['view/duplicates'];
+    let jqdlg = $('#dups-dialog');
+    let list = jqdlg.find('#dups-dialog-list');
+
+    let ntabs = groups.reduce((acc, group)=>acc + group.items.length, 0);
+    jqdlg.find('#dups-dialog-title').text(_T('dlgDupsTitle'));
+    jqdlg.find('#dups-dialog-description').text(groups.length > 0 ?
+        _T('dlgDupsDescription', [String(ntabs), String(groups.length)]) :
+        _T('dlgDupsNone'));
+    jqdlg.find('#dups-dialog-close').text(_T('dlgClose'));
+
+    // Fill in the list
+    list.empty();
+    for(let group of groups) {
+        let item = $('<li>');
+        $('<div class="dups-url">').text(group.url).appendTo(item);
+        let tabs = $('<ul>').appendTo(item);
+        for(let dup of group.items) {
+            $('<li>')
+                .append($('<span class="dups-title">').text(dup.title))
+                .append($('<span class="dups-window">')
+                    .text(_T('labelInWindow', dup.win_title)))
+                .append($('<span class="dups-state">')
+                    .text(_T(dup.is_open ? 'dlgDupsOpen' : 'dlgDupsClosed')))
+                .toggleClass('dups-open', dup.is_open)
+                .appendTo(tabs);
+        }
+        list.append(item);
+    }
+
+    let dlg = new (Modules['rmodal'])(
+        document.getElementById('dups-dialog'),
+        {
+            closeTimeout: 0,
+            afterOpen: function() {
+                $('#dups-dialog-close').focus();
+            },
+            afterClose: function() {
+                $(document).off('keydown.TFdups');
+                jqdlg.find('button').off('click.TFdups');
+                list.empty();
+            },
+        }
+    );
+
+    /// Hook up the button that removes the extras Dups.extrasOf(#how)
+    /// picks.  Tabs with child tabs are never removed, since removing
+    /// them would remove their children, too.
+    let addAction = (button_id, label_name, prompt_name, how)=>{
+        let extras = [];
+        for(let group of groups) {
+            extras.push(...Dups.extrasOf(group.items, how).filter((dup)=>{
+                let node = T.treeobj.get_node(dup.node_id);
+                return node && node.children.length === 0;
+            }));
+        }
+
+        let button = jqdlg.find(button_id).text(_T(label_name))
+                        .prop('disabled', extras.length < 1);
+
+        button.on('click.TFdups', ()=>{
+            if(!window.confirm(_T(prompt_name, String(extras.length)))) return;
+            dlg.close();
+            for(let dup of extras) {
+                let tab_val = D.tabs.by_node_id(dup.node_id);
+                if(tab_val) deleteTabWithoutConfirmation(tab_val);
+            }
+            markDuplicateTabs([]);
+                // The ones that are left are no longer duplicates.
+        });
+    };
+
+    addAction('#dups-dialog-keep-first', 'dlgDupsKeepFirst',
+                'dlgpDupsRemove', Dups.KEEP_FIRST);
+    addAction('#dups-dialog-keep-newest', 'dlgDupsKeepNewest',
+                'dlgpDupsRemove', Dups.KEEP_NEWEST);
+    addAction('#dups-dialog-close-open', 'dlgDupsCloseOpen',
+                'dlgpDupsCloseOpen', Dups.CLOSE_OPEN);
+
+    jqdlg.find('#dups-dialog-close').on('click.TFdups', ()=>{ dlg.close(); });
+    $(document).on('keydown.TFdups', (ev)=>{ dlg.keydown(ev); });
+
+    dlg.open();
+} //showDuplicatesDialog()
+
+/// Ask for a passphrase.
+/// @param message {String} The text to show
+/// @param confirm {Boolean} If truthy, ask for the passphrase twice, and
+///     don't accept an empty one.  Use when creating a passphrase.
+/// @return {ASQ} a sequence yielding the passphrase, or null if the user
+///     cancelled.
+function showPassphraseDialog(message, confirm)
+{
+    let retval = ASQ();
+    let cbk = retval.errfcb();  // pause the sequence
+
+    let jqdlg = $('#passphrase-dialog');
+    let pw1 = jqdlg.find('#passphrase-dialog-pw1');
+    let pw2 = jqdlg.find('#passphrase-dialog-pw2');
+    let errmsg = jqdlg.find('#passphrase-dialog-error');
+
+    jqdlg.find('#passphrase-dialog-message').text(message);
+    jqdlg.find('#passphrase-dialog-label1').text(_T('dlgPassphrase'));
+    jqdlg.find('#passphrase-dialog-label2').text(_T('dlgPassphraseAgain'));
+    jqdlg.find('#passphrase-dialog-ok').text(_T('dlgOK'));
+    jqdlg.find('#passphrase-dialog-cancel').text(_T('dlgCancel'));
+    jqdlg.find('.passphrase-confirm').toggle(!!confirm);
+    pw1.val('');
+    pw2.val('');
+    errmsg.text('');
+
+    let dlg = new (Modules['rmodal'])(
+        document.getElementById('passphrase-dialog'),
+        {
+            closeTimeout: 0,
+            afterOpen: function() {
+                pw1.focus();
+            },
+            afterClose: function() {
+                $(document).off('keydown.TFpassphrase');
+                jqdlg.find('button').off('click.TFpassphrase');
+                let passphrase = dlg.ok ? pw1.val() : null;
+                pw1.val('');    // Don't leave the passphrase in the DOM
+                pw2.val('');
+                cbk(null, passphrase);
+            },
+        }
+    );
+    dlg.ok = false;
+
+    let accept = ()=>{
+        if(confirm) {
+            if(!pw1.val()) {
+                errmsg.text(_T('errPassphraseEmpty'));
+                return;
+            }
+            if(pw1.val() !== pw2.val()) {
+                errmsg.text(_T('errPassphraseMismatch'));
+                return;
+            }
+        }
+        dlg.ok = true;
+        dlg.close();
+    };
+
+    jqdlg.find('#passphrase-dialog-ok').on('click.TFpassphrase', accept);
+    jqdlg.find('#passphrase-dialog-cancel').on('click.TFpassphrase',
+                                                ()=>{ dlg.close(); });
+    $(document).on('keydown.TFpassphrase', (ev)=>{
+        if(ev.key === 'Enter') {
+            ev.preventDefault();
+            accept();
+        } else {
+            dlg.keydown(ev);
+        }
+    });
+
+    ASQ().val(()=>{ dlg.open(); });
+    return retval;
+} //showPassphraseDialog()
+
+/// Ask for a color.
+/// @param title {String} What the color is for
+/// @param color {String} The color to start with, or falsy for none
+/// @return {ASQ} a sequence yielding the color as '#rrggbb', or null if
+///     the user cancelled.
+function showColorDialog(title, color)
+{
+    let retval = ASQ();
+    let cbk = retval.errfcb();  // pause the sequence
+
+    let jqdlg = $('#color-dialog');
+    let picker = jqdlg.find('#color-dialog-picker');
+
+    jqdlg.find('#color-dialog-title').text(title);
+    jqdlg.find('#color-dialog-ok').text(_T('dlgOK'));
+    jqdlg.find('#color-dialog-cancel').text(_T('dlgCancel'));
+
+    picker.spectrum({
+        flat: true,
+        showInput: true,
+        showButtons: false,
+        showPalette: true,
+        palette: [K.ITEM_COLORS.map((entry)=>entry.color)],
+        preferredFormat: 'hex',
+        color: color || K.ITEM_COLORS[0].color,
+    });
+
+    let dlg = new (Modules['rmodal'])(
+        document.getElementById('color-dialog'),
+        {
+            closeTimeout: 0,
+            afterOpen: function() {
+                $('#color-dialog-ok').focus();
+            },
+            afterClose: function() {
+                $(document).off('keydown.TFcolor');
+                jqdlg.find('button').off('click.TFcolor');
+                let new_color = dlg.ok ? picker.spectrum('get') : null;
+                picker.spectrum('destroy');
+                cbk(null, new_color ? itemColorOf(new_color.toHexString()) : null);
+            },
+        }
+    );
+    dlg.ok = false;
+
+    let accept = ()=>{
+        dlg.ok = true;
+        dlg.close();
+    };
+
+    jqdlg.find('#color-dialog-ok').on('click.TFcolor', accept);
+    jqdlg.find('#color-dialog-cancel').on('click.TFcolor',
+                                            ()=>{ dlg.close(); });
+    $(document).on('keydown.TFcolor', (ev)=>{
+        if(ev.key === 'Enter') {
+            ev.preventDefault();
+            accept();
+        } else {
+            dlg.keydown(ev);
+        }
+    });
+
+    ASQ().val(()=>{ dlg.open(); });
+    return retval;
+} //showColorDialog()
+
+/// Show the restore preview, which lists the windows and folders in a
+/// backup and lets the user pick which ones to load.
+/// @param tree {Array} The V2 save-data tree from the backup
+/// @param description {String} Text describing the backup
+/// @return {ASQ} a sequence yielding {tree, replace}, or null if the user
+///     cancelled.  #tree is the V2 save-data tree to load, and #replace
+///     is truthy if the closed windows should be removed first.
+function showRestorePreviewDialog(tree, description)
+{
+    const RP = Modules['view/restore_preview'];
+    let retval = ASQ();
+    let cbk = retval.errfcb();  // pause the sequence
+
+    let jqdlg = $('#restore-dialog');
+    let list = jqdlg.find('#restore-dialog-list');
+    let skip_dups = jqdlg.find('#restore-dialog-skip-dups');
+    let replace = jqdlg.find('#restore-dialog-replace');
+
+    jqdlg.find('#restore-dialog-title').text(_T('dlgRestoreTitle'));
+    jqdlg.find('#restore-dialog-description').text(description);
+    jqdlg.find('#restore-dialog-skip-dups-label').text(_T('dlgRestoreSkipDuplicates'));
+    jqdlg.find('#restore-dialog-merge-label').text(_T('dlgRestoreMerge'));
+    jqdlg.find('#restore-dialog-replace-label').text(_T('dlgRestoreReplace'));
+    jqdlg.find('#restore-dialog-ok').text(_T('dlgRestoreLoad'));
+    jqdlg.find('#restore-dialog-cancel').text(_T('dlgCancel'));
+    skip_dups.prop('checked', true);
+    jqdlg.find('#restore-dialog-merge').prop('checked', true);
+
+    // Fill in the list
+    let rows = [];      ///< {entry, item, checkbox, note, dup} per window and folder
+    list.empty();
+    for(let entry of RP.entriesOf(tree)) {
+        let item = $('<li>').toggleClass('restore-in-folder', !!entry.folder_path);
+        let checkbox = $('<input type="checkbox">').prop('checked', true);
+        let label = $('<label>').append(checkbox);
+
+        $('<span class="restore-desc">').text(entry.raw_title ||
+            _T(entry.is_folder ? 'labelFolder' : 'labelSavedTabs'))
+            .appendTo(label);
+        let note = $('<span class="restore-note">').appendTo(label);
+        $('<span class="restore-count">')
+            .text(_T('dlgRestoreTabCount', String(entry.ntabs)))
+            .appendTo(label);
+        item.append(label).appendTo(list);
+
+        // Is the window already in the tree?
+        let dup = null;
+        if(!entry.is_folder && entry.urls && entry.urls.length > 0) {
+            let win_val = D.windows.by_ordered_url_hash(
+                            M.orderedHashOfStrings(entry.urls));
+            if(win_val) dup = win_val.isOpen ? 'open' : 'closed';
+        }
+
+        rows.push({entry, item, checkbox, note, dup});
+    }
+
+    /// Update the checkboxes of the folders to match their windows
+    let updateFolders = ()=>{
+        for(let folder_row of rows.filter((r)=>r.entry.is_folder)) {
+            let kids = rows.filter((r)=>r.entry.folder_path === folder_row.entry.path);
+            if(kids.length > 0) {
+                folder_row.checkbox.prop('checked',
+                    kids.some((r)=>r.checkbox.prop('checked')));
+            }
+        }
+    };
+
+    /// Mark the duplicates, and uncheck them if we are skipping them.
+    /// Windows that match closed windows are not duplicates when
+    /// replacing, since the closed windows will be removed.
+    let updateDuplicates = ()=>{
+        let is_replace = replace.prop('checked');
+        let is_skip = skip_dups.prop('checked');
+        for(let row of rows) {
+            let is_dup = (row.dup === 'open') ||
+                            (row.dup === 'closed' && !is_replace);
+            row.item.toggleClass('restore-duplicate', is_dup);
+            row.note.text(is_dup ? _T('dlgRestoreDuplicate') : '');
+            if(is_dup && is_skip) {
+                row.checkbox.prop({checked: false, disabled: true});
+            } else if(row.checkbox.prop('disabled')) {
+                row.checkbox.prop({checked: true, disabled: false});
+            }
+        }
+        updateFolders();
+    };
+    updateDuplicates();
+
+    for(let row of rows) {
+        row.checkbox.on('change.TFrestore', ()=>{
+            if(row.entry.is_folder) {   // (Un)check the folder's windows
+                let checked = row.checkbox.prop('checked');
+                for(let kid of rows) {
+                    if(kid.entry.folder_path === row.entry.path &&
+                        !kid.checkbox.prop('disabled')
+                    ) {
+                        kid.checkbox.prop('checked', checked);
+                    }
+                }
+            }
+            updateFolders();
+        });
+    }
+
+    let dlg = new (Modules['rmodal'])(
+        document.getElementById('restore-dialog'),
+        {
+            closeTimeout: 0,
+            afterOpen: function() {
+                $('#restore-dialog-ok').focus();
+            },
+            afterClose: function() {
+                $(document).off('keydown.TFrestore');
+                jqdlg.find('button, input').off('.TFrestore');
+                list.empty();
+                cbk(null, dlg.choice);
+            },
+        }
+    );
+    dlg.choice = null;
+
+    skip_dups.on('change.TFrestore', updateDuplicates);
+    jqdlg.find('input[name="restore-mode"]').on('change.TFrestore',
+                                                updateDuplicates);
+
+    jqdlg.find('#restore-dialog-ok').on('click.TFrestore', ()=>{
+        let selected = new Set(rows.filter((r)=>r.checkbox.prop('checked'))
+                                    .map((r)=>r.entry.path));
+        let is_replace = replace.prop('checked');
+        if(is_replace && !window.confirm(_T('dlgpRestoreReplace'))) return;
+
+        dlg.choice = {tree: RP.filterTree(tree, selected), replace: is_replace};
+        dlg.close();
+    });
+    jqdlg.find('#restore-dialog-cancel').on('click.TFrestore',
+                                            ()=>{ dlg.close(); });
+    $(document).on('keydown.TFrestore', (ev)=>{ dlg.keydown(ev); });
+
+    ASQ().val(()=>{ dlg.open(); });
+    return retval;
+} //showRestorePreviewDialog()
+
 ////////////////////////////////////////////////////////////////////////// }}}1
 // Saving // {{{1
 
-/// Wrap up the save data with a magic header and the current version number
-function makeSaveData(data)
+/// Wrap up the save data with a magic header, the current version number,
+/// and the checksum of each element of the tree.
+/// @param data {Array} The V2 save-data tree
+/// @param checksums {Array=} The checksums of the elements of #data, if
+///                             the caller has them
+function makeSaveData(data, checksums = undefined)
 {
-    return { tabfern: 42, version: K.SAVE_DATA_AS_VERSION, tree: data };
+    let save_data = { tabfern: 42, version: K.SAVE_DATA_AS_VERSION, tree: data };
+    save_data.checksums = checksums ||
+        data.map((item)=>recordChecksum(JSON.stringify(item)));
+    return save_data;
 } //makeSaveData()
 
-/// Save the tree to Chrome local storage as **V1** save data.
-/// @param save_ephemeral_windows {Boolean}
-///     whether to save information for open, unsaved windows (default true)
-/// @param cbk {function}
-///     If provided, will be called after saving completes.
-///     Called as cbk(err, save_data).  On success, err is null.
-function saveTree(save_ephemeral_windows = true, cbk = undefined)
+/// Get the checksum of one element of a save-data tree: a BLAKE2s hash
+/// of its JSON.
+/// @param json {String} The element's JSON
+function recordChecksum(json)
 {
-    if(log.getLevel <= log.levels.TRACE) console.log('saveTree');
+    return M.orderedHashOfStrings(json);
+} //recordChecksum()
+
+/// Check save data #save_data against its checksums.  Older save data has
+/// a single checksum of the whole tree instead.  Save data without either,
+/// e.g., from before we added checksums, is assumed to be intact.
+/// @return {Boolean} false if a checksum doesn't match; true otherwise
+function isSaveDataIntact(save_data)
+{
+    if(!save_data || typeof save_data !== 'object' || Array.isArray(save_data)
+        || !(('checksums' in save_data) || ('checksum' in save_data))
+    ) {
+        return true;
+    }
+
+    try {
+        if(!('checksums' in save_data)) {
+            return save_data.checksum ===
+                    recordChecksum(JSON.stringify(save_data.tree));
+        }
+
+        let {tree, checksums} = save_data;
+        return Array.isArray(tree) && Array.isArray(checksums) &&
+            tree.length === checksums.length &&
+            tree.every((item, idx)=>
+                checksums[idx] === recordChecksum(JSON.stringify(item)));
+    } catch(e) {
+        log.warn({'Could not check save data': e});
+        return false;
+    }
+} //isSaveDataIntact()
+
+/// Get the save data for a tab and any tabs nested under it.
+/// @param tab_node_id {string} The node ID of the tab
+/// @return {Object} The V2 save data for the tab, or undefined on error.
+function getTabSaveDataV2(tab_node_id)
+{
+    let tab_val = D.tabs.by_node_id(tab_node_id);
+    if(!tab_val) return undefined;
+
+    let thistab = {};       ///< the V2 save data for the tab
+    thistab.raw_title = tab_val.raw_title;
+    thistab.raw_url = tab_val.raw_url;
+
+    copyTruthyProperties(thistab, tab_val,
+            ['raw_favicon_url', 'isPinned', 'raw_bullet', 'raw_notes',
+                'color', 'time_created', 'time_opened', 'time_activated']);
+
+    if(Array.isArray(tab_val.tags) && tab_val.tags.length > 0) {
+        thistab.tags = tab_val.tags.slice();
+    }
+
+    if(M.has_subtype(tab_node_id, K.NST_TOP_BORDER)) {
+        thistab.bordered = true;
+    }
+
+    // Nested tabs
+    let tab_node = T.treeobj.get_node(tab_node_id);
+    if(tab_node && tab_node.children && tab_node.children.length > 0) {
+        thistab.children = [];
+        for(let child_node_id of tab_node.children) {
+            let child_data = getTabSaveDataV2(child_node_id);
+            if(child_data) thistab.children.push(child_data);
+        }
+    }
+
+    return thistab;
+} //getTabSaveDataV2()
+
+/// Get the save data for a window and its tabs.
+/// @param win_node_id {string} The node ID of the window
+/// @param save_ephemeral_windows {Boolean} as saveTree()
+/// @return {Object} The V2 save data for the window, or undefined if the
+///                  window should not be saved.
+function getWinSaveDataV2(win_node_id, save_ephemeral_windows)
+{
+    let win_node = T.treeobj.get_node(win_node_id);
+    if(!win_node) return undefined;
+
+    // Don't save windows with no children
+    if( (typeof(win_node.children) === 'undefined') ||
+        (win_node.children.length === 0) ) {
+        return undefined;
+    }
 
+    let win_val = D.windows.by_node_id(win_node.id);
+    if(!win_val) return undefined;
+
+    // Don't save ephemeral windows unless we've been asked to.
+    let is_ephemeral = win_val.isOpen && (win_val.keep===K.WIN_NOKEEP);
+    if( is_ephemeral && !save_ephemeral_windows ) return undefined;
+
+    let result_win = {};       // what will hold our data
+
+    result_win.raw_title = win_val.raw_title;
+    result_win.tabs = [];
+    result_win.ordered_url_hash = win_val.ordered_url_hash || undefined;
+    copyTruthyProperties(result_win, win_val, ['raw_notes', 'color']);
+    if(Array.isArray(win_val.tags) && win_val.tags.length > 0) {
+        result_win.tags = win_val.tags.slice();
+    }
+    if(is_ephemeral) result_win.ephemeral = true;
+        // Don't bother putting it in if we don't need it.
+
+    // Stash the tabs, including nested tabs.  The tabs of an open window
+    // are flat in the tree, so save the nesting they will return to
+    // when the window is closed.
+    let nesting = M.nesting_of(win_node_id);
+    let data_by_node_id = new Map();
+    let open_tab_data = new Set();
+    for(let tab_node_id of win_node.children) {
+        let thistab = getTabSaveDataV2(tab_node_id);
+        if(!thistab) continue;
+        data_by_node_id.set(tab_node_id, thistab);
+        if(D.tabs.by_node_id(tab_node_id, 'isOpen')) open_tab_data.add(thistab);
+
+        let parent_data = data_by_node_id.get(nesting.get(tab_node_id));
+        if(parent_data) {
+            if(!parent_data.children) parent_data.children = [];
+            parent_data.children.push(thistab);
+        } else {
+            result_win.tabs.push(thistab);
+        }
+    } //foreach tab
+
+    // If only some of the tabs are open, record which ones, by their
+    // depth-first positions, so the window can be reconnected after a
+    // reload.  See partlyOpenWinInTree().
+    if(win_val.isOpen) {
+        let open_tabs = [];
+        let idx = 0;
+        let walk = (tabs)=>{
+            for(let tab of tabs) {
+                if(open_tab_data.has(tab)) open_tabs.push(idx);
+                ++idx;
+                if(tab.children) walk(tab.children);
+            }
+        };
+        walk(result_win.tabs);
+        if(open_tabs.length > 0 && open_tabs.length < idx) {
+            result_win.open_tabs = open_tabs;
+        }
+    }
+
+    return result_win;
+} //getWinSaveDataV2()
+
+/// Get the save data for a top-level item: a folder and the windows in it,
+/// or a window.
+/// @param node_id {string} The node ID of the item
+/// @param save_ephemeral_windows {Boolean} as saveTree()
+/// @return {Object} The V2 save data for the item, or undefined if the
+///                  item should not be saved.
+function getItemSaveDataV2(node_id, save_ephemeral_windows)
+{
+    let folder_val = D.folders.by_node_id(node_id);
+    if(!folder_val) return getWinSaveDataV2(node_id, save_ephemeral_windows);
+
+    // A folder: save it and the windows in it
+    let folder_node = T.treeobj.get_node(node_id);
+    let result_folder = {
+        folder: true,
+        raw_title: folder_val.raw_title,
+        wins: [],
+    };
+    for(let win_node_id of folder_node.children) {
+        let result_win = getWinSaveDataV2(win_node_id, save_ephemeral_windows);
+        if(result_win) result_folder.wins.push(result_win);
+    }
+    return result_folder;
+        // Save empty folders, too, since the user made them.
+} //getItemSaveDataV2()
+
+/// Get the **V2** save data for the whole tree.
+/// @param save_ephemeral_windows {Boolean} as saveTree()
+/// @return {Array} The V2 save-data tree, or undefined on error.
+function getTreeSaveDataV2(save_ephemeral_windows = true)
+{
     // Get the raw data for the whole tree.  Can't use $(...) because closed
     // tree nodes aren't in the DOM.
     let root_node = T.root_node();
-    if(!root_node || !root_node.children) {
-        if(typeof cbk === 'function') cbk(new Error("Can't get root node"));
-        return;
-    }
+    if(!root_node || !root_node.children) return undefined;
 
     let result = [];    // the data to be saved
 
-    // Clean up the data
-    for(let win_node_id of root_node.children) {
-        let win_node = T.treeobj.get_node(win_node_id);
+    for(let child_node_id of root_node.children) {
+        let result_item = getItemSaveDataV2(child_node_id, save_ephemeral_windows);
+        if(result_item) result.push(result_item);
+    } //foreach top-level node
 
-        // Don't save windows with no children
-        if( (typeof(win_node.children) === 'undefined') ||
-            (win_node.children.length === 0) ) {
-            continue;
-        }
+    return result;
+} //getTreeSaveDataV2()
 
-        let win_val = D.windows.by_node_id(win_node.id);
-        if(!win_val) continue;
+// = = = Saving the tree = = = = = = = = = = = = = =
 
-        // Don't save ephemeral windows unless we've been asked to.
-        let is_ephemeral = win_val.isOpen && (win_val.keep===K.WIN_NOKEEP);
-        if( is_ephemeral && !save_ephemeral_windows ) continue;
+// The tree is stored as one record per top-level item (window or folder);
+// see common/save_storage.js.  Event handlers call scheduleSave() with the
+// nodes they changed.  It collects the changes for a moment, then saves
+// them together.  Only the changed items are serialized again, and only
+// the records whose contents changed are written.
 
-        let result_win = {};       // what will hold our data
+/// What we last saved for each top-level item.
+/// Node ID => {key, data, json, record, checksum}.  #data and #json are
+/// undefined if the item was not saved (see getWinSaveDataV2()).
+var savedItems = new Map();
 
-        result_win.raw_title = win_val.raw_title;
-        result_win.tabs = [];
-        result_win.ordered_url_hash = win_val.ordered_url_hash || undefined;
-        if(is_ephemeral) result_win.ephemeral = true;
-            // Don't bother putting it in if we don't need it.
+/// Node IDs of the top-level items that changed since the last save
+var dirtyItems = new Set();
 
-        // Stash the tabs.  No recursion at this time.
-        if(win_node.children) {
-            for(let tab_node_id of win_node.children) {
-                let tab_val = D.tabs.by_node_id(tab_node_id);
-                if(!tab_val) continue;
+/// Whether the next save has to serialize every item
+var allItemsDirty = true;
 
-                let thistab_v1 = {};    ///< the V1 save data for the tab
-                thistab_v1.raw_title = tab_val.raw_title;
-                thistab_v1.raw_url = tab_val.raw_url;
+/// The record keys in storage as of the last save
+var storedRecordKeys = [];
 
-                copyTruthyProperties(thistab_v1, tab_val,
-                        ['raw_favicon_url', 'isPinned', 'raw_bullet']);
+/// Record keys are this prefix plus a number, so they are unique to this
+/// session.  Set on the first save.
+var recordKeyPrefix = null;
+var nextRecordNumber = 0;
 
-                if(M.has_subtype(tab_node_id, K.NST_TOP_BORDER)) {
-                    thistab_v1.bordered = true;
-                }
+/// The timer for the next scheduled save, or null
+var saveTimer = null;
 
-                result_win.tabs.push(thistab_v1);
-            } //foreach tab
-        } //endif window has child tabs
+/// When the oldest change not yet saved was scheduled, or null
+var oldestUnsavedChangeTime = null;
 
-        result.push(result_win);
-    } //foreach window
+/// Get the top-level item (window or folder) a node belongs to.
+/// @param node_id {string} A tab, window, or folder node
+/// @return {string} the node ID of the item; null for the root;
+///                  undefined if #node_id isn't in the tree.
+function topLevelItemOf(node_id)
+{
+    let node = T.treeobj.get_node(node_id);
+    if(!node) return undefined;
+    if(node.id === $.jstree.root) return null;
+
+    // node.parents ends with the root
+    return (node.parents.length >= 2) ?
+        node.parents[node.parents.length - 2] : node.id;
+} //topLevelItemOf()
+
+/// Mark the top-level items holding #node_ids as needing to be saved.
+/// @param node_ids {Array} as scheduleSave()
+function markItemsDirty(node_ids)
+{
+    if(node_ids.length === 0) allItemsDirty = true;
+    for(let node_id of node_ids) {
+        let item_id = topLevelItemOf(node_id);
+        if(item_id === undefined) {
+            allItemsDirty = true;
+        } else if(item_id !== null) {
+            dirtyItems.add(item_id);
+        }
+    }
+} //markItemsDirty()
+
+/// Save the tree soon.  Changes made in quick succession are saved together.
+/// @param ...node_ids {string} The nodes that changed, or the nodes that
+///     contained nodes that were removed.  If none are given, or any is
+///     no longer in the tree, all items are treated as changed.
+function scheduleSave(...node_ids)
+{
+    markItemsDirty(node_ids);
+
+    let now = Date.now();
+    if(oldestUnsavedChangeTime === null) oldestUnsavedChangeTime = now;
+    let delay = Math.min(K.SAVE_DELAY_MS,
+                    oldestUnsavedChangeTime + K.SAVE_MAX_DELAY_MS - now);
+
+    if(saveTimer !== null) window.clearTimeout(saveTimer);
+    saveTimer = window.setTimeout(()=>{ writeTree(true); }, Math.max(delay, 0));
+} //scheduleSave()
+
+/// Save the tree eventually, for changes that happen often and don't
+/// matter much if lost, such as when a tab was last used.  The changes go
+/// out with the next save, or after K.LAZY_SAVE_DELAY_MS at the latest.
+/// @param ...node_ids {string} as scheduleSave()
+function scheduleLazySave(...node_ids)
+{
+    markItemsDirty(node_ids);
+    if(saveTimer === null) {
+        saveTimer = window.setTimeout(()=>{ writeTree(true); },
+                                        K.LAZY_SAVE_DELAY_MS);
+    }
+} //scheduleLazySave()
+
+/// Save the tree to Chrome local storage now, as **V2** save data.
+/// Use this instead of scheduleSave() when the save has to happen before
+/// something else does.
+/// @param save_ephemeral_windows {Boolean}
+///     whether to save information for open, unsaved windows (default true)
+/// @param cbk {function}
+///     If provided, will be called after saving completes.
+///     Called as cbk(err, save_data).  On success, err is null.
+function saveTree(save_ephemeral_windows = true, cbk = undefined)
+{
+    if(log.getLevel <= log.levels.TRACE) console.log('saveTree');
+    allItemsDirty = true;   // The caller hasn't told us what changed
+    writeTree(save_ephemeral_windows, cbk);
+} //saveTree()
+
+/// Write the changed items, and any pending changes, to storage.
+/// @param save_ephemeral_windows {Boolean} as saveTree()
+/// @param cbk {function} as saveTree()
+function writeTree(save_ephemeral_windows, cbk = undefined)
+{
+    if(saveTimer !== null) window.clearTimeout(saveTimer);
+    saveTimer = null;
+    oldestUnsavedChangeTime = null;
+
+    let root_node = T.root_node();
+    if(!root_node || !root_node.children) {
+        if(typeof cbk === 'function') cbk(new Error("Can't get root node"));
+        return;
+    }
+
+    if(recordKeyPrefix === null) {
+        recordKeyPrefix = `${K.STORAGE_KEY}-item-${Date.now().toString(36)}-`;
+    }
 
-    // Save it
+    let SS = Modules['common/save_storage'];
+    let items = new Map();      // the new savedItems
     let to_save = {};
-    to_save[K.STORAGE_KEY] = makeSaveData(result);
+    let tree = [], checksums = [], record_keys = [];
+    let changed_ids = [];       // the items whose save data changed
+    let stored_bytes = 0, tree_bytes = 0;
+
+    for(let node_id of root_node.children) {
+        let item = savedItems.get(node_id);
+        if(!item || allItemsDirty || dirtyItems.has(node_id)) {
+            let prev = item;
+            let data = getItemSaveDataV2(node_id, save_ephemeral_windows);
+            item = {
+                key: (prev && prev.json !== undefined) ? prev.key :
+                        recordKeyPrefix + (nextRecordNumber++),
+                    // Once a key is out of use, it may be removed at any
+                    // time, so we never use it again.
+                data,
+                json: data ? JSON.stringify(data) : undefined,
+                record: prev ? prev.record : undefined,
+                checksum: prev ? prev.checksum : undefined,
+            };
+            if(!prev || prev.json !== item.json) {
+                changed_ids.push(node_id);
+                if(item.json !== undefined) {
+                    item.record = SS.packRecord(item.json);
+                    item.checksum = recordChecksum(item.json);
+                    to_save[item.key] = item.record;
+                }
+            }
+        }
+        items.set(node_id, item);
+
+        if(item.json === undefined) continue;
+        tree.push(item.data);
+        checksums.push(item.checksum);
+        record_keys.push(item.key);
+        stored_bytes += item.record.length + 2;     // + 2 for the quotes
+        tree_bytes += item.json.length + 1;         // + 1 for the comma
+    }
+
+    let save_data = makeSaveData(tree, checksums);
+    to_save[K.STORAGE_KEY] = SS.makeIndex(record_keys, checksums);
         // storage automatically does JSON.stringify
+    let header_json = JSON.stringify(Object.assign({}, save_data, {tree: null}));
+    to_save[STORAGE_STATS_KEY] = {
+        raw_bytes: header_json.length - 'null'.length +
+                    Math.max(tree_bytes + 1, 2),
+            // The tree's JSON is the items' JSON, comma-separated, in []
+        stored_bytes: stored_bytes + JSON.stringify(to_save[K.STORAGE_KEY]).length,
+        time: Date.now(),
+    };
+
+    // Update our records now, in case another save starts before this
+    // one finishes.
+    let old_record_keys = storedRecordKeys;
+    let current_keys = new Set(record_keys);
+    let stale_keys = old_record_keys.filter((key)=>!current_keys.has(key));
+    if(record_keys.length !== old_record_keys.length ||
+        record_keys.some((key, idx)=>key !== old_record_keys[idx])
+    ) {
+        changed_ids.push(root_node.id);     // The order changed
+    }
+    savedItems = items;
+    storedRecordKeys = record_keys;
+    dirtyItems.clear();
+    allItemsDirty = !save_ephemeral_windows;
+        // The cached items omit ephemeral windows, so don't reuse them
+
     chrome.storage.local.set(to_save,
         function() {
             if(!isLastError()) {
-                log.debug('Saved tree');
+                log.debug({'Saved tree; records written':
+                            Object.keys(to_save).length - 2});
+                if(stale_keys.length > 0) {
+                    chrome.storage.local.remove(stale_keys, function() {
+                        if(isLastError()) {
+                            log.warn({'Could not remove old save records':
+                                        chrome.runtime.lastError});
+                        }
+                    });
+                }
+                Modules['view/history'].addSnapshot(save_data, changed_ids)
+                .or((err)=>{ log.warn({'Could not save history': err}); });
+                syncBookmarkMirror(undefined, false, changed_ids);
                 if(typeof cbk === 'function') {
-                    cbk(null, to_save[K.STORAGE_KEY]);
+                    cbk(null, save_data);
                 }
                 return;     // Saved OK
             }
-            //else there was an error
+            //else there was an error.  We don't know what's in storage,
+            // so write everything next time, and clean up every record
+            // that might be there.
+            savedItems = new Map();
+            allItemsDirty = true;
+            storedRecordKeys = Array.from(
+                new Set(old_record_keys.concat(storedRecordKeys)));
+
             let msg = _T('errCouldNotSave', chrome.runtime.lastError.toString());
             log.error(msg);
             window.alert(msg);     // The user needs to know
             if(typeof cbk === 'function') cbk(new Error(msg));
         }
     ); //storage.local.set
-} //saveTree()
+} //writeTree()
+
+// = = = Bookmark mirror = = = = = = = = = = = = = =
+
+/// Whether syncBookmarkMirror() is running
+var bookmarkMirrorBusy = false;
+
+/// Whether syncBookmarkMirror() was called while it was running
+var bookmarkMirrorAgain = false;
+
+/// The saved windows of each top-level item, as of the last sync, so
+/// syncBookmarkMirror() only builds again the items that changed.
+/// Node ID => {data, wins}.  #data is the item's save data without
+/// ephemeral windows, or undefined if none.  #wins are the item's windows,
+/// as getBookmarkMirrorWindows() returns them except for #isOpen.
+var bookmarkMirrorItems = new Map();
+
+/// Node IDs of the top-level items that changed since the last sync
+var bookmarkMirrorDirtyItems = new Set();
+
+/// Whether the next sync has to build every item again
+var bookmarkMirrorAllDirty = true;
+
+/// Options for the bookmark forms of windows and folders
+function getBookmarkMirrorOptions()
+{
+    return {
+        untitled_win: _T('labelSavedTabs'),
+        untitled_folder: _T('labelFolder'),
+    };
+} //getBookmarkMirrorOptions()
+
+/// Get a top-level item's entry in bookmarkMirrorItems.
+/// @param node_id {string} The item's node ID
+/// @return {Object} the entry
+function getBookmarkMirrorItem(node_id)
+{
+    let BM = Modules['view/bookmark_mirror'];
+    let untitled = getBookmarkMirrorOptions().untitled_win;
+    let folder_val = D.folders.by_node_id(node_id);
+    let win_node_ids = folder_val ?
+        T.treeobj.get_node(node_id).children : [node_id];
+
+    let wins = [], win_datas = [];
+    for(let win_node_id of win_node_ids) {
+        let win_data = getWinSaveDataV2(win_node_id, false);
+        if(!win_data) continue;
+        win_datas.push(win_data);
+        wins.push({
+            key: win_node_id,
+            digest: BM.digestOf(BM.windowForm(win_data, untitled)),
+        });
+    }
+
+    // As getItemSaveDataV2()
+    let data = folder_val ?
+        {folder: true, raw_title: folder_val.raw_title, wins: win_datas} :
+        win_datas[0];
+    return {data, wins};
+} //getBookmarkMirrorItem()
+
+/// Get the saved windows in the tree, in the form view/bookmark_mirror.diff()
+/// expects, and the save data of the tree without ephemeral windows.
+/// Only builds again the items marked dirty since the last call.
+/// @return {Object} {wins, tree}
+function getBookmarkMirrorWindows()
+{
+    let retval = {wins: [], tree: []};
+
+    let root_node = T.root_node();
+    if(!root_node || !root_node.children) return retval;
+
+    let items = new Map();
+    for(let node_id of root_node.children) {
+        let item = bookmarkMirrorItems.get(node_id);
+        if(!item || bookmarkMirrorAllDirty ||
+            bookmarkMirrorDirtyItems.has(node_id)
+        ) {
+            item = getBookmarkMirrorItem(node_id);
+        }
+        items.set(node_id, item);
+
+        if(item.data) retval.tree.push(item.data);
+        for(let win of item.wins) {
+            retval.wins.push(Object.assign({
+                isOpen: !!D.windows.by_node_id(win.key, 'isOpen')
+            }, win));
+        }
+    }
+
+    bookmarkMirrorItems = items;
+    bookmarkMirrorDirtyItems.clear();
+    bookmarkMirrorAllDirty = false;
+    return retval;
+} //getBookmarkMirrorWindows()
+
+/// Apply the results of view/bookmark_mirror.diff() to the tree.
+/// @return {Boolean} true if the tree changed
+function applyBookmarkMirrorChanges(changes)
+{
+    let untitled = getBookmarkMirrorOptions().untitled_win;
+    let fix_title = (record)=>{
+        if(record.raw_title === untitled) record.raw_title = null;
+        return record;
+    };
+
+    let root_node = T.root_node();
+    let find_folder = (title)=>root_node.children.find((node_id)=>
+        D.folders.by_node_id(node_id, 'raw_title') === title);
+
+    for(let mwin of changes.conflicts) {
+        log.info({'Bookmark mirror: keeping the tree version instead of the edited bookmarks':
+                    mwin});
+    }
+
+    T.do_not_rjustify = true;
+
+    // Windows the user edited in the bookmarks
+    for(let {key, record} of changes.updates) {
+        let old_node = T.treeobj.get_node(key);
+        if(!old_node) continue;
+
+        let parent_id = old_node.parent;
+        let new_node_id = createNodeForClosedWindowV1(fix_title(record),
+            D.folders.by_node_id(parent_id) ? parent_id : undefined);
+        if(!new_node_id) continue;
+
+        // Put the new version where the old one was
+        T.treeobj.move_node(new_node_id, parent_id,
+            T.treeobj.get_node(parent_id).children.indexOf(key));
+        M.eraseWin(key);
+    }
+
+    // Windows the user added to the bookmarks
+    for(let mwin of changes.imports) {
+        if(mwin.record.tabs.length === 0) continue;   // e.g., a new folder
+
+        let folder_node_id;
+        if(mwin.folder_title) {
+            folder_node_id = find_folder(mwin.folder_title) ||
+                                createNodeForFolder(mwin.folder_title);
+        }
+        createNodeForClosedWindowV1(fix_title(mwin.record), folder_node_id);
+    }
+
+    delete T.do_not_rjustify;
+
+    return (changes.updates.length + changes.imports.length) > 0;
+} //applyBookmarkMirrorChanges()
+
+/// If the user has enabled it, sync the saved windows with the Chrome
+/// bookmarks mirror.  This applies edits the user made to the bookmarks,
+/// per the rules in view/bookmark_mirror.js, and then writes the tree
+/// to the bookmarks.
+/// @param cbk {function} If provided, called when the sync is done,
+///                       whether or not it succeeded.
+/// @param during_init {Boolean=false} If truthy, and the tree has no saved
+///     windows, restore all the windows from the mirror rather than
+///     emptying it.  This covers lost save data.
+/// @param changed_ids {Array=} The node IDs of the top-level items that
+///     changed since the last call.  If not given, any item may have.
+function syncBookmarkMirror(cbk = undefined, during_init = false,
+                            changed_ids = undefined)
+{
+    let finish = ()=>{ if(typeof cbk === 'function') cbk(); };
+
+    if(changed_ids) {
+        for(let node_id of changed_ids) bookmarkMirrorDirtyItems.add(node_id);
+    } else {
+        bookmarkMirrorAllDirty = true;
+    }
+
+    if(!getBoolSetting(CFG_BOOKMARK_MIRROR) || !chrome.bookmarks) {
+        finish();
+        return;
+    }
+
+    if(bookmarkMirrorBusy) {    // Sync again once this one is done
+        bookmarkMirrorAgain = true;
+        finish();
+        return;
+    }
+    bookmarkMirrorBusy = true;
+
+    let BM = Modules['view/bookmark_mirror'];
+    let state;
+
+    let after = ()=>{   // Runs after success or failure
+        bookmarkMirrorBusy = false;
+        if(bookmarkMirrorAgain) {
+            bookmarkMirrorAgain = false;
+            syncBookmarkMirror(undefined, false, []);
+                // The calls meanwhile already marked what changed
+        }
+        finish();
+    };
+
+    // The setting may be on without the permission, e.g., after a
+    // settings import.
+    ASQH.NowCC((cc)=>{
+        chrome.permissions.contains(BOOKMARK_MIRROR_PERMISSIONS, cc);
+    })
+    .then((done, granted)=>{
+        if(!granted) {
+            done.fail('TabFern does not have permission to use bookmarks');
+            return;
+        }
+        chrome.storage.local.get(BM.STATE_KEY, ASQH.CC(done));
+    })
+    .then((done, items)=>{
+        state = items[BM.STATE_KEY] || {};
+        BM.getRoot(state.root_id).pipe(done);
+    })
+    .then((done, root_node)=>{
+        let tf = getBookmarkMirrorWindows();
+        let digests = state.digests;
+        if(during_init && tf.wins.length === 0) digests = {};
+
+        let changes = BM.diff(tf.wins, BM.mirrorWindows(root_node), digests);
+        if(applyBookmarkMirrorChanges(changes)) {
+            bookmarkMirrorAllDirty = true;
+            tf = getBookmarkMirrorWindows();
+            scheduleSave();     // will sync again once we're done
+        }
+
+        BM.write(root_node, BM.treeForm(tf.tree, getBookmarkMirrorOptions()))
+        .val((digests)=>({root_id: root_node.id, digests}))
+        .pipe(done);
+    })
+    .then((done, new_state)=>{
+        chrome.storage.local.set({[BM.STATE_KEY]: new_state}, ASQH.CC(done));
+    })
+    .val(after)
+    .or((err)=>{
+        log.warn({'Could not sync the bookmark mirror': err});
+        after();
+    });
+} //syncBookmarkMirror()
 
 ////////////////////////////////////////////////////////////////////////// }}}1
 // Other actions // {{{1
@@ -651,6 +1798,58 @@ function actionURLSubstitute(node_id, node, unused_action_id, unused_action_el)
     }
 } //actionURLSubstitute
 
+/// The timer for the next automatic sort of the windows, or null
+var windowSortTimer = null;
+
+/// Sort the windows in the order the CFGS_WIN_SORT_MODE setting calls for.
+/// The top-level items are sorted, and so are the windows in each folder.
+/// Does nothing if the user arranges the windows manually.
+function applyWindowSortMode()
+{
+    if(windowSortTimer !== null) window.clearTimeout(windowSortTimer);
+    windowSortTimer = null;
+
+    let sorts = Modules['view/sorts'];
+    let compare_fn =
+        sorts.window_sort_modes[getStringSetting(CFGS_WIN_SORT_MODE)];
+    if(!compare_fn) return;
+
+    let root_node = T.root_node();
+    if(!root_node || !root_node.children) return;
+
+    let changed_ids = [];
+    for(let parent_id of [root_node.id].concat(root_node.children_d)) {
+        if(parent_id !== root_node.id && !D.folders.by_node_id(parent_id)) {
+            continue;
+        }
+
+        let children = T.treeobj.get_node(parent_id).children;
+        let old_order = children.slice();
+        sorts.stable_sort(children, compare_fn);
+            // children[] holds node IDs, so compare_fn will always get strings.
+        if(children.some((node_id, idx)=>(node_id !== old_order[idx]))) {
+            changed_ids.push(parent_id);
+        }
+    }
+
+    if(changed_ids.length === 0) return;
+    T.treeobj.redraw(true);   // true => full redraw
+    scheduleSave(...changed_ids);
+        // For the root, this doesn't mark any item changed, but the save
+        // still records the new order.
+} //applyWindowSortMode()
+
+/// Sort the windows soon, per applyWindowSortMode().  Call this after
+/// anything that might change the windows' order in the current sort mode.
+/// Changes made in quick succession are handled by a single sort.
+function scheduleWindowSort()
+{
+    if(!did_init_complete) return;      // initTreeFinal() sorts the tree
+    if(windowSortTimer !== null) window.clearTimeout(windowSortTimer);
+    windowSortTimer = window.setTimeout(applyWindowSortMode,
+                                        K.WINDOW_SORT_DELAY_MS);
+} //scheduleWindowSort()
+
 ////////////////////////////////////////////////////////////////////////// }}}1
 // jstree-action callbacks // {{{1
 
@@ -694,7 +1893,8 @@ function actionRenameWindow(node_id, node, unused_action_id, unused_action_el)
         // The user has touched the window, so doesn't need the "recovered"
         // reminder.
 
-    saveTree();
+    scheduleSave(node_id);
+    scheduleWindowSort();
 } //actionRenameWindow()
 
 /// Mark a window as K.NOKEEP but don't close it
@@ -711,7 +1911,7 @@ function actionForgetWindow(node_id, node, unused_action_id, unused_action_el)
         M.add_subtype(node_id, K.NST_OPEN);
     }
 
-    saveTree();
+    scheduleSave(node_id);
 } //actionForgetWindow()
 
 /// Mark a window as K.KEEP but don't close it
@@ -722,11 +1922,11 @@ function actionRememberWindow(node_id, node, unused_action_id, unused_action_el)
 
     M.remember(node_id);    // No-op if node_id isn't a window
 
-    saveTree();
+    scheduleSave(node_id);
 } //actionForgetWindow()
 
 /// Close a window, but don't delete its tree nodes.  Used for saving windows.
-/// ** The caller must call saveTree() --- actionCloseWindowButDoNotSave() does not.
+/// ** The caller must call scheduleSave() --- actionCloseWindowButDoNotSave() does not.
 function actionCloseWindowButDoNotSave(node_id, node, unused_action_id, unused_action_el)
 {
     let win_val = D.windows.by_node_id(node_id);
@@ -759,6 +1959,7 @@ function actionCloseWindowButDoNotSave(node_id, node, unused_action_id, unused_a
     win_val.isOpen = false;
     M.remember(node_id);
     M.del_subtype(node_id, K.NST_OPEN);
+    scheduleWindowSort();
 
     // Collapse the tree, if the user wants that
     if(getBoolSetting("collapse-tree-on-window-close")) {
@@ -781,6 +1982,9 @@ function actionCloseWindowButDoNotSave(node_id, node, unused_action_id, unused_a
         // raw_url and raw_title are left alone
     }
 
+    // Put back any tabs that were nested before the window was opened
+    M.restoreNesting(node_id);
+
     T.treeobj.clear_flags();
         // On close, we can't know where the focus will go next.
 
@@ -791,7 +1995,7 @@ function actionCloseWindowButDoNotSave(node_id, node, unused_action_id, unused_a
 function actionCloseWindowAndSave(node_id, node, unused_action_id, unused_action_el)
 {
     actionCloseWindowButDoNotSave(node_id, node, unused_action_id, unused_action_el);
-    saveTree();
+    scheduleSave(node_id);
 } //actionCloseWindowAndSave
 
 /// Delete a window's entry in the tree.
@@ -813,8 +2017,8 @@ function actionDeleteWindow(node_id, node, unused_action_id, unused_action_el,
         actionCloseWindowButDoNotSave(node_id, node, unused_action_id, unused_action_el);
 
         lastDeletedWindow = [];
-        // Remove the tabs from D.tabs
-        for(let tab_node_id of node.children) {
+        // Remove the tabs, including nested tabs, from D.tabs
+        for(let tab_node_id of M.tab_node_ids_of(node_id)) {
             let tab_val = D.tabs.by_node_id(tab_node_id);
             if(!tab_val) continue;
             D.tabs.remove_value(tab_val);
@@ -846,7 +2050,7 @@ function actionDeleteWindow(node_id, node, unused_action_id, unused_action_el,
             T.treeobj.hover_node(next_node);
         }
 
-        saveTree();
+        scheduleSave();
     } //doDeletion()
 
     // Prompt for confirmation, if necessary
@@ -900,10 +2104,149 @@ function actionDeleteWindow(node_id, node, unused_action_id, unused_action_el,
 function actionMoveWinToTop(node_id, node, unused_action_id, unused_action_el)
 {
     if(!node) return;
-    T.treeobj.move_node(node, T.root_node(), 1);
-        // 1 => after the holding pen
+    if(node.parent === $.jstree.root) {
+        T.treeobj.move_node(node, T.root_node(), 1);
+            // 1 => after the holding pen
+    } else {    // In a folder - move to the top of the folder
+        T.treeobj.move_node(node, node.parent, 0);
+    }
 } //actionMoveWinToTop
 
+/// Sort the tabs in a window using #compare_fn.  Pinned tabs stay ahead of
+/// unpinned tabs, since Chrome won't move one past the other (see
+/// dndIsDraggable()).  For an open window, the tabs are moved in Chrome,
+/// and tabOnMoved() moves the tree nodes to match.
+function actionSortWindowTabs(node_id, node, compare_fn)
+{
+    let win_val = D.windows.by_node_id(node_id);
+    if(!node || !win_val) return;
+
+    let pinned = [], unpinned = [];
+    for(let tab_node_id of node.children) {
+        if(D.tabs.by_node_id(tab_node_id, 'isPinned')) {
+            pinned.push(tab_node_id);
+        } else {
+            unpinned.push(tab_node_id);
+        }
+    }
+    Modules['view/sorts'].stable_sort(pinned, compare_fn);
+    Modules['view/sorts'].stable_sort(unpinned, compare_fn);
+    let sorted = pinned.concat(unpinned);
+
+    /// Put the tree's children in sorted order.  Tabs added meanwhile go
+    /// at the end, and tabs removed meanwhile drop out.
+    function applyOrder() {
+        let win_node = T.treeobj.get_node(node_id);
+        if(!win_node) return;   // Window went away while we were sorting
+        let children = win_node.children;
+        let kids = sorted.filter((id)=>children.includes(id))
+            .concat(children.filter((id)=>!sorted.includes(id)));
+        children.splice(0, children.length, ...kids);
+        T.treeobj.redraw(true);   // true => full redraw
+        updateTabIndexValues(node_id);
+        scheduleSave(node_id);
+    } //applyOrder()
+
+    // Sort the tree first so the closed tabs land in their places.
+    applyOrder();
+    if(!win_val.isOpen) return;
+
+    // Then move the open tabs into the same order, one at a time, left to
+    // right.  tabOnMoved() places each tab relative to the other open
+    // tabs only, so apply the order again at the end in case it moved
+    // some closed tabs around.
+    let seq = ASQ();
+    let index = 0;
+    for(let tab_node_id of sorted) {
+        let tab_val = D.tabs.by_node_id(tab_node_id);
+        if(!tab_val || tab_val.tab_id === K.NONE) continue;
+
+        let tab_id = tab_val.tab_id, is_pinned = !!tab_val.isPinned;
+        let to_index = index++;
+        seq.then((done)=>{
+            chrome.tabs.move(tab_id, {index: to_index}, ASQH.CC(done));
+        })
+        .then((done)=>{
+            // As in move_open_tab_in_window(), make sure the move
+            // didn't change the pinned status.
+            chrome.tabs.update(tab_id, {pinned: is_pinned}, ASQH.CC(done));
+        });
+    }
+    seq.val(applyOrder)
+    .or((err)=>{
+        log.warn({[`Couldn't sort the tabs of window ${node_id}`]:err});
+    });
+} //actionSortWindowTabs()
+
+/// Prompt the user for a new name for a folder, and rename if the user
+/// hits OK.
+function actionRenameFolder(node_id, node, unused_action_id, unused_action_el)
+{
+    let folder_val = D.folders.by_node_id(node_id);
+    if(!folder_val) return;
+
+    // TODO replace window.prompt with an in-DOM GUI.
+    let folder_name = window.prompt(_T('dlgpNewFolderName'),
+            M.get_raw_text(folder_val));
+    if(folder_name === null) return;   // user cancelled
+
+    folder_val.raw_title = folder_name || null;    // '' => default name
+    M.refresh_label(folder_val);
+
+    scheduleSave(node_id);
+    scheduleWindowSort();
+} //actionRenameFolder()
+
+/// Delete a folder.  The windows in the folder are kept, and are moved
+/// to the top level where the folder was.
+function actionDeleteFolder(node_id, node, unused_action_id, unused_action_el)
+{
+    let folder_val = D.folders.by_node_id(node_id);
+    if(!folder_val) return;
+    let folder_node = T.treeobj.get_node(node_id);
+    if(!folder_node) return;
+
+    let root = T.root_node();
+    let pos = root.children.indexOf(node_id);
+    if(pos === -1) return;
+
+    // Move the windows out, in order, just after the folder
+    for(let win_node_id of folder_node.children.slice()) {
+        ++pos;
+        T.treeobj.move_node(win_node_id, root, pos);
+    }
+
+    M.eraseFolder(folder_val);
+
+    scheduleSave();
+} //actionDeleteFolder()
+
+/// Create a new folder where window #node_id is, and move the window into it.
+function actionMoveWinToNewFolder(node_id, node, unused_action_id, unused_action_el)
+{
+    let win_val = D.windows.by_node_id(node_id);
+    if(!win_val || !node) return;
+
+    // TODO replace window.prompt with an in-DOM GUI.
+    let folder_name = window.prompt(_T('dlgpNewFolderName'), _T('labelFolder'));
+    if(folder_name === null) return;   // user cancelled
+
+    let folder_node_id = createNodeForFolder(folder_name || null);
+    if(!folder_node_id) return;
+
+    // Put the folder where the window was, then move the window into it.
+    let old_parent = T.treeobj.get_node(node.parent);
+    let root = T.root_node();
+    let pos = (old_parent.id === root.id) ?
+                root.children.indexOf(node_id) :    // A top-level window
+                root.children.indexOf(old_parent.id) + 1;   // After its folder
+    T.treeobj.move_node(folder_node_id, root, pos);
+    T.treeobj.move_node(node_id, folder_node_id, 0);
+    T.treeobj.open_node(folder_node_id);
+
+    scheduleSave(node_id, old_parent.id);
+} //actionMoveWinToNewFolder()
+
 /// Toggle the top border on a node.  This is a hack until I can add
 /// dividers.
 function actionToggleTabTopBorder(node_id, node, unused_action_id, unused_action_el)
@@ -919,11 +2262,11 @@ function actionToggleTabTopBorder(node_id, node, unused_action_id, unused_action
         M.del_subtype(node_id, K.NST_TOP_BORDER);
     }
 
-    M.remember(node.parent);
+    M.remember(M.vn_win_of(node_id).val);
         // assume that a user who bothered to add a divider to a tab
         // wants to keep the window the tab is in.
 
-    saveTree();
+    scheduleSave(node_id);
 } //actionToggleTabTopBorder
 
 /// Edit a node's bullet.  ** Synchronous **.
@@ -957,13 +2300,318 @@ function actionEditTabBullet(node_id, node, unused_action_id, unused_action_el)
 
     // TODO if window is currently ephemeral, only remember if
     // new_bullet is nonempty.
-    M.remember(node.parent);
+    M.remember(M.vn_win_of(node_id).val);
         // Assume that a user who bothered to add a note
         // wants to keep the window the note is in.
 
-    saveTree();
+    scheduleSave(node_id);
 } //actionEditTabBullet
 
+/// Whether we can show the notes pane.  We can't if tree.html is open
+/// by itself rather than in main.html.
+function canEditNotes()
+{
+    return !!(window.parent && window.parent !== window &&
+                window.parent.openNotes);
+} //canEditNotes
+
+/// Edit the long-form notes of a tab or window in the notes pane.  The
+/// notes are saved as the user types.
+/// @param node_id {string} The ID of a node representing a tab or window.
+function actionEditNotes(node_id, node, unused_action_id, unused_action_el)
+{
+    let val = M.get_node_val(node_id);
+    if(!val || (val.ty !== K.IT_TAB && val.ty !== K.IT_WIN)) return;
+    if(!canEditNotes()) return;
+
+    let had_notes = M.has_notes(val);
+
+    window.parent.openNotes(_T('labelNotesFor', M.get_raw_text(val)),
+        val.raw_notes,
+        {   onChange: (text)=>{
+                // The item may have been deleted since the pane opened.
+                if(M.get_node_val(node_id) !== val) return;
+
+                val.raw_notes = text || null;
+                if(M.has_notes(val) !== had_notes) {
+                    had_notes = !had_notes;
+                    M.refresh_label(node_id);
+                    if(had_notes) M.remember(M.vn_win_of(node_id).val);
+                        // As with bullets, assume that a user who bothered
+                        // to write notes wants to keep the window.
+                }
+
+                scheduleSave(node_id);
+            },
+        });
+} //actionEditNotes
+
+/// Set the tags of item #val to #tags, cleaned up.  Does not refresh.
+/// @param val {Object} The details record of a window or tab
+/// @param tags {mixed} The tags
+function setItemTags(val, tags)
+{
+    tags = Modules['view/tags'].normalize(tags);
+    if(tags.length > 0) {
+        val.tags = tags;
+    } else {
+        val.tags = undefined;       // records are sealed
+    }
+} //setItemTags
+
+/// Edit the tags of a tab or window.  ** Synchronous **.
+/// @param node_id {string} The ID of a node representing a tab or window.
+function actionEditTags(node_id, node, unused_action_id, unused_action_el)
+{
+    let val = M.get_node_val(node_id);
+    if(!val || (val.ty !== K.IT_TAB && val.ty !== K.IT_WIN)) return;
+
+    // TODO replace window.prompt with an in-DOM GUI.
+    let text = window.prompt(_T('dlgpTags', M.get_raw_text(val)),
+                                Modules['view/tags'].format(val.tags));
+    if(text === null) return;   // user cancelled
+
+    setItemTags(val, Modules['view/tags'].parse(text));
+    M.refresh_label(node_id);
+
+    if(val.tags) M.remember(M.vn_win_of(node_id).val);
+        // Assume that a user who bothered to tag something
+        // wants to keep the window it is in.
+
+    if(tagFilter || searchRE) applyFilters();
+    scheduleSave(node_id);
+} //actionEditTags
+
+/// Get #color in the form items store it.
+/// @param color {mixed} A CSS color
+/// @return {String} the color as '#rrggbb', or null if #color isn't a color
+function itemColorOf(color)
+{
+    if(typeof color !== 'string') return null;
+    let tc = Modules.tinycolor(color);
+    return tc.isValid() ? tc.toHexString() : null;
+} //itemColorOf
+
+/// Set or clear the color of a tab or window.
+/// @param node_id {string} The ID of a node representing a tab or window.
+/// @param color {String} The color as '#rrggbb', or null to clear it
+function actionSetColor(node_id, node, color)
+{
+    let val = M.get_node_val(node_id);
+    if(!val || (val.ty !== K.IT_TAB && val.ty !== K.IT_WIN)) return;
+
+    if(!M.set_color(val, color)) return;
+
+    if(color) M.remember(M.vn_win_of(node_id).val);
+        // Assume that a user who bothered to color something
+        // wants to keep the window it is in.
+
+    scheduleSave(node_id);
+} //actionSetColor
+
+/// Ask the user for a color for a tab or window, and set it.
+/// @param node_id {string} The ID of a node representing a tab or window.
+function actionPickColor(node_id, node, unused_action_id, unused_action_el)
+{
+    let val = M.get_node_val(node_id);
+    if(!val || (val.ty !== K.IT_TAB && val.ty !== K.IT_WIN)) return;
+
+    showColorDialog(_T('dlgColorFor', M.get_raw_text(val)), val.color)
+    .val((color)=>{
+        if(color) actionSetColor(node_id, node, color);
+    });
+} //actionPickColor
+
+/// Whether window node #win_node_id, or any of its tabs, has a tag
+/// in #tagFilter.
+function windowMatchesTagFilter(win_node_id)
+{
+    let Tags = Modules['view/tags'];
+    let win_val = D.windows.by_node_id(win_node_id);
+    if(!win_val) return false;
+    if(Tags.matchesAny(win_val.tags, tagFilter)) return true;
+
+    return M.tab_node_ids_of(win_node_id).some((tab_node_id)=>{
+        let tab_val = D.tabs.by_node_id(tab_node_id);
+        return !!tab_val && Tags.matchesAny(tab_val.tags, tagFilter);
+    });
+} //windowMatchesTagFilter
+
+/// Whether the title, URL, bullet, notes, or tags of the item at
+/// #node_id match #searchRE.
+function itemMatchesSearch(node_id)
+{
+    return searchRE.test(M.get_search_text(node_id));
+} //itemMatchesSearch
+
+/// Show the items that match #tagFilter and #searchRE, and hide the rest.
+/// A window is shown if it or one of its tabs has a tag in #tagFilter,
+/// and if it or one of its tabs matches #searchRE.  Unless the window
+/// itself matches the search, only its matching tabs are shown.  Folders
+/// holding no shown windows are hidden, and windows with search matches
+/// are opened.  If both filters are off, show everything.  Hiding only
+/// affects the view: the items stay in the tree and are saved as usual.
+/// Windows opened while a filter is on stay visible until the filters
+/// are next applied, so that the user can see the window they are
+/// working in.
+function applyFilters()
+{
+    /// Show or hide #node_id, and return whether it is shown
+    let showIf = (node_id, show)=>{
+        if(show) {
+            T.treeobj.show_node(node_id, true);     // true => skip redraw
+        } else {
+            T.treeobj.hide_node(node_id, true);
+        }
+        return show;
+    };
+
+    /// Filter the tabs under #parent_node_id, which may themselves have
+    /// child tabs.  Show them all if #show_all.
+    /// @return {Boolean} whether any of them are shown
+    let filterTabs = (parent_node_id, show_all)=>{
+        let any_shown = false;
+        for(let tab_node_id of T.treeobj.get_node(parent_node_id).children) {
+            let kids_shown = filterTabs(tab_node_id, show_all);
+            if(kids_shown && !show_all) {
+                T.treeobj.open_node(tab_node_id, false, false);
+                    // false => no callback, no animation
+            }
+            if(showIf(tab_node_id,
+                    show_all || kids_shown || itemMatchesSearch(tab_node_id))) {
+                any_shown = true;
+            }
+        }
+        return any_shown;
+    };
+
+    /// Filter window #win_node_id and its tabs.
+    /// @return {Boolean} whether the window is shown
+    let filterWin = (win_node_id)=>{
+        if(tagFilter && !windowMatchesTagFilter(win_node_id)) {
+            return showIf(win_node_id, false);
+        }
+
+        let win_matches = !searchRE || itemMatchesSearch(win_node_id);
+        let shown = showIf(win_node_id,
+                        filterTabs(win_node_id, win_matches) || win_matches);
+        if(shown && searchRE) T.treeobj.open_node(win_node_id, false, false);
+        return shown;
+    };
+
+    for(let node_id of T.root_node().children) {
+        let node = T.treeobj.get_node(node_id);
+        if(!node || (node.data && node.data.skip)) continue;    // holding pen
+
+        if(D.folders.by_node_id(node_id)) {
+            let any_shown = false;
+            for(let win_node_id of node.children) {
+                if(filterWin(win_node_id)) any_shown = true;
+            }
+            showIf(node_id, any_shown || (!tagFilter && !searchRE));
+            if(any_shown && searchRE) T.treeobj.open_node(node_id, false, false);
+        } else {
+            filterWin(node_id);
+        }
+    }
+
+    T.treeobj.redraw(true);     // true => full redraw
+} //applyFilters
+
+/// Set the tag filter to #tags, or turn it off if #tags is null.
+function setTagFilter(tags)
+{
+    tagFilter = tags ? Modules['view/tags'].normalize(tags) : null;
+    if(tagFilter && tagFilter.length < 1) tagFilter = null;
+    applyFilters();
+} //setTagFilter
+
+/// Set the search to #text, or turn it off if #text is empty.  Searches
+/// are case-insensitive.  When the search is turned off, the nodes that
+/// were open before it started are opened again, and the rest closed.
+/// @param text {String} What to search for
+/// @param is_regex {Boolean} If truthy, #text is a regular expression;
+///                             otherwise, it is matched literally.
+/// @throws {SyntaxError} if #text is not a valid regular expression.
+///                         The search is not changed in that case.
+function setSearch(text, is_regex)
+{
+    let re = text ?
+        new RegExp(is_regex ? text : escapeRegExp(text), 'im') : null;
+
+    if(re && !searchRE) {
+        preSearchOpenState = new Map();
+        for(let node_id of T.root_node().children_d) {
+            preSearchOpenState.set(node_id, T.treeobj.is_open(node_id));
+        }
+    }
+
+    searchRE = re;
+    M.set_search_highlight(re);
+
+    // Update the highlights in the labels that have changed
+    for(let node_id of T.root_node().children_d) {
+        let val = D.val_by_node_id(node_id);
+        if(!val || (val.ty !== K.IT_WIN && val.ty !== K.IT_TAB)) continue;
+        if(T.treeobj.get_node(node_id).text !== M.get_html_label(val)) {
+            M.refresh_label(val);
+        }
+    }
+
+    applyFilters();
+
+    if(!re && preSearchOpenState) {
+        for(let [node_id, was_open] of preSearchOpenState) {
+            if(!T.treeobj.get_node(node_id)) continue;  // deleted meanwhile
+            if(was_open) {
+                T.treeobj.open_node(node_id, false, false);
+            } else {
+                T.treeobj.close_node(node_id, false);
+            }
+        }
+        preSearchOpenState = null;
+    }
+} //setSearch
+
+/// Hook up the search box above the tree
+function initSearchBar()
+{
+    let jqtext = $('#search-text');
+    let jqregex = $('#search-regex');
+    let timer = null;
+
+    jqtext.attr('placeholder', _T('labelSearchPlaceholder'));
+    jqregex.parent().attr('title', _T('ttSearchRegex'));
+
+    /// Search for whatever is in the box
+    let update = ()=>{
+        timer = null;
+        try {
+            setSearch(jqtext.val(), jqregex.prop('checked'));
+            jqtext.removeClass('tf-search-error').removeAttr('title');
+        } catch(e) {    // invalid regex - leave the last search in place
+            jqtext.addClass('tf-search-error').attr('title', e.message);
+        }
+    };
+
+    // Wait until the user pauses typing so large trees stay responsive
+    jqtext.on('input', ()=>{
+        if(timer) window.clearTimeout(timer);
+        timer = window.setTimeout(update, K.SEARCH_DELAY_MS);
+    });
+
+    jqregex.on('change', update);
+
+    // Esc clears the search, as does the box's own clear button.
+    jqtext.on('keydown', (evt)=>{
+        if(evt.key !== 'Escape') return;
+        if(timer) window.clearTimeout(timer);
+        jqtext.val('');
+        update();
+        evt.stopPropagation();  // don't let the shortcuts see it
+    });
+} //initSearchBar
+
 ///// Close the tab and save - NOT YET IMPLEMENTED
 //function actionCloseTabAndSave(node_id, node, unused_action_id, unused_action_el)
 //{
@@ -971,6 +2619,35 @@ function actionEditTabBullet(node_id, node, unused_action_id, unused_action_el)
 //    saveTree();
 //} //actionCloseTabAndSave
 
+/// Delete tab #tab_val without asking.  Open tabs are closed, and
+/// tabOnRemoved() removes them from the tree.  Closed tabs are erased,
+/// along with their windows if they were the last tabs.
+/// @param tab_val {Object} The tab
+function deleteTabWithoutConfirmation(tab_val)
+{
+    if(tab_val.tab_id !== K.NONE) {     // Remove open tabs
+        chrome.tabs.remove(tab_val.tab_id, ignore_chrome_error);
+        //tabOnRemoved will do the rest
+        return;
+    }
+
+    // Remove closed tabs
+    let parent_val = M.vn_win_of(tab_val.node_id).val;
+    let parent_node = parent_val && T.treeobj.get_node(parent_val.node_id);
+    if(!parent_node) return;
+
+    M.eraseTab(tab_val);
+
+    // If it was the last tab, delete it
+    if(parent_node.children.length === 0) {
+        M.eraseWin(parent_val);
+    }
+
+    scheduleSave(parent_node.id);
+        // Save manually because we don't have a handler for
+        // treeOnDelete.
+} //deleteTabWithoutConfirmation()
+
 /// Delete a tab's entry in the tree.
 /// @param node_id {string} the ID of the node to delete
 /// @param node the node to delete
@@ -986,27 +2663,13 @@ function actionDeleteTab(node_id, node, unused_action_id, unused_action_el,
     let tab_node = T.treeobj.get_node(node_id);
     if(!tab_node) return;
 
-    let parent_val = D.windows.by_node_id(tab_node.parent);
+    let parent_val = M.vn_win_of(tab_node).val;
     if(!parent_val) return;     // don't delete tabs without parents
     let parent_node = T.treeobj.get_node(parent_val.node_id);
     if(!parent_node) return;
 
     function doDeletion() {
-        if(tab_val.tab_id !== K.NONE) {     // Remove open tabs
-            chrome.tabs.remove(tab_val.tab_id, ignore_chrome_error);
-            //tabOnRemoved will do the rest
-        } else {                            // Remove closed tabs
-            M.eraseTab(tab_val);
-
-            // If it was the last tab, delete it
-            if(parent_node.children.length === 0) {
-                M.eraseWin(parent_val);
-            }
-
-            saveTree();
-                // Save manually because we don't have a handler for
-                // treeOnDelete.
-        }
+        deleteTabWithoutConfirmation(tab_val);
     } //doDeletion()
 
     // Prompt for confirmation, if necessary
@@ -1167,6 +2830,7 @@ function createNodeForTab(ctab, parent_node_id)
         log.debug({"<M> Could not create record for ctab":ctab,parent_node_id});
         return false;
     }
+    val.time_created = Date.now();
     if(!M.markTabAsOpen(val, ctab)) {
         log.debug({"<M> Could not mark tab as open":ctab,val});
     }
@@ -1176,9 +2840,10 @@ function createNodeForTab(ctab, parent_node_id)
     return node_id;
 } //createNodeForTab
 
-/// Create a tree node for a closed tab
-/// @param tab_data_v1      V1 save data for the tab
-/// @param parent_node_id   The node id for a closed window
+/// Create a tree node for a closed tab, and for any tabs nested under it.
+/// @param tab_data_v1      V1 or V2 save data for the tab
+/// @param parent_node_id   The node id for a closed window, or for a
+///                         closed tab if this tab is nested.
 /// @return node_id         The node id for the new tab, or falsy on failure
 function createNodeForClosedTabV1(tab_data_v1, parent_node_id)
 {
@@ -1190,9 +2855,14 @@ function createNodeForClosedTabV1(tab_data_v1, parent_node_id)
 
     // Copy properties into the details
     copyTruthyProperties(val, tab_data_v1,
-            ['raw_url', 'raw_title', 'raw_bullet', 'raw_favicon_url'],
+            ['raw_url', 'raw_title', 'raw_bullet', 'raw_notes',
+                'raw_favicon_url'],
             String);
     copyTruthyProperties(val, tab_data_v1, 'isPinned', Boolean);
+    copyTruthyProperties(val, tab_data_v1,
+            ['time_created', 'time_opened', 'time_activated'], Number);
+    setItemTags(val, tab_data_v1.tags);
+    if(tab_data_v1.color) M.set_color(val, itemColorOf(tab_data_v1.color));
 
     M.refresh_label(node_id);
     M.refresh_icon(val);
@@ -1202,6 +2872,13 @@ function createNodeForClosedTabV1(tab_data_v1, parent_node_id)
 
     addTabNodeActions(node_id);
 
+    // V2: nested tabs
+    if(Array.isArray(tab_data_v1.children)) {
+        for(let child_data of tab_data_v1.children) {
+            createNodeForClosedTabV1(child_data, node_id);
+        }
+    }
+
     return node_id;
 } //createNodeForClosedTabV1
 
@@ -1310,6 +2987,7 @@ function createNodeForWindow(cwin, keep, no_prune)
     }
 
     addWindowNodeActions(node_id);
+    scheduleWindowSort();
 
     if(cwin.tabs) {                      // new windows may have no tabs
         for(let tab of cwin.tabs) {
@@ -1329,9 +3007,11 @@ function createNodeForWindow(cwin, keep, no_prune)
 } //createNodeForWindow
 
 /// Create a tree node for a closed window
-/// @param win_data_v1      V1 save data for the window
+/// @param win_data_v1      V1 or V2 save data for the window
+/// @param folder_node_id   (Optional) The folder to put the window in.
+///                         If not given, the window is at the top level.
 /// @return the node ID, or falsy on failure
-function createNodeForClosedWindowV1(win_data_v1)
+function createNodeForClosedWindowV1(win_data_v1, folder_node_id = undefined)
 {
     let is_ephemeral = Boolean(win_data_v1.ephemeral);  // missing => false
     let shouldCollapse = getBoolSetting(CFG_COLLAPSE_ON_STARTUP);
@@ -1340,7 +3020,7 @@ function createNodeForClosedWindowV1(win_data_v1)
 
     // Make a node for a closed window.  The node is marked KEEP.
     // TODO don't mark it keep if it's ephemeral and still open.
-    let {node_id, val} = M.vnRezWin();
+    let {node_id, val} = M.vnRezWin(false, folder_node_id);
     if(!node_id) {
         log.debug({"<M> Could not create node for closed window":win_data_v1});
         return false;
@@ -1371,6 +3051,9 @@ function createNodeForClosedWindowV1(win_data_v1)
     }
 
     val.raw_title = new_title;
+    copyTruthyProperties(val, win_data_v1, 'raw_notes', String);
+    setItemTags(val, win_data_v1.tags);
+    if(win_data_v1.color) M.set_color(val, itemColorOf(win_data_v1.color));
 
     M.refresh_label(node_id);
     M.refresh_icon(val);
@@ -1388,21 +3071,133 @@ function createNodeForClosedWindowV1(win_data_v1)
     M.updateOrderedURLHash(val);
         // Now that all the tabs are in, hash the window.
 
+    // If the window was partly open, remember which tabs were open
+    if(Array.isArray(win_data_v1.open_tabs)) {
+        let tab_node_ids = M.tab_node_ids_of(node_id);
+        let open_node_ids = win_data_v1.open_tabs.map((idx)=>tab_node_ids[idx]);
+        if(open_node_ids.every(Boolean)) val.open_tab_node_ids = open_node_ids;
+    }
+
     return node_id;
 } //createNodeForClosedWindowV1
 
+// = = = Folders = = = = = = = = = = = = = = = = =
+
+function addFolderNodeActions(folder_node_id)
+{
+    T.treeobj.make_group(folder_node_id, {
+        selector: 'div.jstree-wholerow',
+        child: true,
+        class: K.ACTION_GROUP_WIN_CLASS
+    });
+
+    T.treeobj.add_action(folder_node_id, {
+        id: 'renameFolder',
+        class: 'fff-pencil ' + K.ACTION_BUTTON_WIN_CLASS,
+        text: '\xa0',
+        grouped: true,
+        title: _T('ttEditWin'),
+        callback: actionRenameFolder,
+        dataset: { action: 'renameFolder' }
+    });
+
+    T.treeobj.add_action(folder_node_id, {
+        id: 'deleteFolder',
+        class: 'fff-cross ' + K.ACTION_BUTTON_WIN_CLASS,
+        text: '\xa0',
+        grouped: true,
+        title: _T('ttDeleteFolder'),
+        callback: actionDeleteFolder,
+        dataset: { action: 'deleteFolder' }
+    });
+
+} //addFolderNodeActions
+
+/// Create a tree node for a folder.
+/// @param raw_title {String} The folder's name, or null for the default
+/// @param isFirstChild {Boolean} [false] Put the folder at the top of the
+///                               tree rather than the bottom.
+/// @return the node ID, or falsy on failure
+function createNodeForFolder(raw_title, isFirstChild = false)
+{
+    let {node_id, val} = M.vnRezFolder(isFirstChild,
+                            (typeof raw_title === 'string') ? raw_title : null);
+    if(!node_id) {
+        log.debug({"<M> Could not create node for folder":raw_title});
+        return false;
+    }
+
+    addFolderNodeActions(node_id);
+    return node_id;
+} //createNodeForFolder
+
+/// Create a tree node for a folder and the closed windows in it.
+/// @param folder_data_v2   V2 save data for the folder
+/// @return the node ID, or falsy on failure
+function createNodeForClosedFolderV2(folder_data_v2)
+{
+    let node_id = createNodeForFolder(folder_data_v2.raw_title);
+    if(!node_id) return false;
+
+    if(Array.isArray(folder_data_v2.wins)) {
+        for(let win_data_v2 of folder_data_v2.wins) {
+            createNodeForClosedWindowV1(win_data_v2, node_id);
+        }
+    }
+
+    if(getBoolSetting(CFG_COLLAPSE_ON_STARTUP)) {
+        T.treeobj.close_node(node_id);
+    } else {
+        T.treeobj.open_node(node_id);
+    }
+
+    return node_id;
+} //createNodeForClosedFolderV2
+
 // = = = Combo = = = = = = = = = = = = = = = = = =
 
+/// Figure out which tab items in a window the tabs in a Chrome window show.
+/// If there are as many ctabs as items, they match one for one, in order.
+/// Otherwise, the window is only partly open, so each ctab matches the
+/// next item with the same URL.
+/// @param ctabs {Array} The Chrome tabs, in order
+/// @param tab_node_ids {Array} The node IDs of the tab items, in order
+/// @return {Array} The node IDs of the items the ctabs show, in order, or
+///                 null if there's no match.
+function matchCtabsToTabItems(ctabs, tab_node_ids)
+{
+    if(ctabs.length === tab_node_ids.length) return tab_node_ids.slice();
+    if(ctabs.length > tab_node_ids.length) return null;
+
+    let retval = [];
+    let item_idx = 0;
+    for(let ctab of ctabs) {
+        while(item_idx < tab_node_ids.length &&
+            D.tabs.by_node_id(tab_node_ids[item_idx], 'raw_url') !== ctab.url
+        ) {
+            ++item_idx;
+        }
+        if(item_idx >= tab_node_ids.length) return null;
+        retval.push(tab_node_ids[item_idx++]);
+    }
+    return retval;
+} //matchCtabsToTabItems()
+
 /// Update #existing_win to connect to #cwin.  Also hooks up all the
-/// ctabs.
-/// Requires cwin.tabs.length === existing_win.node.children.length.
+/// ctabs.  Any nested tabs in #existing_win are flattened first, since
+/// Chrome windows are flat.
+/// The window may be only partly open, i.e., #cwin may hold only some of
+/// the tabs in #existing_win.  The tabs that aren't in #cwin stay closed.
+/// See matchCtabsToTabItems().
 ///
 /// @param cwin {Chrome Window} The open window, populated with tabs.
 /// @param existing_win {object} An object with {val, node}, e.g., from
 ///                             winAlreadyExistsInTree().
 /// @param options {object={}} Options.  Presently:
 /// - during_init {Boolean=false} If truthy, failures correspond to init failure.
-/// -
+/// - repin {Boolean=false} If truthy, pin the ctabs whose items are pinned.
+/// - tab_node_ids {Array} The node IDs of the tabs that cwin.tabs show,
+///   in order.  If not given, matchCtabsToTabItems() figures it out.
 ///
 /// @return truthy on success; falsy on failure
 function connectChromeWindowToTreeWindowItem(cwin, existing_win, options = {})
@@ -1412,8 +3207,10 @@ function connectChromeWindowToTreeWindowItem(cwin, existing_win, options = {})
     log.info({[`Attaching window ${cwin.id} to existing window in the tree`]:
             existing_win});
 
+    M.flattenTabs(existing_win.val);
     M.markWinAsOpen(existing_win.val, cwin);
         // Doesn't touch the tabs.
+    scheduleWindowSort();
 
     // If it was open, we by definition didn't need to recover it.
     // Undo the recovery actions that createNodeForClosedWindowV1()
@@ -1424,10 +3221,13 @@ function connectChromeWindowToTreeWindowItem(cwin, existing_win, options = {})
         M.mark_win_as_unsaved(existing_win.val, false);
     }
 
-    if(cwin.tabs.length !== existing_win.node.children.length) {
+    let tab_node_ids = options.tab_node_ids ||
+        matchCtabsToTabItems(cwin.tabs, existing_win.node.children);
+
+    if(!tab_node_ids || cwin.tabs.length !== tab_node_ids.length) {
         log.error({
-            'Mismatched child count':
-                `${cwin.tabs.length} !== ${existing_win.node.children.length}`,
+            'Mismatched tabs':
+                `${cwin.tabs.length} tabs for ${existing_win.node.children.length} items`,
             cwin,
             existing_win
         });
@@ -1436,10 +3236,10 @@ function connectChromeWindowToTreeWindowItem(cwin, existing_win, options = {})
         return false;   // TODO handle this better
     }
 
-    // If we reach here, cwin.tabs.length === existing_win.node.children.length.
+    // If we reach here, cwin.tabs.length === tab_node_ids.length.
 
     for(let idx=0; idx < cwin.tabs.length; ++idx) {
-        let tab_node_id = existing_win.node.children[idx];
+        let tab_node_id = tab_node_ids[idx];
         let tab_val = D.tabs.by_node_id(tab_node_id);
         if(!tab_val) continue;
 
@@ -1460,7 +3260,12 @@ function connectChromeWindowToTreeWindowItem(cwin, existing_win, options = {})
     } //foreach tab
 
     // Note: We do not need to update existing_win.val.ordered_url_hash.
-    // Since we got here, we know that it was a match.
+    // Since we got here, we know that it was a match.  However, if only some
+    // of the tabs are open, the open tabs' indices don't match their
+    // positions in the tree.
+    if(tab_node_ids.length !== existing_win.node.children.length) {
+        updateTabIndexValues(existing_win.node.id);
+    }
 
     T.install_rjustify(null, 'redraw_event.jstree', 'once');
     T.treeobj.redraw_node(existing_win.node);
@@ -1477,6 +3282,10 @@ function connectChromeWindowToTreeWindowItem(cwin, existing_win, options = {})
 /// Did we have a problem loading save data?
 var was_loading_error = false;
 
+/// If we recovered from damaged save data during init, what happened.
+/// {damaged, last_good, intact}; see recoverFromLastKnownGood().
+var loading_recovery = null;
+
 /// See whether an open Chrome window corresponds to a dormant window in the
 /// tree.  This may happen, e.g., due to TabFern refresh or Chrome reload.
 /// @param cwin {Chrome Window} the open Chrome window we're checking for
@@ -1502,12 +3311,42 @@ function winAlreadyExistsInTree(cwin)
     if(!node) return false;
 
     // Sanity check, e.g., in case of corrupted save data.  If the hashes match
-    // but the tab counts don't, assume failure.
-    if(cwin.tabs.length !== node.children.length) return false;
+    // but the tab counts don't, assume failure.  Count nested tabs, since
+    // they will be flattened when the window is connected.
+    if(cwin.tabs.length !== M.tab_node_ids_of(node).length) return false;
 
     return {node, val};
 } //winAlreadyExistsInTree()
 
+/// See whether an open Chrome window is a window that was only partly open
+/// when the tree was last saved.  Its open tabs must have the same URLs,
+/// in the same order, as the tabs that were open then.  The whole-window
+/// hash in winAlreadyExistsInTree() can't match such a window.
+/// @param cwin {Chrome Window} the open Chrome window we're checking for
+///                             a match.
+/// @return {mixed} {node, val, tab_node_ids}, where tab_node_ids are the
+///                 items the tabs of #cwin show, or false if no match.
+function partlyOpenWinInTree(cwin)
+{
+    if(!cwin || !cwin.tabs || cwin.tabs.length < 1) return false;
+
+    for(let node_id of T.root_node().children_d) {
+        let val = D.windows.by_node_id(node_id);
+        if(!val || val.isOpen || !val.open_tab_node_ids) continue;
+
+        let tab_node_ids = val.open_tab_node_ids;
+        if(tab_node_ids.length !== cwin.tabs.length) continue;
+        if(tab_node_ids.every((tab_node_id, idx)=>
+            D.tabs.by_node_id(tab_node_id, 'raw_url') === cwin.tabs[idx].url
+        )) {
+            return {node: T.treeobj.get_node(node_id), val,
+                    tab_node_ids: tab_node_ids.slice()};
+        }
+    }
+
+    return false;
+} //partlyOpenWinInTree()
+
 /// Add the save data into the tree.
 /// Design decision: TabFern SHALL always be able to load older save files.
 /// Never remove a loader from this function.
@@ -1551,17 +3390,63 @@ var loadSavedWindowsFromData = (function(){
     function loadSaveDataV1(data) {
         if(!data.tree) return false;
         //log.info({'loadSaveDataV1':data});
+        return loadSaveDataV2(upgradeSaveDataV1ToV2(data));
+    } //loadSaveDataV1
+
+    /// Make V2 save data from V1 save data.  V2 only adds optional fields,
+    /// so this strips any `children` a V1 tab should not have had and
+    /// updates the version number.
+    /// @param data {Object} V1 save data
+    /// @return {Object} V2 save data
+    function upgradeSaveDataV1ToV2(data) {
+        let tree = [];
+        for(let v1_win of data.tree) {
+            let v2_win = Object.assign({}, v1_win);
+            if(Array.isArray(v1_win.tabs)) {
+                v2_win.tabs = v1_win.tabs.map((v1_tab)=>{
+                    let v2_tab = Object.assign({}, v1_tab);
+                    delete v2_tab.children;
+                    return v2_tab;
+                });
+            }
+            tree.push(v2_win);
+        }
+        return Object.assign({}, data, {version: 2, tree});
+    } //upgradeSaveDataV1ToV2
+
+    /// Populate the tree from version-2 save data in #data.
+    /// V2 format: the same as V1, except that:
+    /// - Any tab may optionally include
+    ///     - children: [tab, tab, ...] (default []) for tabs nested under it.
+    ///   Nesting may be arbitrarily deep.
+    /// - An element of the tree may be a folder instead of a win.
+    ///   Each folder is {folder: true, raw_title: "foo", wins: [win, ...]}.
+    ///   Folders only appear at the top level.
+    function loadSaveDataV2(data) {
+        if(!data.tree) return false;
         let numwins=0;
-        for(let win_data_v1 of data.tree) {
-            createNodeForClosedWindowV1(win_data_v1);
-            ++numwins;
+        for(let item_data_v2 of data.tree) {
+            if(item_data_v2 && item_data_v2.folder) {
+                createNodeForClosedFolderV2(item_data_v2);
+                if(Array.isArray(item_data_v2.wins)) {
+                    numwins += item_data_v2.wins.length;
+                }
+            } else {
+                createNodeForClosedWindowV1(item_data_v2);
+                    // Despite the name, handles V2 nested tabs.
+                ++numwins;
+            }
         }
         return numwins;
-    } //loadSaveDataV1
+    } //loadSaveDataV2
 
     /// The mapping table from versions to loaders.
     /// each loader should return truthy if load successful, falsy otherwise.
-    let versionLoaders = { 0: loadSaveDataV0, 1: loadSaveDataV1 };
+    let versionLoaders = {
+        0: loadSaveDataV0,
+        1: loadSaveDataV1,
+        2: loadSaveDataV2,
+    };
 
     /// Populate the tree from the save data.
     /// TODO throw on failure, so that the caller can report the details of
@@ -1572,6 +3457,14 @@ var loadSavedWindowsFromData = (function(){
         let loader_retval;      // # of wins loaded
 
         READIT: {
+            // Unpack compressed save data
+            try {
+                data = Modules['common/compression'].decompressSaveData(data);
+            } catch(e) {
+                log.error(`Could not decompress the save data: ${e}`);
+                break READIT;
+            }
+
             // Figure out the version number
             let vernum;
             if(Array.isArray(data)) {         // version 0
@@ -1626,62 +3519,226 @@ var loadSavedWindowsFromData = (function(){
 
             succeeded = true;
         }
+
+        // Hide the new windows if they don't match the tag filter
+        if(succeeded && (tagFilter || searchRE)) applyFilters();
+
         return (succeeded ? loader_retval : false);
     } //loadSavedWindowsFromData_inner
 })(); //loadSavedWindowsFromData
 
+/// Remove the closed windows from the tree, and the folders that are then
+/// empty.  Does not save, so the caller must.
+/// @param top_node_ids {optional Array} If given, only the windows and
+///         folders among these top-level node IDs are considered.
+///         Default: all of them.
+function removeClosedWindowsAndFolders(top_node_ids)
+{
+    let root = T.root_node();
+    let is_closed_win = (node_id)=>{
+        let win_val = D.windows.by_node_id(node_id);
+        return !!(win_val && !win_val.isOpen);
+    };
+
+    for(let node_id of (top_node_ids || root.children).slice()) {
+        if(!T.treeobj.get_node(node_id)) continue;
+        if(D.folders.by_node_id(node_id)) {
+            let folder_node = T.treeobj.get_node(node_id);
+            for(let win_node_id of folder_node.children.slice()) {
+                if(is_closed_win(win_node_id)) M.eraseWin(win_node_id);
+            }
+            if(folder_node.children.length === 0) M.eraseFolder(node_id);
+
+        } else if(is_closed_win(node_id)) {
+            M.eraseWin(node_id);
+        }
+    }
+} //removeClosedWindowsAndFolders()
+
+/// Set the ordered_url_hash of the windows that were loaded alongside the
+/// top-level nodes #old_node_ids.  Call this after
+/// removeClosedWindowsAndFolders(old_node_ids).  While the old windows were
+/// in the tree, they held the hashes, so the new ones didn't get any.
+/// @param old_node_ids {Array} The top-level node IDs before the load
+function updateHashesOfLoadedWindows(old_node_ids)
+{
+    for(let node_id of T.root_node().children) {
+        if(old_node_ids.includes(node_id)) continue;
+        let folder_node = D.folders.by_node_id(node_id) &&
+                            T.treeobj.get_node(node_id);
+        for(let win_node_id of (folder_node ? folder_node.children : [node_id])) {
+            if(D.windows.by_node_id(win_node_id)) {
+                M.updateOrderedURLHash(win_node_id);
+            }
+        }
+    }
+} //updateHashesOfLoadedWindows()
+
+/// Remember #save_data as the last save data that loaded successfully.
+/// It is stored compressed, like the save data itself.
+function rememberLastKnownGood(save_data)
+{
+    chrome.storage.local.set(
+        {[K.LAST_GOOD_KEY]: {time: Date.now(),
+            data: Modules['common/compression'].compressSaveData(save_data)}},
+        function() {
+            if(isLastError()) {
+                log.warn({'Could not save last-known-good data':
+                            chrome.runtime.lastError});
+            }
+        }
+    );
+} //rememberLastKnownGood()
+
+/// Replace whatever loaded from damaged save data with the last
+/// known-good save data.  Used during init.
+/// @param damaged {Object} The damaged save data
+/// @param last_good {Object} The last-known-good record, {time, data}
+/// @param intact {Boolean} Whether #damaged passed its checksum
+///                         (and so failed to load for some other reason)
+/// @return {Boolean} true if the last-known-good data loaded
+function recoverFromLastKnownGood(damaged, last_good, intact)
+{
+    log.warn({'Save data is damaged; loading last known good from':
+                new Date(last_good.time)});
+
+    removeClosedWindowsAndFolders();    // whatever partially loaded
+    if(loadSavedWindowsFromData(last_good.data) === false) {
+        log.error("Couldn't load the last-known-good save data, either");
+        removeClosedWindowsAndFolders();
+        return false;
+    }
+
+    loading_recovery = {damaged, last_good, intact};
+    return true;
+} //recoverFromLastKnownGood()
+
+/// Tell the user we loaded the last-known-good save data, and offer to
+/// save the damaged data to a file.
+function reportLoadingRecovery()
+{
+    let {damaged, last_good, intact} = loading_recovery;
+    loading_recovery = null;
+
+    let {nwins, ntabs} = Modules['view/history'].counts(last_good.data);
+    window.alert(_T(intact ? 'dlgRecoveredAfterLoadError'
+                            : 'dlgRecoveredAfterChecksumError',
+        [new Date(last_good.time).toLocaleString(),
+            String(nwins), String(ntabs)]));
+
+    if(window.confirm(_T('dlgpSaveDamagedData'))) {
+        let date_tag = new Date().toISOString().replace(/:/g,'.');
+        Modules.exporter(document, JSON.stringify(damaged),
+                        'TabFern damaged data ' + date_tag + '.tabfern');
+    }
+} //reportLoadingRecovery()
+
 /// Load the saved windows from local storage - used as part of initialization.
+/// If the save data is damaged, load the last known-good save data instead.
 /// @param {function} next_action If provided, will be called when loading
 ///                     is complete.
 function loadSavedWindowsIntoTree(next_action) {
     next_init_step('Load saved windows');       // TODO _T() the step names
 
-    chrome.storage.local.get(K.STORAGE_KEY, function(items) {
-        next_init_step('Got save data');
+    Modules['common/save_storage'].read(K.STORAGE_KEY, function(err, stored) {
+        chrome.storage.local.get(K.LAST_GOOD_KEY, function(items) {
+            next_init_step('Got save data');
+
+            READIT:
+            if(err) {
+                //Chrome couldn't load the data
+                log.error("Chrome couldn't load save data: " + err +
+                        "\nHowever, if you didn't have any save data, this isn't " +
+                        "a problem!");
+
+                // If Chrome didn't load the data, don't treat it as a reading
+                // error, since it might simply not have existed.  Therefore,
+                // we don't set was_loading_error here.  TODO figure out if
+                // this makes sense.  Maybe check the specific error returned.
+
+            } else if(stored.raw !== undefined) {     // Chrome did load the data
+                // The next save will replace these records
+                storedRecordKeys = stored.record_keys;
+
+                let parsed = stored.data;
+                let intact = false;
+                if(stored.error) {
+                    log.error(`Could not read the save data: ${stored.error}`);
+                    parsed = stored.raw;
+                } else {
+                    intact = isSaveDataIntact(parsed);
+                }
 
-        READIT:
-        if(isLastError()) {
-            //Chrome couldn't load the data
-            log.error("Chrome couldn't load save data: " + chrome.runtime.lastError +
-                    "\nHowever, if you didn't have any save data, this isn't " +
-                    "a problem!");
+                let last_good = !isLastError() && items[K.LAST_GOOD_KEY];
+                try {
+                    if(last_good && last_good.data) {
+                        let C = Modules['common/compression'];
+                        last_good = Object.assign({}, last_good,
+                                    {data: C.decompressSaveData(last_good.data)});
+                    }
+                } catch(e) {
+                    log.error(`Could not decompress the last-known-good data: ${e}`);
+                    last_good = undefined;
+                }
+                let have_last_good = !!(last_good && last_good.data &&
+                                        isSaveDataIntact(last_good.data));
+
+                // Load the save data unless it's damaged and we have
+                // something better.
+                if(intact || !have_last_good) {
+                    if(!intact) {
+                        log.warn('Save data does not match its checksum, and ' +
+                            'there is no last-known-good copy.  Loading anyway.');
+                    }
+                    if(loadSavedWindowsFromData(parsed) !== false) {
+                        if(intact) rememberLastKnownGood(parsed);
+                        break READIT;
+                    }
+                }
 
-            // If Chrome didn't load the data, don't treat it as a reading
-            // error, since it might simply not have existed.  Therefore,
-            // we don't set was_loading_error here.  TODO figure out if
-            // this makes sense.  Maybe check the specific error returned.
+                if(have_last_good &&
+                    recoverFromLastKnownGood(parsed, last_good, intact)
+                ) {
+                    break READIT;
+                }
 
-        } else if(K.STORAGE_KEY in items) {       // Chrome did load the data
-            let parsed = items[K.STORAGE_KEY];    // auto JSON.parse
-            if(loadSavedWindowsFromData(parsed) === false) {
                 was_loading_error = true;
-                // HACK - we only use this during init, so
-                // set the init-specific variable.
+                    // HACK - we only use this during init, so
+                    // set the init-specific variable.
+
+            } else {
+                // Brand-new installs seem to fall here: lastError is undefined,
+                // but items is {}.  Don't treat this as an error.
+                was_loading_error = false;
             }
-        } else {
-            // Brand-new installs seem to fall here: lastError is undefined,
-            // but items is {}.  Don't treat this as an error.
-            was_loading_error = false;
-        }
 
-        // Even if there was an error, call the next action so that
-        // the initialization can complete.
-        // TODO report this via the DOM?
-        if(typeof next_action !== 'function') return;
-        next_action();
-    }); //storage.local.get
+            // Even if there was an error, call the next action so that
+            // the initialization can complete.
+            // TODO report this via the DOM?
+            if(typeof next_action !== 'function') return;
+
+            // Pick up changes made to the bookmark mirror while TabFern
+            // wasn't running.  Don't sync if we couldn't load, so we
+            // don't overwrite the mirror with an empty tree.
+            if(was_loading_error) {
+                next_action();
+            } else {
+                syncBookmarkMirror(next_action, true);
+            }
+        }); //storage.local.get
+    }); //read
 } //loadSavedWindowsIntoTree
 
 // Debug helper, so uses console.log() directly.
 function DBG_printSaveData()
 {
-    chrome.storage.local.get(K.STORAGE_KEY, function(items) {
-        if(isLastError()) {
-            console.log(chrome.runtime.lastError);
+    Modules['common/save_storage'].read(K.STORAGE_KEY, function(err, stored) {
+        if(err) {
+            console.log(err);
         } else {
-            let parsed = items[K.STORAGE_KEY];
             console.log('Save data:');
-            console.log(parsed);
+            console.log(stored.error ? {'Could not read': stored.error, stored}
+                                        : stored.data);
         }
     });
 } //DBG_printSaveData()
@@ -1739,7 +3796,7 @@ function treeOnSelect(_evt_unused, evt_data)
     }
 
     let node = evt_data.node;
-    let node_val, is_tab=false, is_win=false;
+    let node_val, is_tab=false, is_win=false, is_folder=false;
 
     let win_id;     // If assigned, this window will be brought to the front
                     // at the end of this function.
@@ -1749,6 +3806,8 @@ function treeOnSelect(_evt_unused, evt_data)
         is_tab = true;
     } else if(node_val = D.windows.by_node_id(node.id)) {
         is_win = true;
+    } else if(node_val = D.folders.by_node_id(node.id)) {
+        is_folder = true;
     } else {
         log.error('Selection of unknown node '+node);
         return;     // unknown node type
@@ -1793,6 +3852,12 @@ function treeOnSelect(_evt_unused, evt_data)
                         // as a click and refresh the hover state.
                     break;
 
+                // Folders
+                case 'renameFolder':
+                    actionRenameFolder(node.id, node, null, null); break;
+                case 'deleteFolder':
+                    actionDeleteFolder(node.id, node, null, null); break;
+
                 // Tabs
                 case 'editBullet':
                     actionEditTabBullet(node.id, node, null, null); break;
@@ -1814,14 +3879,22 @@ function treeOnSelect(_evt_unused, evt_data)
         } //endif the click was actually an action button
     } //endif event has clientX
 
+    // Folders aren't Chrome widgets, so clicking one just opens or
+    // closes it in the tree.
+    if(is_folder) {
+        T.treeobj.toggle_node(node);
+        return;
+    }
+
     /// Do we need to open a new window?
     let open_new_window = (!node_val.isOpen && (is_tab || is_win) );
 
     // --------
     // Process the actual node click
 
-    { // Remove "recovered" flags.  TODO update this when #34 is implemented.
-        let win_node = is_win ? node : T.treeobj.get_node(node.parent);
+    { // Remove "recovered" flags.
+        let win_node = is_win ? node :
+                        T.treeobj.get_node(M.vn_win_of(node).node_id);
         //if(T.treeobj.get_type(node) === K.NT_RECOVERED) {
         if(win_node && M.has_subtype(win_node, K.NST_RECOVERED)) {
             M.del_subtype(win_node, K.NST_RECOVERED);
@@ -1860,6 +3933,7 @@ function treeOnSelect(_evt_unused, evt_data)
         // A closed window or tab.  Make sure we have the window.
         let win_node;
         let win_val;
+        let open_single_tab = false;
 
         if(is_win) {    // A closed window
             win_node = node;
@@ -1867,21 +3941,40 @@ function treeOnSelect(_evt_unused, evt_data)
             win_val = node_val;
 
         } else {        // A closed tab - get its window record
-            let parent_node_id = node.parent;
-            if(!parent_node_id) return;
-            let parent_node = T.treeobj.get_node(parent_node_id);
-            if(!parent_node) return;
+            let win_vn = M.vn_win_of(node);
+            if(!win_vn.val) return;
+            win_node = T.treeobj.get_node(win_vn.node_id);
+            if(!win_node) return;
 
-            win_node = parent_node;
             win_node_id = win_node.id;
-            win_val = D.windows.by_node_id(parent_node_id);
-            if(!win_val) return;
+            win_val = win_vn.val;
+
+            // If the window is partly open, open the tab in that window.
+            if(win_val.isOpen) {
+                openTabInOpenWindow(node.id);
+                chrome.windows.update(win_val.win_id, {focused:true},
+                                        ignore_chrome_error);
+                return;
+            }
+
+            // Otherwise, open it wherever the user wants.
+            let open_in = getStringSetting(CFGS_OPEN_TAB_IN);
+            if(open_in === 'focused-window' && openTabInFocusedWindow(node_val)) {
+                return;
+            }
+            if(open_in !== 'whole-window') open_single_tab = true;
         }
 
+        // Chrome windows are flat, so pull up any nested tabs.
+        M.flattenTabs(win_val);
+
+        // Which tabs to open
+        let tab_node_ids = open_single_tab ? [node.id] : win_node.children.slice();
+
         // Grab the URLs for all the tabs
         let urls=[];
-        let expected_tab_count = win_node.children.length;
-        for(let child_id of win_node.children) {
+        let expected_tab_count = tab_node_ids.length;
+        for(let child_id of tab_node_ids) {
             let child_val = D.tabs.by_node_id(child_id);
             urls.push(child_val.raw_url);
             // TODO: in Firefox, you can't call window.create with a URL of
@@ -1922,7 +4015,7 @@ function treeOnSelect(_evt_unused, evt_data)
             connectChromeWindowToTreeWindowItem(
                 cwin,
                 { val: win_val, node: win_node },
-                { repin: true }
+                { repin: true, tab_node_ids }
             );
 
             // Set the highlights in the tree appropriately
@@ -2001,8 +4094,8 @@ function winOnCreated(cwin)
             // not entirely sure.
     }
 
-    createNodeForWindow(cwin, K.WIN_NOKEEP);
-    saveTree();     // for now, brute-force save on any change.
+    let node_id = createNodeForWindow(cwin, K.WIN_NOKEEP);
+    if(node_id) scheduleSave(node_id);
 } //winOnCreated
 
 /// Update the tree when the user closes a browser window
@@ -2049,7 +4142,7 @@ function winOnRemoved(cwin_id)
             // if(node_val.win) because a window closed via actionCloseWindowButDoNotSave
             // or actionDeleteWindow will have a falsy node_val.win, so we
             // don't need to call those functions again.
-        saveTree();     // TODO figure out if we need this.
+        scheduleSave(node_id);
     } else {
         // Not saved - just toss it.
         actionDeleteWindow(node_id, node, null, null, null, true);
@@ -2185,6 +4278,8 @@ function initFocusHandler()
             let win_node = T.treeobj.get_node(win_val.node_id);
             if(!win_node) return;
 
+            currently_focused_winid = win_id;
+
             NEWWIN: if(!same_window) {
                 leavingWindow(old_win_id);
 
@@ -2383,7 +4478,7 @@ var tabOnCreated = (function(){
         let seq = ASQ();
         chrome.tabs.update(ctab.id, {url: tab_val.raw_url}, ASQH.CCgo(seq));
             // tabOnUpdated will change the tree based on the update,
-            // and will call saveTree().
+            // and will call scheduleSave().
 
         // Design decision: Since this change was a result of action by
         // TabFern or TF's user, it's not a merge candidate.  E.g., having
@@ -2417,44 +4512,44 @@ var tabOnCreated = (function(){
             return;     // *** EXIT POINT ***
         }
 
-        /// What to do after saving
-        let cbk;
-
         if(tab_val) {
             // It's a duplicate
             log.info('   - That tab already exists.');
 
             // Just put it where it now belongs.
-            T.treeobj.because('chrome', 'move_node',
-                    tab_val.node_id, win_node_id, ctab.index);
+            T.treeobj.because('chrome', 'move_node', tab_val.node_id,
+                win_node_id,
+                treePositionOfTabIndex(win_node_id, ctab.index, tab_val.node_id));
 
             // Design decision: rearranging tabs doesn't trigger a merge check
 
             // Make sure all the other indices are up to date
             updateTabIndexValues(win_node_id);
 
-            saveTree(true, cbk);
+            scheduleSave(win_node_id);
 
         } else {
             // It's not a duplicate, so make a node for it.
             let tab_node_id = createNodeForTab(ctab, win_node_id);
 
             // Put it in the right place, since createNodeForTab adds at end.
-            T.treeobj.because('chrome','move_node',
-                    tab_node_id, win_node_id, ctab.index);
+            T.treeobj.because('chrome','move_node', tab_node_id,
+                win_node_id,
+                treePositionOfTabIndex(win_node_id, ctab.index, tab_node_id));
 
             tab_val = D.tabs.by_tab_id(ctab.id);
 
             updateTabIndexValues(win_node_id);
+            scheduleWindowSort();
 
             let seq = ASQ();
 
             // Design decision: after creating the node, check if it's a
             // duplicate.
             seq.try(make_merge_check_step(ctab, win_val));
-                // .try => always run the following saveTree
+                // .try => always run the following scheduleSave
 
-            seq.then((done)=>{saveTree(true, done);});
+            seq.val(()=>{ scheduleSave(win_node_id); });
         }
 
     }; //tab_on_created_inner()
@@ -2537,7 +4632,7 @@ function tabOnUpdated(tabid, changeinfo, ctab)
             label: should_refresh_label, tooltip: should_refresh_tooltip });
 
     if(dirty) {
-        saveTree();
+        scheduleSave(tab_node_val.node_id);
     }
 
     // For some reason, Ctl+N plus filling in a tab doesn't give me a
@@ -2576,13 +4671,12 @@ function tabOnMoved(tabid, moveinfo)
     // As far as I can tell, in jstree, indices point between list
     // elements.  E.g., with n items, index 0 is before the first and
     // index n is after the last.  However, Chrome tab indices point to
-    // the tabs themselves, 0..(n-1).  Therefore, if we are moving
-    // right, bump the index by 1 so we will be _after_ that item
-    // rather than _before_ it.
+    // the tabs themselves, 0..(n-1).  treePositionOfTabIndex() finds the
+    // gap, which is _after_ the tab at to_idx if we are moving right.
     // See the handling of `pos` values of "before" and "after"
     // in the definition of move_node() in jstree.js.
     let jstree_new_index =
-            to_idx+(to_idx>from_idx ? 1 : 0);
+            treePositionOfTabIndex(window_node_id, to_idx, tab_node_id);
 
     T.treeobj.because('chrome','move_node', tab_node_id, window_node_id, jstree_new_index);
 
@@ -2590,7 +4684,7 @@ function tabOnMoved(tabid, moveinfo)
     // the old tab and the new tab.
     updateTabIndexValues(window_node_id);
 
-    saveTree();
+    scheduleSave(window_node_id);
 } //tabOnMoved
 
 function tabOnActivated(activeinfo)
@@ -2600,7 +4694,16 @@ function tabOnActivated(activeinfo)
     winOnFocusChanged(activeinfo.windowId, true);
         // winOnFocusChanged handles the tab flagging
 
-    // No need to save --- we don't save which tab is active.
+    // We don't save which tab is active, but we do save when each tab
+    // was last used.  That changes on every tab switch, so don't write
+    // storage for it right away.
+    let tab_val = D.tabs.by_tab_id(activeinfo.tabId);
+    if(tab_val && M.markTabAsActivated(tab_val)) {
+        scheduleLazySave(tab_val.node_id);
+        if(getStringSetting(CFGS_WIN_SORT_MODE) === 'recent') {
+            scheduleWindowSort();
+        }
+    }
 } //tabOnActivated
 
 /// Delete a tab's information when the user closes it.
@@ -2663,7 +4766,8 @@ function tabOnRemoved(tabid, removeinfo)
 
     log.debug({'Tab index values updated after removing ctab':tabid,window_node_id,removeinfo});
 
-    saveTree();
+    scheduleSave(window_node_id);
+    scheduleWindowSort();
 } //tabOnRemoved
 
 /// When tabs detach, move them to the holding pen.
@@ -2707,7 +4811,7 @@ function tabOnAttached(tabid, attachinfo)
         throw new Error("Unknown window attaching to???? "+attachinfo.newWindowId+' '+attachinfo.toString());
 
     T.treeobj.because('chrome','move_node', tab_val.node_id, new_win_val.node_id,
-            attachinfo.newPosition);
+            treePositionOfTabIndex(new_win_val.node_id, attachinfo.newPosition));
 
     // Open after moving because otherwise the window might not have any
     // children yet.
@@ -2840,58 +4944,405 @@ function hamSettings()
     if(ShowWhatIsNew) {
         ShowWhatIsNew = false;
 
-        let to_save = {};
-        to_save[K.LASTVER_KEY] = TABFERN_VERSION;
-        chrome.storage.local.set(to_save, ignore_chrome_error);
+        let to_save = {};
+        to_save[K.LASTVER_KEY] = TABFERN_VERSION;
+        chrome.storage.local.set(to_save, ignore_chrome_error);
+    }
+} //hamSettings()
+
+function hamBackup()
+{
+    let date_tag = new Date().toISOString().replace(/:/g,'.');
+        // DOS filenames can't include colons.
+        // TODO use local time - maybe
+        // https://www.npmjs.com/package/dateformat ?
+    let filename = 'TabFern backup ' + date_tag + '.tabfern';
+
+    // Save the tree, including currently-open windows/tabs, then
+    // export the save data to #filename.
+    saveTree(true, function(_unused_err, saved_info){
+        Modules.exporter(document, JSON.stringify(saved_info), filename);
+    });
+} //hamBackup()
+
+/// Save the tree, like hamBackup(), but encrypted with a passphrase.
+function hamBackupEncrypted()
+{
+    let date_tag = new Date().toISOString().replace(/:/g,'.');
+    let filename = 'TabFern encrypted backup ' + date_tag + '.tabfern';
+
+    showPassphraseDialog(_T('dlgpPassphraseForBackup'), true)
+    .val((passphrase)=>{
+        if(passphrase === null) return;     // User cancelled
+        saveTree(true, function(err, saved_info){
+            if(err) return;     // saveTree() already told the user
+            Modules['view/backup_crypto'].encrypt(saved_info, passphrase)
+            .val((text)=>{
+                Modules.exporter(document, text, filename);
+            })
+            .or((e)=>{
+                log.error({'Could not encrypt backup': e});
+                window.alert(_T('errCouldNotEncrypt', String(e)));
+            });
+        });
+    });
+} //hamBackupEncrypted()
+
+/// Save the tree as a bookmarks HTML file that browsers and bookmark
+/// managers can import.
+function hamExportBookmarks()
+{
+    let date_tag = new Date().toISOString().replace(/:/g,'.');
+    let filename = 'TabFern bookmarks ' + date_tag + '.html';
+
+    saveTree(true, function(err, saved_info){
+        if(err) return;     // saveTree() already told the user
+        let html = Modules['view/exporters'].toBookmarksHTML(saved_info.tree, {
+            untitled_win: _T('labelSavedTabs'),
+            untitled_folder: _T('labelFolder'),
+            title: 'TabFern',
+        });
+        Modules.exporter(document, html, filename);
+    });
+} //hamExportBookmarks()
+
+/// Export the tree, or a single window, in a text format.
+/// @param format_id {String} A key of text_formats in view/exporters
+/// @param win_node_id {String=} If given, export only that window.
+function exportAsText(format_id, win_node_id = undefined)
+{
+    let format = Modules['view/exporters'].text_formats[format_id];
+    if(!format) return;
+
+    let data, name;
+    if(win_node_id) {
+        let win_data = getWinSaveDataV2(win_node_id, true);
+        if(!win_data) return;
+        data = [win_data];
+        name = M.get_raw_text(win_node_id).replace(/[\\\/:*?"<>|]/g, '_');
+            // Characters not allowed in filenames on some platforms
+    } else {
+        data = getTreeSaveDataV2(true);
+        if(!data) return;
+        name = 'tree';
+    }
+
+    let date_tag = new Date().toISOString().replace(/:/g,'.');
+    let filename = `TabFern ${name} ${date_tag}.${format.extension}`;
+
+    let text = format.render(data, {
+        untitled_win: _T('labelSavedTabs'),
+        untitled_folder: _T('labelFolder'),
+    });
+    Modules.exporter(document, text, filename);
+} //exportAsText()
+
+/// Get the items for an "Export as" submenu.
+/// @param win_node_id {String=} If given, the items export only that window.
+function getExportSubmenuItems(win_node_id = undefined)
+{
+    return {
+        markdownItem: {
+            label: _T('menuExportMarkdown'),
+            icon: 'fa fa-file-text-o',
+            action: ()=>{ exportAsText('markdown', win_node_id); },
+        },
+        textItem: {
+            label: _T('menuExportURLList'),
+            icon: 'fa fa-list',
+            action: ()=>{ exportAsText('text', win_node_id); },
+        },
+        csvItem: {
+            label: _T('menuExportCSV'),
+            icon: 'fa fa-table',
+            action: ()=>{ exportAsText('csv', win_node_id); },
+        },
+    };
+} //getExportSubmenuItems()
+
+/// Make the "Set color" submenu for a tab or window.
+/// @param node {Object} The jstree node of the tab or window
+/// @param val {Object} Its details record
+function getColorSubmenuItems(node, val)
+{
+    let items = {};
+
+    for(let entry of K.ITEM_COLORS) {
+        items[`color${entry.name}Item`] = {
+            label: `<span class="tf-color-swatch" ` +
+                    `style="background-color: ${entry.color}"></span>` +
+                    _T(`menuColor${entry.name}`),
+            icon: (val.color === entry.color) ? 'fa fa-check' : undefined,
+            action: ()=>{ actionSetColor(node.id, node, entry.color); },
+        };
+    }
+
+    items.customColorItem = {
+        label: _T('menuColorCustom'),
+        icon: 'fa fa-eyedropper',
+        separator_before: true,
+        action: K.nextTickRunner(
+            function(){actionPickColor(node.id, node, null, null);}
+        ),
+    };
+
+    if(val.color) {
+        items.noColorItem = {
+            label: _T('menuColorNone'),
+            icon: 'fa fa-times',
+            action: ()=>{ actionSetColor(node.id, node, null); },
+        };
+    }
+
+    return items;
+} //getColorSubmenuItems()
+
+/// Make the "Sort tabs" submenu for a window.
+/// @param node {Object} The jstree node of the window
+function getSortTabsSubmenuItems(node)
+{
+    let sorts = Modules['view/sorts'];
+    let sorter = (compare_fn)=>
+        ()=>{ actionSortWindowTabs(node.id, node, compare_fn); };
+
+    return {
+        titleItem: {
+            label: _T('menuSortTabsTitle'),
+            title: 'Sort ascending by tab title, case-insensitive',
+            action: sorter(sorts.compare_tab_title),
+            icon: 'fa fa-sort-alpha-asc',
+        },
+        domainItem: {
+            label: _T('menuSortTabsDomain'),
+            title: 'Sort ascending by site, then by URL',
+            action: sorter(sorts.compare_tab_domain),
+            icon: 'fa fa-globe',
+        },
+        urlItem: {
+            label: _T('menuSortTabsURL'),
+            title: 'Sort ascending by URL',
+            action: sorter(sorts.compare_tab_url),
+            icon: 'fa fa-link',
+        },
+        createdItem: {
+            label: _T('menuSortCreated'),
+            title: 'Sort by when each tab was created',
+            action: sorter(sorts.compare_time_created_desc),
+            icon: 'fa fa-clock-o',
+        },
+    };
+} //getSortTabsSubmenuItems()
+
+/// Make the submenu for filtering by tag: the tags in use, and an item
+/// to turn the filter off if it is on.
+function getTagFilterSubmenuItems()
+{
+    let tags = Modules['view/tags'].union(
+        T.root_node().children_d.map((node_id)=>{
+            let val = D.val_by_node_id(node_id);
+            return val ? val.tags : undefined;
+        }));
+
+    let items = {};
+    if(tagFilter) {
+        items.showAllItem = {
+            label: _T('menuTagFilterShowAll'),
+            icon: 'fa fa-eye',
+            action: ()=>{ setTagFilter(null); },
+            separator_after: tags.length > 0,
+        };
+    }
+
+    tags.forEach((tag, idx)=>{
+        let is_current = !!tagFilter &&
+                            Modules['view/tags'].matchesAny([tag], tagFilter);
+        items[`tag${idx}Item`] = {
+            label: Esc.escape(tag),
+            icon: is_current ? 'fa fa-check' : 'fa fa-tag',
+            action: ()=>{ setTagFilter([tag]); },
+        };
+    });
+
+    if(tags.length < 1 && !tagFilter) {
+        items.noTagsItem = {
+            label: _T('menuTagFilterNoTags'),
+            _disabled: true,
+        };
+    }
+
+    return items;
+} //getTagFilterSubmenuItems()
+
+/// Restore a snapshot from view/history.
+/// @param snap {Object} The snapshot, from view/history list()
+/// @param data {Object} The snapshot's save data, from view/history load()
+/// @param replace {Boolean} If truthy, remove the closed windows and folders
+///     first, so the tree matches the snapshot apart from open windows.
+///     Otherwise, add the snapshot's windows to the tree.
+/// @return {Boolean} true if the snapshot was restored
+function restoreSnapshot(snap, data, replace)
+{
+    let when = new Date(snap.time).toLocaleString();
+    if(replace && !window.confirm(_T('dlgpHistoryReplace', when))) {
+        return false;
+    }
+
+    let old_node_ids = T.root_node().children.slice();
+
+    let ok = loadSavedWindowsFromData(data);
+    if(ok === false) {
+        window.alert(_T('errCouldNotRestoreSnapshot', when));
+        return false;   // Leave the old windows alone
+    }
+
+    if(replace) {
+        removeClosedWindowsAndFolders(old_node_ids);
+        updateHashesOfLoadedWindows(old_node_ids);
+    }
+
+    saveTree();
+    return true;
+} //restoreSnapshot()
+
+/// Show the snapshots of the tree
+function hamHistory()
+{
+    showHistoryDialog();
+} //hamHistory()
+
+/// Check the save data in a backup, and tell the user about any problems.
+/// @param parsed {mixed} The save data from the backup
+/// @param filename {String} The name of the backup file
+/// @return {Array} the V2 save-data tree of the parts of #parsed that
+///     passed, or null if nothing did.
+function treeFromBackupSaveData(parsed, filename)
+{
+    const SDV = Modules['common/save_data_validation'];
+    let report = SDV.validate(parsed);
+    if(report.issues.length > 0) {
+        log.warn({[`Problems in ${filename}`]: report});
+    }
+
+    if(!report.data || (report.nwins_kept === 0 && report.nwins > 0)) {
+        window.alert(_T('errCouldNotLoadFile', [filename,
+                        '\n\n' + SDV.describeIssues(report.issues, 20)]));
+        return null;
     }
-} //hamSettings()
 
-function hamBackup()
-{
-    let date_tag = new Date().toISOString().replace(/:/g,'.');
-        // DOS filenames can't include colons.
-        // TODO use local time - maybe
-        // https://www.npmjs.com/package/dateformat ?
-    let filename = 'TabFern backup ' + date_tag + '.tabfern';
+    if(report.issues.length > 0) {
+        window.alert(_T('dlgValidationIssues', [filename,
+                String(report.nwins - report.nwins_kept)]) +
+            '\n\n' + SDV.describeIssues(report.issues, 20));
+    }
 
-    // Save the tree, including currently-open windows/tabs, then
-    // export the save data to #filename.
-    saveTree(true, function(_unused_err, saved_info){
-        Modules.exporter(document, JSON.stringify(saved_info), filename);
-    });
-} //hamBackup()
+    return Modules['view/restore_preview'].treeOf(report.data);
+} //treeFromBackupSaveData()
 
-/// Restore tabs from a saved backup.  Note that this adds the tabs to those
-/// already present.  It does not delete existing tabs/windows.
+/// Load windows from a saved backup, or from the export file of another
+/// tab manager.  The user picks which windows to load in the restore
+/// preview, and whether to add them to the tree or replace the closed
+/// windows with them.
 function hamRestoreFromBackup()
 {
+    const BC = Modules['view/backup_crypto'];
+
+    /// Ask for the passphrase of encrypted backup #text, then load it.
+    /// Asks again if the passphrase is wrong.
+    function decryptAndLoad(text, filename) {
+        showPassphraseDialog(_T('dlgpPassphraseForRestore', filename), false)
+        .val((passphrase)=>{
+            if(passphrase === null) return;     // User cancelled
+            BC.decrypt(text, passphrase)
+            .val((save_data)=>{
+                processFile(JSON.stringify(save_data), filename);
+            })
+            .or((e)=>{
+                log.warn({'Could not decrypt backup': e});
+                if(e && e.code === BC.WRONG_PASSPHRASE) {
+                    window.alert(_T('errWrongPassphrase'));
+                    decryptAndLoad(text, filename);
+                } else if(e && e.code === BC.UNSUPPORTED) {
+                    window.alert(_T('errEncryptedBackupUnsupported', filename));
+                } else {
+                    window.alert(_T('errEncryptedBackupCorrupt', filename));
+                }
+            });
+        });
+    } //decryptAndLoad()
+
     /// Process the text of the file once it's loaded
     function processFile(text, filename) {
-        let ok;
+        if(BC.isEncrypted(text)) {
+            decryptAndLoad(text, filename);
+            return;
+        }
+
+        let tree, description;
         try {
-            let parsed = JSON.parse(text);
-            ok = loadSavedWindowsFromData(parsed);
-            if(!ok) {
-                let errmsg = _T('errCouldNotLoadFile', filename, e);
-                log.warn({[errmsg]:e});
-                window.alert(errmsg);
+            // Exports from other tab managers are recognized by their
+            // structure, so try those first.
+            let result = Modules['view/importers'].convert(text);
+            if(result) {
+                log.info({[`Importing from ${result.name}`]: result});
+                tree = result.wins;
+                description = _T('dlgImportSummary', [result.name,
+                            String(result.win_count), String(result.tab_count)]);
+            } else {
+                let parsed = Modules['common/compression'].decompressSaveData(
+                                JSON.parse(text));
+                tree = treeFromBackupSaveData(parsed, filename);
+                if(!tree) return;   // treeFromBackupSaveData() told the user
+                description = filename;
+                if(!isSaveDataIntact(parsed)) {
+                    description += ' ' + _T('dlgRestoreChecksumWarning');
+                }
             }
         } catch(e) {
-            let errmsg = _T('errCouldNotParseFile');
+            let errmsg = _T('errCouldNotParseFile', [filename, String(e)]);
             log.warn({[errmsg + ' (exception thrown)']:e});
             window.alert(errmsg);
+            return;
         }
 
-        // If we were successful, save.  Otherwise, a reload of the extension
-        // before taking another action that triggers a save will result in
-        // the Restore never having happened.
-        if(ok) {
-            saveTree();
+        if(!tree) {
+            let errmsg = _T('errCouldNotLoadFile', [filename, '']);
+            log.warn(errmsg);
+            window.alert(errmsg);
+            return;
         }
+
+        showRestorePreviewDialog(tree, description)
+        .val((choice)=>{
+            if(!choice) return;     // User cancelled
+
+            // Load first, and only replace the old windows if the load
+            // worked, so a bad backup can't cost the user their tree.
+            let old_node_ids = T.root_node().children.slice();
+
+            let ok = loadSavedWindowsFromData(
+                        {tabfern: 42, version: 2, tree: choice.tree});
+            if(ok === false) {
+                let errmsg = _T('errCouldNotLoadFile', [filename, '']);
+                log.warn(errmsg);
+                window.alert(errmsg);
+                return;
+            }
+
+            if(choice.replace) {
+                removeClosedWindowsAndFolders(old_node_ids);
+                updateHashesOfLoadedWindows(old_node_ids);
+            }
+
+            // Save now rather than waiting for another action that
+            // triggers a save.  Otherwise, a reload of the extension first
+            // would result in the Restore never having happened.
+            saveTree();
+        });
     } //processFile()
 
     try {
-        let importer = new Modules.importer(document, '.tabfern');
+        let importer = new Modules.importer(document,
+                                            '.tabfern,.json,.txt,.html,.htm');
         importer.getFileAsString(processFile);
     } catch(e) {
         let errmsg = _T('errCouldNotRunImporter', e);
@@ -2928,6 +5379,17 @@ function hamRestoreLastDeleted()
     lastDeletedWindow = [];
 } //hamRestoreLastDeleted
 
+/// Make a new, empty folder at the top of the tree
+function hamNewFolder()
+{
+    // TODO replace window.prompt with an in-DOM GUI.
+    let folder_name = window.prompt(_T('dlgpNewFolderName'), _T('labelFolder'));
+    if(folder_name === null) return;   // user cancelled
+
+    let folder_node_id = createNodeForFolder(folder_name || null, true);
+    if(folder_node_id) scheduleSave(folder_node_id);
+} //hamNewFolder()
+
 function hamExpandAll()
 {
     T.treeobj.open_all();
@@ -2954,6 +5416,61 @@ function hamRunJasmineTests()
     open_window_with_url(chrome.extension.getURL('/test/index.html'));
 } // hamRunJasmineTests
 
+/// Find the tabs saved more than once in the tree.
+/// @return {Array} the groups, from findDuplicates() in view/duplicates.
+///     Each item is {url, time, is_open, node_id, title, win_title}.
+function findDuplicateTabs()
+{
+    let items = [];
+    for(let node_id of T.root_node().children_d) {
+        let node = T.treeobj.get_node(node_id);
+        if(!node || node.parents.includes(T.holding_node_id)) continue;
+
+        let tab_val = D.tabs.by_node_id(node_id);
+        if(!tab_val) continue;
+
+        items.push({
+            url: tab_val.raw_url,
+            time: tab_val.time_created,
+            is_open: !!tab_val.isOpen,
+            node_id,
+            title: M.get_raw_text(tab_val),
+            win_title: M.get_raw_text(M.vn_win_of(node_id).val),
+        });
+    }
+    return Modules['view/duplicates'].findDuplicates(items);
+} //findDuplicateTabs()
+
+/// Mark the tabs in #groups, from findDuplicateTabs(), as duplicates,
+/// and unmark any others.  The marks are not saved.
+function markDuplicateTabs(groups)
+{
+    for(let node_id of duplicateNodeIds) {
+        if(T.treeobj.get_node(node_id)) M.del_subtype(node_id, K.NST_DUPLICATE);
+    }
+
+    duplicateNodeIds = new Set();
+    for(let group of groups) {
+        for(let dup of group.items) {
+            M.add_subtype(dup.node_id, K.NST_DUPLICATE);
+            duplicateNodeIds.add(dup.node_id);
+        }
+    }
+} //markDuplicateTabs()
+
+/// Find, mark, and report the tabs saved more than once
+function hamFindDuplicates()
+{
+    let groups = findDuplicateTabs();
+    markDuplicateTabs(groups);
+    showDuplicatesDialog(groups);
+} //hamFindDuplicates()
+
+function hamClearDuplicateMarks()
+{
+    markDuplicateTabs([]);
+} //hamClearDuplicateMarks()
+
 function hamSortOpenToTop()
 {
     hamSorter(Modules['view/sorts'].open_windows_to_top)();     //do the sort
@@ -3037,6 +5554,26 @@ function getHamburgerMenuItems(node, _unused_proxyfunc, e)
             icon: 'fa fa-floppy-o',
             action: hamBackup,
         };
+    items.encryptedBackupItem = {
+            label: _T('menuBackupEncrypted'),
+            icon: 'fa fa-lock',
+            action: K.nextTickRunner(hamBackupEncrypted),
+        };
+    items.exportBookmarksItem = {
+            label: _T('menuExportBookmarks'),
+            icon: 'fa fa-bookmark-o',
+            action: hamExportBookmarks,
+        };
+    items.exportItem = {
+            label: _T('menuExportAs'),
+            icon: 'fa fa-share-square-o',
+            submenu: getExportSubmenuItems(),
+        };
+    items.historyItem = {
+            label: _T('menuHistory'),
+            icon: 'fa fa-history',
+            action: K.nextTickRunner(hamHistory),
+        };
     items.restoreItem = {
             label: _T('menuLoadBackupContents'),
             action: hamRestoreFromBackup,
@@ -3044,6 +5581,30 @@ function getHamburgerMenuItems(node, _unused_proxyfunc, e)
             separator_after: true,
         };
 
+    items.newFolderItem = {
+            label: _T('menuNewFolder'),
+            icon: 'fa fa-folder-o',
+            action: K.nextTickRunner(hamNewFolder),
+        };
+
+    items.findURLItem = {
+            label: _T('menuFindURL'),
+            icon: 'fa fa-map-marker',
+            action: K.nextTickRunner(hamFindURL),
+        };
+    items.duplicatesItem = {
+            label: _T('menuFindDuplicates'),
+            icon: 'fa fa-clone',
+            action: K.nextTickRunner(hamFindDuplicates),
+        };
+    if(duplicateNodeIds.size > 0) {
+        items.clearDuplicatesItem = {
+            label: _T('menuClearDuplicateMarks'),
+            icon: 'fa fa-eraser',
+            action: hamClearDuplicateMarks,
+        };
+    }
+
     items.sortItem = {
             label: _T('menuSort'),
             icon: 'fa fa-sort',
@@ -3069,19 +5630,57 @@ function getHamburgerMenuItems(node, _unused_proxyfunc, e)
                 },
                 numItem09: {
                     label: _T('menuSort09'),
-                    title: 'Sort ascending by window name, numeric, case-insensitive',
-                    action: hamSorter(Modules['view/sorts'].compare_node_num),
+                    title: 'Sort ascending by window name, numbers by value, case-insensitive',
+                    action: hamSorter(Modules['view/sorts'].compare_node_natural),
                     icon: 'fa fa-sort-numeric-asc',
                 },
                 numItem90: {
                     label: _T('menuSort90'),
-                    title: 'Sort descending by window name, numeric, case-insensitive',
-                    action: hamSorter(Modules['view/sorts'].compare_node_num_desc),
+                    title: 'Sort descending by window name, numbers by value, case-insensitive',
+                    action: hamSorter(Modules['view/sorts'].compare_node_natural_desc),
                     icon: 'fa fa-sort-numeric-desc',
                 },
+                createdItem: {
+                    label: _T('menuSortCreated'),
+                    title: 'Sort by when the newest tab in each window was created',
+                    action: hamSorter(Modules['view/sorts'].compare_time_created_desc),
+                    icon: 'fa fa-clock-o',
+                },
+                openedItem: {
+                    label: _T('menuSortOpened'),
+                    title: 'Sort by when a tab in each window was last opened',
+                    action: hamSorter(Modules['view/sorts'].compare_time_opened_desc),
+                    icon: 'fa fa-external-link',
+                },
+                activatedItem: {
+                    label: _T('menuSortActivated'),
+                    title: 'Sort by when a tab in each window was last used',
+                    action: hamSorter(Modules['view/sorts'].compare_time_activated_desc),
+                    icon: 'fa fa-hand-pointer-o',
+                },
+                colorItem: {
+                    label: _T('menuSortColor'),
+                    title: 'Sort by window color, in the order of the Set color menu',
+                    action: hamSorter(Modules['view/sorts'].compare_color),
+                    icon: 'fa fa-paint-brush',
+                },
             } //submenu
         }; //sortItem
 
+    items.paletteItem = {
+            label: _T('menuQuickSwitcher'),
+            icon: 'fa fa-search',
+            action: K.nextTickRunner(()=>{ showPalette(); }),
+        };
+
+    items.tagFilterItem = {
+            label: tagFilter ?
+                _T('menuTagFilterOn', Esc.escape(tagFilter.join(', '))) :
+                _T('menuTagFilter'),
+            icon: 'fa fa-filter',
+            submenu: getTagFilterSubmenuItems(),
+        };
+
     items.expandItem = {
             label: _T('menuExpandAll'),
             icon: 'fa fa-plus-square',
@@ -3096,6 +5695,343 @@ function getHamburgerMenuItems(node, _unused_proxyfunc, e)
     return items;
 } //getHamburgerMenuItems()
 
+////////////////////////////////////////////////////////////////////////// }}}1
+// Quick switcher // {{{1
+
+/// The most entries the quick switcher shows at once
+const PALETTE_MAX_ENTRIES = 50;
+
+/// Get the quick-switcher entries for the hamburger-menu commands, so that
+/// the switcher offers the same commands the menu does.  Commands in
+/// submenus are listed as "Menu: Command".
+/// @return {Array} the entries
+function getPaletteCommandEntries()
+{
+    let retval = [];
+
+    /// The text of a menu label, which may have HTML in it.  DOMParser
+    /// doesn't run scripts or load images, so this is safe.
+    let textOf = (label)=>
+        new DOMParser().parseFromString(label, 'text/html').body.textContent;
+
+    let add = (items, prefix)=>{
+        for(let key in items) {
+            let item = items[key];
+            if(!item || item._disabled || key === 'paletteItem') continue;
+
+            let label = prefix + textOf(item.label);
+            if(item.submenu) {
+                add(item.submenu, label + ': ');
+            } else if(typeof item.action === 'function') {
+                retval.push({ text: label, label, detail: '',
+                    icon: item.icon || 'fa fa-terminal',
+                    run: ()=>{ item.action({item}); },
+                });
+            }
+        }
+    };
+
+    add(getHamburgerMenuItems(), '');
+    return retval;
+} //getPaletteCommandEntries()
+
+/// Get the quick-switcher entries for the windows and tabs in the tree.
+/// Open items come first.  Choosing an entry does what clicking its node
+/// would: it activates an open tab or window, or opens a closed one.
+/// @return {Array} the entries
+function getPaletteItemEntries()
+{
+    let open = [], closed = [];
+
+    for(let node_id of T.root_node().children_d) {
+        let node = T.treeobj.get_node(node_id);
+        if(!node || node.parents.includes(T.holding_node_id)) continue;
+
+        let val = D.val_by_node_id(node_id);
+        if(!val || (val.ty !== K.IT_WIN && val.ty !== K.IT_TAB)) continue;
+
+        (val.isOpen ? open : closed).push(getPaletteEntryFor(val));
+    }
+
+    return open.concat(closed);
+} //getPaletteItemEntries()
+
+/// Make a quick-switcher entry for window or tab #val.
+/// @param val {Object} The item
+/// @param detail {String=} What to show after the label.  By default,
+///                         the URL of a tab, or nothing for a window.
+/// @param run {function=} What choosing the entry does.  By default, what
+///                         clicking the item's node does.
+/// @return {Object} the entry
+function getPaletteEntryFor(val, detail = undefined, run = undefined)
+{
+    let node_id = val.node_id;
+    let label = M.get_raw_text(val);
+    if(detail === undefined) {
+        detail = (val.ty === K.IT_TAB) ? (val.raw_url || '') : '';
+    }
+
+    return {
+        label,
+        detail,
+        text: detail ? `${label}\n${detail}` : label,
+            // The newline keeps matches from spanning the label and detail
+        icon: (val.ty === K.IT_WIN) ?
+            (val.isOpen ? 'fa fa-window-maximize' : 'fa fa-window-restore') :
+            'fa fa-file-o',
+        favicon: (val.ty === K.IT_TAB) ? val.raw_favicon_url : null,
+        run: run || (()=>{
+            let node = T.treeobj.get_node(node_id);
+            if(node) treeOnSelect(null, {node});
+        }),
+    };
+} //getPaletteEntryFor()
+
+/// Find the tabs in the tree with URL #url.
+/// @param url {String} The URL
+/// @param by_site {Boolean} If truthy, find the tabs on the same site as
+///                          #url, rather than the same page.
+/// @param except_tab_id {Number=} If given, skip the open tab with this ID
+/// @return {Array} the tab records, in tree order
+function findTabsWithURL(url, by_site, except_tab_id = undefined)
+{
+    const Dups = Modules['view/duplicates'];
+    let keyOf = by_site ? Dups.siteOf : Dups.normalizeURL;
+    let wanted = keyOf(url);
+    if(!wanted) return [];
+
+    let retval = [];
+    for(let node_id of T.root_node().children_d) {
+        let node = T.treeobj.get_node(node_id);
+        if(!node || node.parents.includes(T.holding_node_id)) continue;
+
+        let tab_val = D.tabs.by_node_id(node_id);
+        if(!tab_val || !tab_val.raw_url) continue;
+        if(tab_val.isOpen && tab_val.tab_id === except_tab_id) continue;
+
+        if(keyOf(tab_val.raw_url) === wanted) retval.push(tab_val);
+    }
+    return retval;
+} //findTabsWithURL()
+
+/// Open the nodes holding #node_id and flag it.
+/// @param node_id {String} The node
+/// @param scroll {Boolean=} If truthy, also scroll it into view
+function revealNode(node_id, scroll = false)
+{
+    let node = T.treeobj.get_node(node_id);
+    if(!node) return;
+
+    for(let parent_id of node.parents) {
+        if(parent_id !== $.jstree.root) {
+            T.treeobj.open_node(parent_id, false, false);
+                // false => no callback, no animation
+        }
+    }
+    T.treeobj.flag_node(node_id);
+
+    if(scroll) {
+        let elem = T.treeobj.get_node(node_id, true)[0];    // true => DOM
+        if(elem) elem.scrollIntoView({block: 'center'});
+    }
+} //revealNode()
+
+/// Show where #url is saved.  Flag the tabs with that URL and scroll to
+/// the first.  If there are several, also list them in the quick
+/// switcher, where choosing one scrolls to it.
+/// @param url {String} The URL
+/// @param by_site {Boolean} If truthy, look for the site rather than the page
+/// @param except_tab_id {Number=} If given, skip the open tab with this ID
+/// @return {Number} how many tabs were found
+function showWhereURLIs(url, by_site, except_tab_id = undefined)
+{
+    let tab_vals = findTabsWithURL(url, by_site, except_tab_id);
+    if(tab_vals.length < 1) {
+        if(except_tab_id === undefined) {
+            window.alert(_T('dlgURLNotSaved', url));
+        } else {
+            window.alert(_T(by_site ? 'dlgSiteNotSaved' : 'dlgPageNotSaved', url));
+        }
+        return 0;
+    }
+
+    T.treeobj.clear_flags();
+    tab_vals.forEach((tab_val, idx)=>{ revealNode(tab_val.node_id, idx === 0); });
+
+    if(tab_vals.length > 1) {
+        showPalette(tab_vals.map((tab_val)=>{
+                let detail = _T('labelInWindow',
+                                M.get_raw_text(M.vn_win_of(tab_val.node_id).val));
+                if(by_site) detail += ' ' + tab_val.raw_url;
+                return getPaletteEntryFor(tab_val, detail,
+                                ()=>{ revealNode(tab_val.node_id, true); });
+            }),
+            _T(by_site ? 'labelWhereSitePlaceholder' : 'labelWherePagePlaceholder',
+                String(tab_vals.length))
+        );
+    }
+
+    return tab_vals.length;
+} //showWhereURLIs()
+
+/// Ask for a URL and show where it is saved.  Input without a scheme,
+/// e.g., "example.com", is taken as a site.
+function hamFindURL()
+{
+    // TODO replace window.prompt with an in-DOM GUI.
+    let url = window.prompt(_T('dlgpFindURL'));
+    if(!url || !(url = url.trim())) return;     // User cancelled
+
+    let by_site = !/^[a-z][a-z0-9+.-]*:/i.test(url);
+    showWhereURLIs(by_site ? `https://${url}` : url, by_site);
+} //hamFindURL()
+
+/// Append #text to #jq, with the characters at #positions (less #offset)
+/// in bold.
+function appendMarkedText(jq, text, positions, offset)
+{
+    let marked = new Set(positions.map((pos)=>pos - offset));
+    let run = '', run_is_marked = false;
+
+    let flush = ()=>{
+        if(!run) return;
+        jq.append(run_is_marked ? $('<b>').text(run) :
+                                    document.createTextNode(run));
+        run = '';
+    };
+
+    for(let idx = 0; idx < text.length; ++idx) {
+        if(marked.has(idx) !== run_is_marked) {
+            flush();
+            run_is_marked = !run_is_marked;
+        }
+        run += text[idx];
+    }
+    flush();
+} //appendMarkedText()
+
+/// Show the quick switcher, which lists the windows, tabs, and commands
+/// that fuzzy-match what the user types.  Choosing one activates it.
+/// @param entries {Array=} If given, list these instead
+/// @param placeholder {String=} If given, the hint to show in the text box
+function showPalette(entries = undefined, placeholder = undefined)
+{
+    if(paletteIsOpen) return;
+    paletteIsOpen = true;
+
+    const P = Modules['view/palette'];
+    if(!entries) {
+        entries = getPaletteItemEntries().concat(getPaletteCommandEntries());
+    }
+
+    let jqdlg = $('#palette-dialog');
+    let text = jqdlg.find('#palette-dialog-text');
+    let list = jqdlg.find('#palette-dialog-list');
+    let shown = [];     ///< the results of P.rank() that are in #list
+    let selected = 0;   ///< the index in #shown of the highlighted entry
+    let chosen = null;  ///< the entry the user picked
+
+    text.val('').attr('placeholder',
+                        placeholder || _T('labelPalettePlaceholder'));
+
+    /// Highlight entry #idx of #shown
+    let select = (idx)=>{
+        if(shown.length < 1) return;
+        selected = Math.max(0, Math.min(idx, shown.length - 1));
+        let items = list.children();
+        items.removeClass('palette-selected');
+        let item = items.eq(selected).addClass('palette-selected');
+        if(item[0]) item[0].scrollIntoView({block: 'nearest'});
+    };
+
+    /// Fill in #list with the entries matching the text
+    let update = ()=>{
+        shown = P.rank(entries, text.val(), PALETTE_MAX_ENTRIES);
+        list.empty();
+        for(let {entry, positions} of shown) {
+            let item = $('<li>');
+
+            if(entry.favicon) {
+                $('<img class="palette-icon">').attr('src', entry.favicon)
+                    .appendTo(item);
+            } else {
+                $('<i class="palette-icon">').addClass(entry.icon)
+                    .appendTo(item);
+            }
+
+            appendMarkedText($('<span class="palette-label">').appendTo(item),
+                                entry.label, positions, 0);
+            if(entry.detail) {
+                appendMarkedText(
+                    $('<span class="palette-detail">').appendTo(item),
+                    entry.detail, positions, entry.label.length + 1);
+            }
+
+            item.appendTo(list);
+        }
+
+        if(shown.length < 1) {
+            $('<li class="palette-none">').text(_T('labelPaletteNoMatches'))
+                .appendTo(list);
+        }
+        select(0);
+    };
+
+    let dlg = new (Modules['rmodal'])(
+        document.getElementById('palette-dialog'),
+        {
+            closeTimeout: 0,
+            afterOpen: function() {
+                text.focus();
+            },
+            afterClose: function() {
+                $(document).off('keydown.TFpalette');
+                text.off('input.TFpalette');
+                list.off('click.TFpalette');
+                list.empty();
+                paletteIsOpen = false;
+                if(chosen) ASQ().val(chosen.run);
+                    // on a later tick, once the dialog is gone
+            },
+        }
+    );
+
+    let accept = ()=>{
+        if(shown.length < 1) return;
+        chosen = shown[selected].entry;
+        dlg.close();
+    };
+
+    text.on('input.TFpalette', update);
+    list.on('click.TFpalette', 'li', function() {
+        select($(this).index());
+        accept();
+    });
+
+    $(document).on('keydown.TFpalette', (ev)=>{
+        switch(ev.key) {
+            case 'Enter':
+                ev.preventDefault();
+                accept();
+                break;
+            case 'ArrowDown':
+                ev.preventDefault();
+                select(selected + 1);
+                break;
+            case 'ArrowUp':
+                ev.preventDefault();
+                select(selected - 1);
+                break;
+            default:
+                dlg.keydown(ev);    // e.g., Esc to close
+                break;
+        }
+    });
+
+    update();
+    ASQ().val(()=>{ dlg.open(); });
+} //showPalette()
+
 ////////////////////////////////////////////////////////////////////////// }}}1
 // Context menu for the main tree // {{{1
 
@@ -3121,6 +6057,8 @@ function getMainContextMenuItems(node, _unused_proxyfunc, e)
         if(tab_val) nodeType = K.IT_TAB;
     }
 
+    if(!nodeType && D.folders.by_node_id(node.id)) nodeType = K.IT_FOLDER;
+
     if(!nodeType) return false;     // A node type we don't know about
 
     // -------
@@ -3143,6 +6081,28 @@ function getMainContextMenuItems(node, _unused_proxyfunc, e)
             },
         };
 
+        tabItems.editTagsItem = {
+            label: _T('menuEditTags'),
+            icon: 'fa fa-tags',
+            action: K.nextTickRunner(
+                function(){actionEditTags(node.id, node, null, null);}
+            )
+        };
+
+        tabItems.colorItem = {
+            label: _T('menuSetColor'),
+            icon: 'fa fa-paint-brush',
+            submenu: getColorSubmenuItems(node, tab_val),
+        };
+
+        if(canEditNotes()) {
+            tabItems.editNotesItem = {
+                label: _T('menuEditNotes'),
+                icon: 'fa fa-sticky-note-o',
+                action: function(){actionEditNotes(node.id, node, null, null);}
+            };
+        }
+
 //        if(tab_val.isOpen) {
 //            tabItems.closeItem = {
 //                    label: 'Close and remember',
@@ -3169,6 +6129,28 @@ function getMainContextMenuItems(node, _unused_proxyfunc, e)
                 )
             };
 
+        winItems.editTagsItem = {
+            label: _T('menuEditTags'),
+            icon: 'fa fa-tags',
+            action: K.nextTickRunner(
+                function(){actionEditTags(node.id, node, null, null);}
+            )
+        };
+
+        winItems.colorItem = {
+            label: _T('menuSetColor'),
+            icon: 'fa fa-paint-brush',
+            submenu: getColorSubmenuItems(node, win_val),
+        };
+
+        if(canEditNotes()) {
+            winItems.editNotesItem = {
+                label: _T('menuEditNotes'),
+                icon: 'fa fa-sticky-note-o',
+                action: function(){actionEditNotes(node.id, node, null, null);}
+            };
+        }
+
         // Forget/Remember
         if( win_val.isOpen && (win_val.keep === K.WIN_KEEP) ) {
             winItems.forgetItem = {
@@ -3199,8 +6181,9 @@ function getMainContextMenuItems(node, _unused_proxyfunc, e)
 
         {   // If not the first item, add "Move to top"
             let parent_node = T.treeobj.get_node(node.parent);
-            if(parent_node.children[1] !== node.id) {
-                // children[1], not [0], because [0] is the holding pen.
+            let first_idx = (parent_node.id === $.jstree.root) ? 1 : 0;
+                // 1, not 0, at the top level because [0] is the holding pen.
+            if(parent_node.children[first_idx] !== node.id) {
                 winItems.toTopItem = {
                     label: _T('menuMoveToTop'),
                     icon: 'fff-text-padding-top',
@@ -3209,6 +6192,28 @@ function getMainContextMenuItems(node, _unused_proxyfunc, e)
             }
         }
 
+        if(node.children.length > 1) {
+            winItems.sortTabsItem = {
+                label: _T('menuSortTabs'),
+                icon: 'fa fa-sort',
+                submenu: getSortTabsSubmenuItems(node),
+            };
+        }
+
+        winItems.newFolderItem = {
+                label: _T('menuMoveToNewFolder'),
+                icon: 'fa fa-folder-o',
+                action: K.nextTickRunner(
+                    function(){actionMoveWinToNewFolder(node.id, node, null, null);}
+                )
+            };
+
+        winItems.exportItem = {
+                label: _T('menuExportAs'),
+                icon: 'fa fa-share-square-o',
+                submenu: getExportSubmenuItems(node.id),
+            };
+
         winItems.deleteItem = {
                 label: _T('menuDelete'),
                 icon: 'fff-cross',
@@ -3231,6 +6236,28 @@ function getMainContextMenuItems(node, _unused_proxyfunc, e)
         return winItems;
     } //endif K.IT_WIN
 
+    if(nodeType === K.IT_FOLDER) {
+        let folderItems = {
+            renameItem: {
+                label: _T('menuRename'),
+                icon: 'fff-pencil',
+                action: K.nextTickRunner(
+                    function(){actionRenameFolder(node.id, node, null, null);}
+                )
+            },
+            deleteItem: {
+                label: _T('menuDeleteFolder'),
+                title: _T('ttDeleteFolder'),
+                icon: 'fff-cross',
+                separator_before: true,
+                action:
+                    function(){actionDeleteFolder(node.id, node, null, null);}
+            },
+        };
+
+        return folderItems;
+    } //endif K.IT_FOLDER
+
     return false;   // if it's a node we don't have a menu for
 
 //    // Note: Don't return {} --- that seems to cause jstree to not properly
@@ -3340,12 +6367,19 @@ var treeCheckCallback = (function()
             // Move an open tab from one open window to another (or the same).
 
             if(parent_val.win_id === K.NONE) return;
+
+            // The Chrome index only counts open tabs, since the window
+            // may be only partly open.
+            let siblings = T.treeobj.get_node(data.parent).children;
+            let index = siblings.slice(0, siblings.indexOf(data.node.id))
+                .filter((id)=>D.tabs.by_node_id(id, 'isOpen')).length;
+
             // Chrome fires a tabOnMoved after we do this (if it works),
             // so we don't have to update the tree here.
             // As above, delay to be on the safe side.
             ASQ().then((done)=>{
                 chrome.tabs.move(val.tab_id,
-                    {windowId: parent_val.win_id, index: data.position}
+                    {windowId: parent_val.win_id, index}
                     , ASQH.CC(done));
             })
             .then((done)=>{
@@ -3422,36 +6456,29 @@ var treeCheckCallback = (function()
         let moving_val = D.tabs.by_node_id(tab_node_id);
         if(!moving_val) return;
 
-        // Which window we're moving it to
-        let parent_val = D.windows.by_node_id(data.parent);
-        if(!parent_val || parent_val.win_id === K.NONE ) return;
-
-        // Update the index values, so we know which index the
-        // tab should have.  The tab node has already been moved, so the
-        // index values match what will be the case once the ctab is created.
-        ASQ().then((done)=>{
-            updateTabIndexValues(data.parent, [tab_node_id]);
-                // [tab_node_id]: Treat the new tab as if it were open when
-                // computing index values.
+        // The tab node has already been moved, so the index values will
+        // match what will be the case once the ctab is created.
+        ASQ().val(()=>{
             updateTabIndexValues(data.old_parent);
+            openTabInOpenWindow(tab_node_id);
+        });
 
-            moving_val.being_opened = true;
-                // so tabOnCreated doesn't duplicate it
+    } //open_tab_within_window
 
-            let newtab_info = {
-                windowId: parent_val.win_id,
-                url: chrome.runtime.getURL('/src/view/newtab.html') + '#' + moving_val.node_id,
-                    // pass the node ID to the tabOnUpdated callback
-                index: moving_val.index,
-                pinned: !!moving_val.isPinned,
-            }
+    /// Can #moving_val be nested under tab #parent_val?  For now, only
+    /// closed, unpinned tabs can be nested, and only in closed windows,
+    /// since Chrome windows are flat.
+    function can_nest_tab(moving_val, parent_val)
+    {
+        if(!moving_val || !parent_val || parent_val.ty !== K.IT_TAB) return false;
+        if(moving_val.isOpen || moving_val.isPinned) return false;
+        if(parent_val.isOpen || parent_val.isPinned) return false;
 
-            log.info({'Moving tab':newtab_info});
-            chrome.tabs.create(newtab_info, ASQH.CC(done));
-        });
-        // The Chrome tab and the item will be linked in tabOnCreated, so we're done.
+        let win_val = M.vn_win_of(parent_val).val;
+        if(!win_val || win_val.isOpen) return false;
 
-    } //open_tab_within_window
+        return true;
+    } //can_nest_tab
 
     // --- The main check callback ---
     function inner_treeCheckCallback(operation, node, new_parent,
@@ -3495,10 +6522,14 @@ var treeCheckCallback = (function()
 
             DND_CHECK:
             if(moving_val.ty === K.IT_WIN) {              // Dragging windows
-                // Can't drop inside another window - only before or after
-                if(more.pos==='i') return false;
-
-                // Can't drop other than in the root
+                // Can drop in the root or in a folder, but not inside
+                // another window.
+                if( (new_parent.id !== $.jstree.root) &&
+                    (!new_parent_val || new_parent_val.ty !== K.IT_FOLDER)
+                ) return false;
+
+            } else if(moving_val.ty === K.IT_FOLDER) {    // Dragging folders
+                // Folders only live at the top level
                 if(new_parent.id !== $.jstree.root) return false;
 
             } else if(moving_val.ty === K.IT_TAB) {          // Dragging tabs
@@ -3517,7 +6548,21 @@ var treeCheckCallback = (function()
                 }
 
                 // Check for valid parent
-                if( !new_parent_val || new_parent_val.ty !== K.IT_WIN ) return false;
+                if(!new_parent_val) return false;
+
+                // Dropping into or among nested tabs.  Pinned tabs are never
+                // nested, so the pinning checks below don't apply.
+                if(new_parent_val.ty === K.IT_TAB) {
+                    if(!can_nest_tab(moving_val, new_parent_val)) return false;
+                    break DND_CHECK;
+                }
+
+                if(new_parent_val.ty !== K.IT_WIN) return false;
+
+                // Tabs with nested tabs can't go into open windows.
+                if(new_parent_val.isOpen && node.children &&
+                    node.children.length > 0) return false;
+
                 let new_parent_node = T.treeobj.get_node(new_parent_val.node_id);
                 if(!new_parent_node || !new_parent_node.children) return false;
 
@@ -3535,8 +6580,8 @@ var treeCheckCallback = (function()
                 if(!ref_val) return false;
 
                 if( (ref_val.ty === K.IT_TAB) && (more.pos === 'i') ) {
-                    return false;  // Can't move tabs under tabs
-                    // TODO update for #34
+                    return false;   // Shouldn't happen - new_parent would
+                                    // have been the tab, handled above.
                 }
 
                 if( (ref_val.ty === K.IT_TAB) && (more.ref.parent !== new_parent_node.id) ) {
@@ -3678,8 +6723,14 @@ var treeCheckCallback = (function()
                 console.groupEnd();
             }
 
-            // Windows: can only drop in root
+            // Windows: can only drop in root or in folders
             if(moving_val.ty === K.IT_WIN) {
+                if( (new_parent.id !== $.jstree.root) &&
+                    (!new_parent_val || new_parent_val.ty !== K.IT_FOLDER)
+                ) return false;
+
+            } else if(moving_val.ty === K.IT_FOLDER) {
+                // Folders: can only drop in root
                 if(new_parent.id !== $.jstree.root) return false;
 
             } else if(moving_val.ty === K.IT_TAB) {
@@ -3700,6 +6751,15 @@ var treeCheckCallback = (function()
                     // Can move closed tabs to any window
                     if(!new_parent_val) return false;
                 }
+
+                // Can nest closed tabs under closed tabs (V2 save data)
+                if( new_parent_val && (new_parent_val.ty === K.IT_TAB) &&
+                    !can_nest_tab(moving_val, new_parent_val) ) return false;
+
+                // Open windows are flat
+                if( new_parent_val && (new_parent_val.ty === K.IT_WIN) &&
+                    new_parent_val.isOpen &&
+                    node.children && node.children.length > 0 ) return false;
             }
             L.log.debug('OK to move');
         } //endif move_node
@@ -3733,10 +6793,12 @@ var treeCheckCallback = (function()
             }
 
             // If we are moving a closed tab into an open window, set up
-            // to open the tab in Chrome.
+            // to open the tab in Chrome.  Closed tabs moving within a
+            // partly-open window stay closed.
             if( !moving_val.isOpen &&
                 new_parent_val &&
-                new_parent_val.isOpen
+                new_parent_val.isOpen &&
+                (!old_parent || old_parent.id !== new_parent.id)
             ) {
                 T.treeobj.element.one('move_node.jstree',
                                             open_tab_within_window);
@@ -3744,11 +6806,13 @@ var treeCheckCallback = (function()
 
             // If we are moving the last tab out of a window other than the
             // holding pen, and the tab is closed, set up the window to be
-            // deleted once the move completes.
+            // deleted once the move completes.  This does not apply to
+            // moving the last tab nested under another tab.
             // If the last tab is open, it is handled below.
             if( !moving_val.isOpen &&
                 old_parent &&
                 old_parent.children &&
+                D.windows.by_node_id(old_parent.id) &&
                 (node.id !== T.holding_node_id) &&
                 (old_parent.id !== T.holding_node_id) &&
                 (new_parent.id !== T.holding_node_id) &&
@@ -3878,6 +6942,25 @@ function messageListener(request, sender, sendResponse)
         sendResponse({msg: request.msg, response: true, success: false});
     } //endif MSG_EDIT_TAB_NOTE
 
+    if(request.msg === MSG_FIND_PAGE && !request.response) {
+        if(!did_init_complete || !request.url) return;
+            // No response, so the sender will try again once we're ready
+
+        ASQH.NowCC((cc)=>{  // Focus the TabFern popup
+            chrome.windows.update(my_winid, {focused:true}, cc);
+        })
+        .val(()=>{
+            let count = showWhereURLIs(request.url, !!request.by_site,
+                                        request.tab_id);
+            sendResponse({msg: request.msg, response: true, success: true,
+                            count});
+        })
+        .or(()=>{
+            sendResponse({msg: request.msg, response: true, success: false});
+        });
+        return true;    // keep sendResponse alive until the sequence runs
+    } //endif MSG_FIND_PAGE
+
     // Ignore all other messages --- don't send a response
 
 } //messageListener
@@ -3894,10 +6977,20 @@ function delete_all_closed_nodes(are_you_sure)
     let root = T.root_node();
     if(!root) return
 
-    for(let i=root.children.length-1; i>0; --i) {
-        let child_node_id = root.children[i];
-        let isOpen = D.windows.by_node_id(child_node_id, 'isOpen');
-        if( !isOpen && child_node_id != T.holding_node_id ) {
+    // Windows at the top level and in folders
+    let win_node_ids = [];
+    for(let child_node_id of root.children) {
+        if(D.folders.by_node_id(child_node_id)) {
+            win_node_ids.push(...T.treeobj.get_node(child_node_id).children);
+        } else if(child_node_id != T.holding_node_id) {
+            win_node_ids.push(child_node_id);
+        }
+    }
+
+    for(let i=win_node_ids.length-1; i>=0; --i) {
+        let child_node_id = win_node_ids[i];
+        let win_val = D.windows.by_node_id(child_node_id);
+        if( win_val && !win_val.isOpen ) {
             actionDeleteWindow(child_node_id, T.treeobj.get_node(child_node_id),
                 undefined, undefined, undefined, true);
         }
@@ -4092,6 +7185,13 @@ function createMainTreeIfWinIdReceived_catch(done, win_id_msg_or_error)
                 Bypasser = Modules.bypasser.create(window, T.treeobj);
             } else {
                 Bypasser = Modules.bypasser.create(window, T.treeobj, Modules.shortcuts);
+
+                let key = Modules.shortcuts.getKeyBindingFor('COMMAND_PALETTE');
+                if(key && key.signal) {
+                    key.signal.add((direction)=>{
+                        if(direction === 'keydown') showPalette();
+                    });
+                }
             }
             // Continue initialization by loading the tree
             done();
@@ -4172,16 +7272,25 @@ function addOpenWindowsToTree(done, cwins)
 //            continue;
 //        }
 
-        let existing_win = winAlreadyExistsInTree(cwin);
+        let existing_win = winAlreadyExistsInTree(cwin) ||
+                            partlyOpenWinInTree(cwin);
         if(!existing_win || (existing_win.val && existing_win.val.isOpen)) {
             // Doesn't exist, or the duplicate is already open (e.g., if two
             // windows are open with the same set of tabs)
             createNodeForWindow(cwin, K.WIN_NOKEEP, true);  //true=>no pruning
         } else {
-            connectChromeWindowToTreeWindowItem(cwin, existing_win);
+            connectChromeWindowToTreeWindowItem(cwin, existing_win,
+                    {tab_node_ids: existing_win.tab_node_ids});
+                // tab_node_ids is undefined unless the window is partly open
         } //endif window already exists
     } //foreach window
 
+    // Partly-open windows are only reconnected at startup
+    for(let node_id of T.root_node().children_d) {
+        let win_val = D.windows.by_node_id(node_id);
+        if(win_val) win_val.open_tab_node_ids = undefined;
+    }
+
     // Highlight the focused window.
     // However, generally the popup will be focused when this runs,
     // and we're not showing the popup in the tree.
@@ -4221,11 +7330,20 @@ function addEventListeners(done)
     // Set event listeners
     T.treeobj.element.on('changed.jstree', treeOnSelect);
 
-    T.treeobj.element.on('move_node.jstree', K.nextTickRunner(saveTree));
+    T.treeobj.element.on('move_node.jstree', (evt, data)=>{
+        scheduleSave(data.node.id, data.old_parent);
+    });
         // Save after drag-and-drop.  TODO? find a better way to do this?
         // -> Is this redundant now?  I think the saving in the dnd handlers
         // should take care of this.
 
+    // Re-sort when the user picks a different sort mode in the settings.
+    // The settings page stores them in localStorage, which fires `storage`
+    // events here.
+    window.addEventListener('storage', function(ev) {
+        if(ev.key === SETTING_PREFIX + CFGS_WIN_SORT_MODE) scheduleWindowSort();
+    });
+
     chrome.windows.onCreated.addListener(winOnCreated);
     chrome.windows.onRemoved.addListener(winOnRemoved);
     chrome.windows.onFocusChanged.addListener(winOnFocusChanged);
@@ -4276,8 +7394,18 @@ function initTreeFinal(done)
             ASQ().val(hamSortOpenToTop);
         }
 
+        // Put the windows in order, if the user wants them kept sorted
+        ASQ().val(applyWindowSortMode);
+
+        // If we had to load the last-known-good data, say so.
+        if(loading_recovery) {
+            ASQ().val(reportLoadingRecovery);
+        }
+
     } //endif loaded OK
 
+    initSearchBar();
+
     done();
 } //initTreeFinal()
 
@@ -4296,6 +7424,9 @@ function shutdownTree()
     // let background = chrome.extension.getBackgroundPage();
     // background.console.log('popup closing');
 
+    // The notes pane calls into this document, so it can't outlive it.
+    if(canEditNotes()) window.parent.closeNotes();
+
     if(did_init_complete) {
         saveTree(false);    // false => don't save visible, non-saved windows
     }
@@ -0,0 +1,71 @@
+// spec/compression.js: Test src/common/compression.js.
+
+describe('compression', function() {
+    let Modules={};     ///< loaded modules
+    let C;              ///< Compression: module under test
+
+    beforeAll(R('common/compression', Modules,
+                ()=>{ C = Modules['common/compression']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(C).not.toBeUndefined();
+        expect(typeof C.compress).toBe('function');
+    });
+
+    it('round-trips text', ()=>{
+        let texts = ['', 'a', 'aaaaaaaaaaaaaaaa', 'abababababcabc',
+            'Ünïcödé ✓ and a surrogate pair: 😀😀😀',
+            JSON.stringify({tabfern: 42, version: 2, tree: [
+                {raw_title: 'W', tabs: [
+                    {raw_title: 'T', raw_url: 'https://t.example/1'},
+                    {raw_title: 'T', raw_url: 'https://t.example/2'},
+                ]}]}),
+        ];
+        for(let text of texts) {
+            let compressed = C.compress(text);
+            expect(/^[A-Za-z0-9+/]*$/.test(compressed)).toBe(true);
+            expect(C.decompress(compressed)).toBe(text);
+        }
+    });
+
+    it('shrinks repetitive text', ()=>{
+        let text = '';
+        for(let i=0; i<200; ++i) {
+            text += `{"raw_title":"Tab ${i}","raw_url":"https://www.example.com/page/${i}"},`;
+        }
+        expect(C.compress(text).length < text.length/2).toBe(true);
+    });
+
+    it('reports damaged input', ()=>{
+        let compressed = C.compress('some text to compress, some text');
+        expect(C.decompress(compressed.slice(0, 5))).toBeNull();
+        expect(C.decompress('!!!!')).toBeNull();
+    });
+
+    it('wraps save data with a format marker', ()=>{
+        let save_data = {tabfern: 42, version: 2, checksum: 'x', tree: []};
+        let stored = C.compressSaveData(save_data);
+        expect(stored.tabfern).toBe(42);
+        expect(stored.encoding).toBe(C.ENCODING);
+        expect(C.isCompressedSaveData(stored)).toBe(true);
+        expect(C.isCompressedSaveData(save_data)).toBe(false);
+        expect(C.isCompressedSaveData([])).toBe(false);
+        expect(C.decompressSaveData(stored)).toEqual(save_data);
+    });
+
+    it('passes plain save data through', ()=>{
+        let v0 = [{text: 'W', tabs: []}];
+        let v2 = {tabfern: 42, version: 2, tree: []};
+        expect(C.decompressSaveData(v0)).toBe(v0);
+        expect(C.decompressSaveData(v2)).toBe(v2);
+    });
+
+    it('throws on save data it cannot decompress', ()=>{
+        expect(()=>C.decompressSaveData(
+            {tabfern: 42, encoding: 'no-such-encoding', data: ''})).toThrow();
+        expect(()=>C.decompressSaveData(
+            {tabfern: 42, encoding: C.ENCODING, data: 'AAA'})).toThrow();
+    });
+});
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
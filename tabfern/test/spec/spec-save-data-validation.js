@@ -0,0 +1,131 @@
+// spec/save-data-validation.js: Test src/common/save_data_validation.js.
+
+describe('save_data_validation', function() {
+    let Modules={};     ///< loaded modules
+    let SDV;            ///< SaveDataValidation: module under test
+
+    /// Paths of the issues in validation result #result
+    let paths = (result)=>result.issues.map((issue)=>issue.path);
+
+    beforeAll(R('common/save_data_validation', Modules,
+                ()=>{ SDV = Modules['common/save_data_validation']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(SDV).not.toBeUndefined();
+        expect(typeof SDV.validate).toBe('function');
+    });
+
+    it('passes good save data of each version', ()=>{
+        let v0 = [{text: 'W', tabs: [{text: 'T', url: 'https://t.example/'}]}];
+        let v1 = {tabfern: 42, version: 1, tree: [
+            {raw_title: 'W', ephemeral: true,
+                tabs: [{raw_title: 'T', raw_url: 'https://t.example/'}]}]};
+        let v2 = {tabfern: 42, version: 2, checksum: 'abc', tree: [
+            {raw_title: null, raw_notes: 'w\nnotes', tags: ['work'],
+                open_tabs: [1], tabs: [{raw_title: 'T', raw_url: 'https://t.example/',
+                raw_bullet: 'b', raw_notes: 'tab\nnotes', isPinned: true,
+                tags: ['to read', 'Work'], color: '#e53935',
+                children: [{raw_title: 'K', raw_url: 'chrome://newtab/'}]}]},
+            {folder: true, raw_title: 'F', wins: []},
+        ]};
+
+        let v2_records = {tabfern: 42, version: 2, checksums: ['abc', 'def'],
+                            tree: v2.tree};
+
+        for(let data of [v0, v1, v2, v2_records]) {
+            let result = SDV.validate(data);
+            expect(result.issues).toEqual([]);
+            expect(result.nwins_kept).toBe(result.nwins);
+        }
+        expect(SDV.validate(v2).data.tree).toEqual(v2.tree);
+    });
+
+    it('salvages the good windows and reports the bad ones', ()=>{
+        let result = SDV.validate({tabfern: 42, version: 2, tree: [
+            {raw_title: 'Good', tabs: [
+                {raw_url: 'https://ok.example/', isPinned: 'yes', flavor: 'grape'},
+                {raw_title: 'Bad URL', raw_url: 'not a URL'},
+            ]},
+            {raw_title: 'No tabs'},
+            'junk',
+        ]});
+
+        expect(result.version).toBe(2);
+        expect(result.nwins).toBe(3);
+        expect(result.nwins_kept).toBe(1);
+        expect(paths(result)).toEqual([
+            'tree[0].tabs[0].isPinned', 'tree[0].tabs[0].flavor',
+            'tree[0].tabs[1].raw_url', 'tree[1].tabs', 'tree[2]',
+        ]);
+        expect(result.issues[0].severity).toBe(SDV.WARNING);
+        expect(result.issues[2].severity).toBe(SDV.ERROR);
+
+        // Warnings drop only the field; errors drop the entry
+        expect(result.data.tree).toEqual([
+            {raw_title: 'Good', tabs: [{raw_url: 'https://ok.example/'}]}]);
+    });
+
+    it('checks tab timestamps', ()=>{
+        let result = SDV.validate({tabfern: 42, version: 2, tree: [
+            {raw_title: 'W', tabs: [
+                {raw_url: 'https://t.example/', time_created: 1539900000000,
+                    time_opened: 'yesterday', time_activated: -1},
+            ]},
+        ]});
+        expect(paths(result)).toEqual([
+            'tree[0].tabs[0].time_opened', 'tree[0].tabs[0].time_activated',
+        ]);
+        expect(result.data.tree[0].tabs[0]).toEqual(
+            {raw_url: 'https://t.example/', time_created: 1539900000000});
+    });
+
+    it('checks tags', ()=>{
+        let result = SDV.validate({tabfern: 42, version: 2, tree: [
+            {raw_title: 'W', tags: 'work', tabs: [
+                {raw_url: 'https://t.example/', tags: ['ok', ' ']},
+                {raw_url: 'https://u.example/', tags: ['ok']},
+            ]},
+        ]});
+        expect(paths(result)).toEqual(
+            ['tree[0].tags', 'tree[0].tabs[0].tags']);
+        expect(result.data.tree[0].tabs[1].tags).toEqual(['ok']);
+    });
+
+    it('checks the open tabs of partly-open windows', ()=>{
+        let result = SDV.validate({tabfern: 42, version: 2, tree: [
+            {raw_title: 'W', open_tabs: [0, -1], tabs: [
+                {raw_url: 'https://t.example/'},
+            ]},
+            {raw_title: 'X', open_tabs: [1], tabs: [
+                {raw_url: 'https://t.example/'},
+                {raw_url: 'https://u.example/'},
+            ]},
+        ]});
+        expect(paths(result)).toEqual(['tree[0].open_tabs']);
+        expect(result.data.tree[0].open_tabs).toBeUndefined();
+        expect(result.data.tree[1].open_tabs).toEqual([1]);
+    });
+
+    it('checks V0 records', ()=>{
+        let result = SDV.validate([
+            {text: 'W', tabs: [{text: 'T'}, {text: 'U', url: 'https://u.example/'}]},
+        ]);
+        expect(result.version).toBe(0);
+        expect(paths(result)).toEqual(['[0].tabs[0].url']);
+        expect(result.data[0].tabs.length).toBe(1);
+    });
+
+    it('rejects things that are not save data', ()=>{
+        expect(SDV.validate({some: 'thing'}).data).toBeNull();
+        expect(SDV.validate({tabfern: 42, version: 99, tree: []}).data).toBeNull();
+        expect(SDV.validate('text').data).toBeNull();
+    });
+
+    it('describes issues', ()=>{
+        let issues = SDV.validate([{text: 'W'}, 5]).issues;
+        expect(SDV.describeIssues(issues)).toContain('[0].tabs is missing');
+        expect(SDV.describeIssues(issues, 1)).toContain('1 more');
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
@@ -0,0 +1,71 @@
+// spec/save-storage.js: Test src/common/save_storage.js.
+
+describe('save_storage', function() {
+    let Modules={};     ///< loaded modules
+    let SS;             ///< SaveStorage: module under test
+    let C;              ///< Compression
+
+    beforeAll(R(['common/save_storage', 'common/compression'], Modules,
+                ()=>{
+                    SS = Modules['common/save_storage'];
+                    C = Modules['common/compression'];
+                }));
+
+    let win = {raw_title: 'W', tabs: [{raw_title: 'T', raw_url: 'https://t.example/'}]};
+    let folder = {folder: true, raw_title: 'F', wins: [win]};
+
+    it('can be loaded successfully', ()=>{
+        expect(SS).not.toBeUndefined();
+        expect(typeof SS.read).toBe('function');
+    });
+
+    it('recognizes indexes', ()=>{
+        let index = SS.makeIndex(['a', 'b'], ['sa', 'sb']);
+        expect(SS.isIndex(index)).toBe(true);
+        expect(index.version).toBe(2);
+        expect(SS.isIndex({tabfern: 42, version: 2, tree: []})).toBe(false);
+        expect(SS.isIndex(C.compressSaveData({tabfern: 42, version: 2,
+                                                tree: []}))).toBe(false);
+        expect(SS.isIndex([])).toBe(false);
+    });
+
+    it('assembles the save data in index order', ()=>{
+        let index = SS.makeIndex(['k2', 'k1'], ['s2', 's1']);
+        let items = {
+            k1: SS.packRecord(JSON.stringify(win)),
+            k2: SS.packRecord(JSON.stringify(folder)),
+        };
+        expect(SS.assemble(index, items)).toEqual({tabfern: 42, version: 2,
+            tree: [folder, win], checksums: ['s2', 's1']});
+    });
+
+    it('keeps the per-record checksums checkable', ()=>{
+        // Each checksum covers the JSON of one record, which the assembled
+        // tree reproduces.
+        let index = SS.makeIndex(['k1', 'k2'], ['s1', 's2']);
+        let items = {
+            k1: SS.packRecord(JSON.stringify(win)),
+            k2: SS.packRecord(JSON.stringify(folder)),
+        };
+        expect(SS.assemble(index, items).tree.map((el)=>JSON.stringify(el)))
+            .toEqual([JSON.stringify(win), JSON.stringify(folder)]);
+    });
+
+    it('keeps the whole-tree checksum of older indexes', ()=>{
+        let index = {tabfern: 42, version: 2, encoding: SS.ENCODING,
+                        records: ['k1'], checksum: 'sum'};
+        let items = {k1: SS.packRecord(JSON.stringify(win))};
+        expect(SS.assemble(index, items)).toEqual(
+            {tabfern: 42, version: 2, tree: [win], checksum: 'sum'});
+    });
+
+    it('throws on missing or damaged records', ()=>{
+        let index = SS.makeIndex(['k1', 'k2'], ['s1', 's2']);
+        let k1 = SS.packRecord(JSON.stringify(win));
+        expect(()=>SS.assemble(index, {k1})).toThrow();
+        expect(()=>SS.assemble(index, {k1, k2: '!!'})).toThrow();
+        expect(()=>SS.assemble(index, {k1, k2: 12})).toThrow();
+    });
+});
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
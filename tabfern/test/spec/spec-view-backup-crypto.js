@@ -0,0 +1,90 @@
+// spec/view-backup-crypto.js: Test src/view/backup_crypto.js.
+
+describe('view/backup_crypto', function() {
+    let Modules={};     ///< loaded modules
+    let BC;             ///< BackupCrypto: module under test
+
+    const SAVE_DATA = {tabfern: 42, version: 2, tree: [
+        {raw_title: 'Secret ü', tabs: [{raw_url: 'https://s.example/'}]}
+    ]};
+
+    beforeAll(R('view/backup_crypto', Modules,
+                ()=>{ BC = Modules['view/backup_crypto']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(BC).not.toBeUndefined();
+        expect(typeof BC.encrypt).toBe('function');
+    });
+
+    it('round-trips save data', (done)=>{
+        BC.encrypt(SAVE_DATA, 'hunter2')
+        .then((next, text)=>{
+            expect(BC.isEncrypted(text)).toBe(true);
+            expect(text).not.toContain('s.example');
+            BC.decrypt(text, 'hunter2').pipe(next);
+        })
+        .val((data)=>{
+            expect(data).toEqual(SAVE_DATA);
+            done();
+        })
+        .or((e)=>{ fail(e); done(); });
+    });
+
+    it('tells a wrong passphrase from a damaged file', (done)=>{
+        BC.encrypt(SAVE_DATA, 'hunter2')
+        .then((next, text)=>{
+            BC.decrypt(text, 'hunter3')
+            .val(()=>{ fail('decrypted with the wrong passphrase'); next(text); })
+            .or((e)=>{
+                expect(e.code).toBe(BC.WRONG_PASSPHRASE);
+                next(text);
+            });
+        })
+        .then((next, text)=>{
+            let wrapper = JSON.parse(text);
+            wrapper.data = (wrapper.data[0] === 'A' ? 'B' : 'A') +
+                            wrapper.data.slice(1);
+            BC.decrypt(JSON.stringify(wrapper), 'hunter2')
+            .val(()=>{ fail('decrypted a damaged file'); next(text); })
+            .or((e)=>{
+                expect(e.code).toBe(BC.CORRUPT);
+                next(text);
+            });
+        })
+        .then((next, text)=>{
+            // Truncated
+            BC.decrypt(text.slice(0, text.length/2), 'hunter2')
+            .val(()=>{ fail('decrypted a truncated file'); next(); })
+            .or((e)=>{
+                expect(e.code).toBe(BC.CORRUPT);
+                next();
+            });
+        })
+        .val(done)
+        .or((e)=>{ fail(e); done(); });
+    });
+
+    it('refuses to run too many iterations', (done)=>{
+        BC.encrypt(SAVE_DATA, 'hunter2')
+        .then((next, text)=>{
+            let wrapper = JSON.parse(text);
+            wrapper.kdf.iterations = 1e12;
+            BC.decrypt(JSON.stringify(wrapper), 'hunter2')
+            .val(()=>{ fail('decrypted with 1e12 iterations'); next(); })
+            .or((e)=>{
+                expect(e.code).toBe(BC.UNSUPPORTED);
+                next();
+            });
+        })
+        .val(done)
+        .or((e)=>{ fail(e); done(); });
+    });
+
+    it('recognizes encrypted backups', ()=>{
+        expect(BC.isEncrypted(JSON.stringify(SAVE_DATA))).toBe(false);
+        expect(BC.isEncrypted('https://example.com/ | Example')).toBe(false);
+        expect(BC.isEncrypted('{"tabfern_encrypted":1,"kdf":')).toBe(true);
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
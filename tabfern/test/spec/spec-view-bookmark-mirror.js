@@ -0,0 +1,156 @@
+// spec/view-bookmark-mirror.js: Test the parts of src/view/bookmark_mirror.js
+// that don't need the Chrome bookmarks API.
+
+describe('view/bookmark_mirror', function() {
+    let Modules={};     ///< loaded modules
+    let BM;             ///< BookmarkMirror: module under test
+
+    beforeAll(R('view/bookmark_mirror', Modules,
+                ()=>{ BM = Modules['view/bookmark_mirror']; }));
+
+    /// A mirror folder as chrome.bookmarks.getSubTree() would return it
+    const MIRROR_ROOT = {
+        id: '100', title: 'TabFern',
+        children: [
+            {   id: '101', title: 'Reading',
+                children: [
+                    {id: '102', title: 'A', url: 'https://a.example/'},
+                    {id: '103', title: 'B', url: 'https://b.example/'},
+                ]
+            },
+            {id: '104', title: 'Loose', url: 'https://loose.example/'},
+            {   id: '105', title: 'Projects',
+                children: [
+                    {   id: '106', title: 'Work',
+                        children: [ {id: '107', title: 'W', url: 'https://w.example/'} ]
+                    },
+                ]
+            },
+        ]
+    };
+
+    it('can be loaded successfully', ()=>{
+        expect(BM).not.toBeUndefined();
+    });
+
+    it('makes bookmark forms of windows and folders', ()=>{
+        let form = BM.windowForm({raw_title: null, tabs: [
+            {raw_title: 'A', raw_url: 'https://a.example/', children: [
+                {raw_title: '', raw_url: 'https://kid.example/'} ]},
+        ]}, 'Saved tabs');
+        expect(form).toEqual({title: 'Saved tabs', children: [
+            {title: 'A', url: 'https://a.example/'},
+            {title: 'https://kid.example/', url: 'https://kid.example/'},
+        ]});
+
+        let tree_form = BM.treeForm([
+            {raw_title: 'Win', tabs: []},
+            {folder: true, raw_title: 'F', wins: [{raw_title: 'In', tabs: []}]},
+        ], {});
+        expect(tree_form[0].is_win).toBe(true);
+        expect(tree_form[1].is_win).toBeUndefined();
+        expect(tree_form[1].children[0].title).toBe('In');
+        expect(tree_form[1].children[0].is_win).toBe(true);
+    });
+
+    it('digests windows by their contents', ()=>{
+        let a = {title: 'T', children: [{title: 'A', url: 'https://a.example/'}]};
+        let b = {title: 'T', children: [{title: 'A', url: 'https://b.example/'}]};
+        expect(BM.digestOf(a)).toBe(BM.digestOf(JSON.parse(JSON.stringify(a))));
+        expect(BM.digestOf(a)).not.toBe(BM.digestOf(b));
+    });
+
+    it('reads windows and folders from the mirror', ()=>{
+        let wins = BM.mirrorWindows(MIRROR_ROOT);
+        expect(wins.map((w)=>w.bm_id)).toEqual(['101', '106']);
+        expect(wins[0].folder_title).toBeNull();
+        expect(wins[0].record.raw_title).toBe('Reading');
+        expect(wins[0].record.tabs.map((t)=>t.raw_url)).toEqual(
+            ['https://a.example/', 'https://b.example/']);
+        expect(wins[1].folder_title).toBe('Projects');
+        expect(wins[0].digest).toBe(BM.digestOf({title: 'Reading', children: [
+            {title: 'A', url: 'https://a.example/'},
+            {title: 'B', url: 'https://b.example/'} ]}));
+    });
+
+    it('finds an existing mirror folder', ()=>{
+        let tree = (other_kids, bar_kids = [])=>[{id: '0', children: [
+            {id: '1', title: 'Bookmarks bar', children: bar_kids},
+            {id: '2', title: 'Other bookmarks', children: other_kids},
+        ]}];
+        let folder = (id, title)=>({id, title, children: []});
+
+        expect(BM.findRoot(tree([]))).toBeNull();
+        since('a bookmark titled TabFern is not the mirror')
+        .expect(BM.findRoot(tree([{id: '3', title: 'TabFern',
+                                    url: 'https://t.example/'}]))).toBeNull();
+        expect(BM.findRoot(tree([folder('4', 'Other'), folder('5', 'TabFern')])).id)
+            .toBe('5');
+        since('Other bookmarks should be checked first')
+        .expect(BM.findRoot(tree([folder('6', 'TabFern')],
+                                    [folder('7', 'TabFern')])).id).toBe('6');
+        expect(BM.findRoot(tree([], [folder('7', 'TabFern')])).id).toBe('7');
+    });
+
+    describe('diff', ()=>{
+        let mwin = (bm_id, digest)=>({bm_id, digest,
+                        record: {bm_id, tabs: [{raw_url: 'https://x.example/'}]}});
+
+        it('ignores subfolders that have not been edited', ()=>{
+            let result = BM.diff([{key: 'w1', digest: 'd1'}],
+                                    [mwin('1', 'd1')], {'1': 'd1'});
+            expect(result).toEqual({updates: [], imports: [], conflicts: []});
+        });
+
+        it('applies edits to windows unchanged in TabFern', ()=>{
+            let result = BM.diff([{key: 'w1', digest: 'd1', isOpen: false}],
+                                    [mwin('1', 'edited')], {'1': 'd1'});
+            expect(result.updates).toEqual([{key: 'w1', record: {bm_id: '1',
+                        tabs: [{raw_url: 'https://x.example/'}]}}]);
+            expect(result.conflicts).toEqual([]);
+        });
+
+        it('keeps the TabFern version when both changed', ()=>{
+            let result = BM.diff([{key: 'w1', digest: 'changed', isOpen: false}],
+                                    [mwin('1', 'edited')], {'1': 'd1'});
+            expect(result.updates).toEqual([]);
+            expect(result.conflicts.length).toBe(1);
+        });
+
+        it('keeps the TabFern version of open windows', ()=>{
+            let result = BM.diff([{key: 'w1', digest: 'd1', isOpen: true}],
+                                    [mwin('1', 'edited')], {'1': 'd1'});
+            expect(result.updates).toEqual([]);
+            expect(result.conflicts.length).toBe(1);
+        });
+
+        it('imports subfolders it did not write', ()=>{
+            let result = BM.diff([{key: 'w1', digest: 'd1'}],
+                                    [mwin('1', 'd1'), mwin('2', 'new')],
+                                    {'1': 'd1'});
+            expect(result.imports.map((w)=>w.bm_id)).toEqual(['2']);
+        });
+
+        it('does not empty windows or import empty subfolders', ()=>{
+            let emptied = mwin('1', 'edited');
+            emptied.record.tabs = [];
+            let empty_new = mwin('2', 'new');
+            empty_new.record.tabs = [];
+
+            let result = BM.diff([{key: 'w1', digest: 'd1', isOpen: false}],
+                                    [emptied, empty_new], {'1': 'd1'});
+            expect(result.updates).toEqual([]);
+            expect(result.imports).toEqual([]);
+            since('TabFern should rewrite the emptied subfolder')
+            .expect(result.conflicts).toEqual([emptied]);
+        });
+
+        it('does not import windows it already has', ()=>{
+            let result = BM.diff([{key: 'w1', digest: 'd1'}],
+                                    [mwin('1', 'd1')], {});
+            expect(result.imports).toEqual([]);
+        });
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
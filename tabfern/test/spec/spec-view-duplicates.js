@@ -0,0 +1,60 @@
+// spec/view-duplicates.js: Test src/view/duplicates.js.
+
+describe('view/duplicates', function() {
+    let Modules={};     ///< loaded modules
+    let Dups;           ///< module under test
+
+    /// Items as hamFindDuplicates() makes them, in tree order
+    const ITEMS = [
+        {id: 'a1', url: 'https://A.example/page#top', time: 100, is_open: false},
+        {id: 'b1', url: 'https://b.example/', time: 200, is_open: true},
+        {id: 'a2', url: 'https://a.example:443/page', time: 300, is_open: true},
+        {id: 'n1', url: 'chrome://newtab/', is_open: true},
+        {id: 'c1', url: 'https://c.example/'},
+        {id: 'a3', url: 'https://a.example/page', is_open: true},
+        {id: 'n2', url: 'chrome://newtab/', is_open: true},
+    ];
+
+    beforeAll(R('view/duplicates', Modules,
+                ()=>{ Dups = Modules['view/duplicates']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(Dups).not.toBeUndefined();
+        expect(typeof Dups.findDuplicates).toBe('function');
+    });
+
+    it('normalizes URLs', ()=>{
+        expect(Dups.normalizeURL('HTTPS://Example.COM:443#x'))
+            .toBe('https://example.com/');
+        expect(Dups.normalizeURL('http://example.com/Path?q=1#frag'))
+            .toBe('http://example.com/Path?q=1');
+        expect(Dups.normalizeURL('not a url')).toBe('not a url');
+    });
+
+    it('finds the site of a URL', ()=>{
+        expect(Dups.siteOf('https://WWW.Example.com/a?b')).toBe('example.com');
+        expect(Dups.siteOf('http://docs.example.com:8080/')).toBe('docs.example.com');
+        expect(Dups.siteOf('about:blank')).toBeNull();
+        expect(Dups.siteOf('not a url')).toBeNull();
+    });
+
+    it('groups duplicates, skipping empty pages', ()=>{
+        let groups = Dups.findDuplicates(ITEMS);
+        expect(groups.length).toBe(1);
+        expect(groups[0].url).toBe('https://a.example/page');
+        expect(groups[0].items.map((item)=>item.id)).toEqual(['a1', 'a2', 'a3']);
+        expect(Dups.findDuplicates([])).toEqual([]);
+    });
+
+    it('picks the extras to remove', ()=>{
+        let group = Dups.findDuplicates(ITEMS)[0].items;
+        let ids = (how)=>Dups.extrasOf(group, how).map((item)=>item.id);
+
+        expect(ids(Dups.KEEP_FIRST)).toEqual(['a2', 'a3']);
+        expect(ids(Dups.KEEP_NEWEST)).toEqual(['a1', 'a3']);
+        expect(ids(Dups.CLOSE_OPEN)).toEqual(['a3']);
+        expect(Dups.extrasOf(group.slice(0, 2), Dups.CLOSE_OPEN)).toEqual([]);
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
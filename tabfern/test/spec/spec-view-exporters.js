@@ -0,0 +1,113 @@
+// spec/view-exporters.js: Test src/view/exporters.js.
+
+describe('view/exporters', function() {
+    let Modules={};     ///< loaded modules
+    let E;              ///< Exporters: module under test
+
+    /// A V2 save-data tree with a nested tab and a folder
+    const TREE = [
+        {   raw_title: null,
+            tabs: [
+                {   raw_title: 'A <b>', raw_url: 'https://a.example/?x=1&y=2',
+                    raw_bullet: 'read me', raw_notes: 'line one\nline two',
+                    children: [ {raw_title: 'Kid', raw_url: 'https://k.example/'} ]
+                },
+            ]
+        },
+        {   folder: true, raw_title: 'Projects',
+            wins: [
+                {   raw_title: 'Work', raw_notes: 'win notes',
+                    tabs: [ {raw_title: 'W', raw_url: 'https://w.example/',
+                            raw_favicon_url: 'https://w.example/f.ico'} ]
+                },
+            ]
+        },
+    ];
+
+    beforeAll(R('view/exporters', Modules,
+                ()=>{ E = Modules['view/exporters']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(E).not.toBeUndefined();
+        expect(typeof E.toBookmarksHTML).toBe('function');
+    });
+
+    it('exports Netscape bookmarks HTML', ()=>{
+        let html = E.toBookmarksHTML(TREE, {untitled_win: 'Saved tabs'});
+        expect(html).toMatch(/^<!DOCTYPE NETSCAPE-Bookmark-file-1>/);
+        expect(html).toContain('<DT><H3>Saved tabs</H3>');
+        expect(html).toContain(
+            '<DT><A HREF="https://a.example/?x=1&amp;y=2">A &lt;b&gt;</A>');
+        expect(html).toContain('<DD>read me\nline one\nline two\n');
+        expect(html).toContain('<DT><H3>Work</H3>\n        <DD>win notes\n');
+        expect(html).toContain('<DT><A HREF="https://k.example/">Kid</A>');
+        expect(html).toContain('<DT><H3>Projects</H3>');
+        expect(html).toContain('ICON_URI="https://w.example/f.ico"');
+
+        // Nested tabs are flattened in order
+        expect(html.indexOf('a.example')).toBeLessThan(html.indexOf('k.example'));
+    });
+
+    it('exports Markdown', ()=>{
+        let md = E.toMarkdown(TREE, {untitled_win: 'Saved tabs'});
+        expect(md).toContain('## Saved tabs\n');
+        expect(md).toContain(
+            '- [A \\<b\\>](https://a.example/?x=1&y=2) — read me\n' +
+            '  line one\n  line two\n');
+        expect(md).toContain('\n  - [Kid](https://k.example/)');
+        expect(md).toContain('## Projects\n');
+        expect(md).toContain('### Work\n\nwin notes\n\n');
+    });
+
+    it('exports plain URL lists', ()=>{
+        expect(E.toPlainText(TREE)).toBe(
+            'https://a.example/?x=1&y=2\nhttps://k.example/\n\n' +
+            'https://w.example/\n');
+    });
+
+    it('exports CSV', ()=>{
+        let rows = E.toCSV([{raw_title: 'Win, "one"', tabs: [
+            {raw_title: 'T', raw_url: 'https://t.example/', raw_bullet: 'b',
+                isPinned: true, bordered: true},
+            {raw_title: 'U', raw_url: 'https://u.example/', raw_notes: 'n\n2'},
+        ]}]).split('\r\n');
+        expect(rows[0]).toBe('Window,Title,URL,Bullet,Pinned,Bordered,Notes');
+        expect(rows[1]).toBe('"Win, ""one""",T,https://t.example/,b,true,true,');
+        expect(rows[2]).toBe('"Win, ""one""",U,https://u.example/,,false,false,"n\n2"');
+        expect(rows[3]).toBe('');
+    });
+
+    it('has a renderer for each text format', ()=>{
+        for(let id of ['markdown', 'text', 'csv']) {
+            expect(typeof E.text_formats[id].render).toBe('function');
+            expect(E.text_formats[id].extension).toBeTruthy();
+        }
+    });
+
+    it('round-trips through view/importers', (done)=>{
+        require(['view/importers'], (I)=>{
+            let result = I.convert(E.toBookmarksHTML(TREE));
+            expect(result).toBeTruthy();
+            expect(result.id).toBe('netscape-bookmarks');
+            expect(result.win_count).toBe(2);
+            expect(result.tab_count).toBe(3);
+
+            expect(result.wins[0].tabs.map((t)=>t.raw_url)).toEqual(
+                ['https://a.example/?x=1&y=2', 'https://k.example/']);
+            expect(result.wins[0].tabs[0].raw_title).toBe('A <b>');
+            expect(result.wins[0].tabs[0].raw_bullet).toBe('read me');
+            expect(result.wins[0].tabs[0].raw_notes).toBe('line one\nline two');
+            expect(result.wins[0].tabs[1].raw_notes).toBeUndefined();
+
+            expect(result.wins[1].folder).toBe(true);
+            expect(result.wins[1].raw_title).toBe('Projects');
+            expect(result.wins[1].wins[0].raw_title).toBe('Work');
+            expect(result.wins[1].wins[0].raw_notes).toBe('win notes');
+            expect(result.wins[1].wins[0].tabs[0].raw_favicon_url)
+                .toBe('https://w.example/f.ico');
+            done();
+        });
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
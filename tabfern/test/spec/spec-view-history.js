@@ -0,0 +1,63 @@
+// spec/view-history.js: Test the parts of src/view/history.js that don't
+// need chrome.storage.
+
+describe('view/history', function() {
+    let Modules={};     ///< loaded modules
+    let H;              ///< History: module under test
+
+    const MINUTE = 60*1000, HOUR = 60*MINUTE, DAY = 24*HOUR;
+
+    beforeAll(R('view/history', Modules,
+                ()=>{ H = Modules['view/history']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(H).not.toBeUndefined();
+    });
+
+    it('counts windows and tabs in V0, V1, and V2 save data', ()=>{
+        expect(H.counts([{text: 'w', tabs: [{}, {}]}])).toEqual(
+            {nwins: 1, ntabs: 2});
+        expect(H.counts({tabfern: 42, version: 1, tree: [
+            {raw_title: 'a', tabs: [{}]}, {raw_title: 'b', tabs: [{}, {}]},
+        ]})).toEqual({nwins: 2, ntabs: 3});
+        expect(H.counts({tabfern: 42, version: 2, tree: [
+            {raw_title: 'a', tabs: [{children: [{}, {children: [{}]}]}]},
+            {folder: true, raw_title: 'f', wins: [{tabs: [{}]}, {tabs: []}]},
+        ]})).toEqual({nwins: 3, ntabs: 5});
+        expect(H.counts(undefined)).toEqual({nwins: 0, ntabs: 0});
+    });
+
+    it('takes a snapshot once the newest one is a bucket old', ()=>{
+        let now = 1000*DAY;
+        expect(H.isDue(null, now)).toBe(true);
+        expect(H.isDue(now - 1*MINUTE, now)).toBe(false);
+        expect(H.isDue(now - 5*MINUTE + 1, now)).toBe(false);
+        expect(H.isDue(now - 5*MINUTE, now)).toBe(true);
+        expect(H.isDue(now - 2*DAY, now)).toBe(true);
+    });
+
+    it('stores each snapshot under its own key', ()=>{
+        expect(H.keyOf(1234)).not.toBe(H.STORAGE_KEY);
+        expect(H.keyOf(1234)).not.toBe(H.keyOf(1235));
+    });
+
+    it('keeps the newest snapshot per time bucket', ()=>{
+        let now = 1000*DAY;     // aligned to all the bucket sizes
+        let snaps = [
+            now - 1*MINUTE,     // kept: newest in its five-minute bucket
+            now - 2*MINUTE,     // same five-minute bucket
+            now - 7*MINUTE,     // kept
+            now - 2*HOUR - 1,   // kept: newest in its hour
+            now - 2*HOUR - 10*MINUTE,   // same hour
+            now - 3*DAY - 1,    // kept: newest in its day
+            now - 3*DAY - HOUR, // same day
+            now - 8*DAY,        // too old
+        ].map((time)=>({time}));
+
+        expect(H.prune(snaps, now).map((s)=>s.time)).toEqual([
+            now - 1*MINUTE, now - 7*MINUTE, now - 2*HOUR - 1, now - 3*DAY - 1
+        ]);
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
@@ -0,0 +1,132 @@
+// spec/view-importers.js: Test src/view/importers.js.
+
+describe('view/importers', function() {
+    let Modules={};     ///< loaded modules
+    let I;              ///< Importers: module under test
+
+    beforeAll(R('view/importers', Modules,
+                ()=>{ I = Modules['view/importers']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(I).not.toBeUndefined();
+        expect(typeof I.convert).toBe('function');
+    });
+
+    it('imports OneTab text', ()=>{
+        let text = 'https://example.com/ | Example\n' +
+                    'https://example.org/a|b | Title | with bars\n' +
+                    '\n' +
+                    'http://example.net/\n';
+        let result = I.convert(text);
+        expect(result).toBeTruthy();
+        expect(result.id).toBe('onetab');
+        expect(result.wins.length).toBe(2);
+        expect(result.tab_count).toBe(3);
+        expect(result.wins[0].tabs[0]).toEqual(
+            {raw_url: 'https://example.com/', raw_title: 'Example'});
+        expect(result.wins[0].tabs[1].raw_url).toBe('https://example.org/a|b');
+        expect(result.wins[0].tabs[1].raw_title).toBe('Title | with bars');
+        // Tabs without titles use the URL
+        expect(result.wins[1].tabs[0].raw_title).toBe('http://example.net/');
+    });
+
+    it('imports Session Buddy JSON', ()=>{
+        let text = JSON.stringify({
+            sessions: [
+                {   name: 'Research',
+                    windows: [
+                        { tabs: [ {url: 'https://a.example/', title: 'A',
+                                    pinned: true,
+                                    favIconUrl: 'https://a.example/f.ico'} ] },
+                        { tabs: [ {url: 'https://b.example/', title: 'B'} ] },
+                    ]
+                },
+                {   windows: [ { tabs: [] } ] },
+            ]
+        });
+        let result = I.convert(text);
+        expect(result).toBeTruthy();
+        expect(result.id).toBe('session-buddy');
+        expect(result.wins.length).toBe(2);     // empty windows are skipped
+        expect(result.wins[0].raw_title).toBe('Research (1)');
+        expect(result.wins[0].tabs[0]).toEqual({raw_url: 'https://a.example/',
+            raw_title: 'A', isPinned: true,
+            raw_favicon_url: 'https://a.example/f.ico'});
+    });
+
+    it('imports Tab Session Manager JSON', ()=>{
+        let text = JSON.stringify([
+            {   name: 'Work',
+                windows: {
+                    '12': {
+                        '7': {url: 'https://second.example/', title: '2', index: 1},
+                        '5': {url: 'https://first.example/', title: '1', index: 0,
+                                favIconUrl: 'data:image/png;base64,AAAA'},
+                    }
+                }
+            }
+        ]);
+        let result = I.convert(text);
+        expect(result).toBeTruthy();
+        expect(result.id).toBe('tab-session-manager');
+        expect(result.wins.length).toBe(1);
+        expect(result.wins[0].raw_title).toBe('Work');
+        // Tabs are in index order
+        expect(result.wins[0].tabs.map((t)=>t.raw_url)).toEqual(
+            ['https://first.example/', 'https://second.example/']);
+        // data: favicons are dropped
+        expect(result.wins[0].tabs[0].raw_favicon_url).toBeUndefined();
+    });
+
+    it('imports bookmarks HTML from a browser', ()=>{
+        let text = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<TITLE>Bookmarks</TITLE>',
+            '<H1>Bookmarks</H1>',
+            '<DL><p>',
+            '    <DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>',
+            '    <DL><p>',
+            '        <DT><A HREF="https://one.example/">One</A>',
+            '        <DT><H3>Deeper</H3>',
+            '        <DL><p>',
+            '            <DT><A HREF="https://two.example/">Two</A>',
+            '            <DD>second',
+            '        </DL><p>',
+            '    </DL><p>',
+            '    <DT><A HREF="https://loose.example/">Loose</A>',
+            '    <DT><A HREF="javascript:alert(1)">Bookmarklet</A>',
+            '    <DT><A HREF="place:sort=8&maxResults=10">Recent</A>',
+            '    <DT><A HREF="about:blank">Blank</A>',
+            '</DL><p>',
+        ].join('\n');
+        let result = I.convert(text);
+        expect(result).toBeTruthy();
+        expect(result.id).toBe('netscape-bookmarks');
+        expect(result.win_count).toBe(2);
+        since('bookmarklets and queries should be skipped')
+        .expect(result.tab_count).toBe(4);
+
+        // Deeper folders are flattened into their window
+        expect(result.wins[0].raw_title).toBe('Bookmarks bar');
+        expect(result.wins[0].tabs.map((t)=>t.raw_url)).toEqual(
+            ['https://one.example/', 'https://two.example/']);
+        expect(result.wins[0].tabs[1].raw_bullet).toBe('second');
+
+        // Bookmarks outside any folder go in an untitled window
+        expect(result.wins[1].raw_title).toBeNull();
+        expect(result.wins[1].tabs.map((t)=>t.raw_url)).toEqual(
+            ['https://loose.example/', 'about:blank']);
+    });
+
+    it('does not claim TabFern save data or junk', ()=>{
+        expect(I.convert(JSON.stringify(
+            {tabfern: 42, version: 1, tree: []}))).toBeNull();
+        expect(I.convert(JSON.stringify(
+            [{text: 'win', tabs: [{text: 'tab', url: 'https://x.example/'}]}]
+        ))).toBeNull();
+        expect(I.convert('this is not a URL list')).toBeNull();
+        expect(I.convert('')).toBeNull();
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
@@ -149,6 +149,7 @@ describe('view/model', function() {
             expect($node.hasClass('tfs-open')).toBe(true);
             expect(this.tab_val.tab_id).toBe(ctab.id);
             expect(this.tab_val.isOpen).toBe(true);
+            expect(this.tab_val.time_opened).toBeGreaterThan(0);
             expect($node.find('a').first().text()).toMatch(/^Jasmine\b/);
 
             let parent_val = D.windows.by_win_id(ctab.windowId);
@@ -160,6 +161,46 @@ describe('view/model', function() {
     // TODO test opening a second window with the same tab URL, and making sure
     // the first window keeps the corresponding ordered_url_hash.
 
+    it('can mark a tab as activated',()=>{
+        let before = Date.now();
+        expect(M.markTabAsActivated(this.tab_node_id)).toBe(true);
+        expect(this.tab_val.time_activated).not.toBeLessThan(before);
+    });
+
+    it('can set and clear the color of a tab',()=>{
+        expect(M.set_color(this.tab_node_id, '#E53935')).toBe(true);
+        expect(this.tab_val.color).toBe('#e53935');
+        since('the DOM node should have .tfs-colored')
+        .expect($('#'+this.tab_node_id).hasClass('tfs-colored')).toBe(true);
+        expect(M.get_html_label(this.tab_val)).toContain(K.COLOR_STRIPE_CLASS);
+
+        since('colors must be #rrggbb')
+        .expect(M.set_color(this.tab_node_id, 'red')).toBe(false);
+        expect(this.tab_val.color).toBe('#e53935');
+
+        expect(M.set_color(this.tab_node_id, null)).toBe(true);
+        expect(this.tab_val.color).toBeUndefined();
+        expect($('#'+this.tab_node_id).hasClass('tfs-colored')).toBe(false);
+        expect(M.get_html_label(this.tab_val)).not.toContain(K.COLOR_STRIPE_CLASS);
+    });
+
+    it('highlights search matches in labels',()=>{
+        let saved_title = this.tab_val.raw_title;
+        this.tab_val.raw_title = 'Foo<b>foo';
+
+        M.set_search_highlight(/foo/i);
+        let label = M.get_html_label(this.tab_val);
+        M.set_search_highlight(null);
+
+        expect(label).toContain('<mark class="' + K.SEARCH_HIT_CLASS +
+            '">Foo</mark>&lt;b&gt;<mark class="' + K.SEARCH_HIT_CLASS +
+            '">foo</mark>');
+        since('highlighting should stop once the search is cleared')
+        .expect(M.get_html_label(this.tab_val)).not.toContain('<mark');
+
+        this.tab_val.raw_title = saved_title;
+    });
+
     it('can mark a tab as closed',()=>{
         let $node = $('#'+this.tab_node_id).eq(0);
         expect($node.hasClass('tfs-open')).toBe(true);
@@ -230,6 +271,113 @@ describe('view/model', function() {
         this.win_node_id = undefined;
     });
 
+    it('can nest tabs under tabs',()=>{
+        let win_vn = M.vnRezWin();
+        expect(win_vn.val).toBeTruthy();
+        let tab1 = M.vnRezTab(win_vn.val);
+        let tab1a = M.vnRezTab(tab1.val);
+        let tab1a1 = M.vnRezTab(tab1a.node_id);
+        let tab2 = M.vnRezTab(win_vn.node_id);
+        for(let vn of [tab1, tab1a, tab1a1, tab2]) {
+            expect(vn.node_id).toBeTruthy();
+        }
+
+        since('a nested tab should know its window')
+        .expect(M.vn_win_of(tab1a1.val).node_id).toBe(win_vn.node_id);
+        since('a window is its own window')
+        .expect(M.vn_win_of(win_vn.node_id).node_id).toBe(win_vn.node_id);
+
+        since('tabs should be listed depth-first')
+        .expect(M.tab_node_ids_of(win_vn.node_id)).toEqual(
+            [tab1.node_id, tab1a.node_id, tab1a1.node_id, tab2.node_id]);
+
+        expect(M.flattenTabs(win_vn.val)).toBe(true);
+        since('flattening should keep the depth-first order')
+        .expect(T.treeobj.get_node(win_vn.node_id).children).toEqual(
+            [tab1.node_id, tab1a.node_id, tab1a1.node_id, tab2.node_id]);
+
+        // Re-nest so we can check that erasing takes the children along
+        T.treeobj.move_node(tab1a1.node_id, tab1.node_id);
+        expect(M.eraseTab(tab1.node_id)).toBe(true);
+        since('nested tabs should be erased with their parent')
+        .expect(D.tabs.by_node_id(tab1a1.node_id)).toBeFalsy();
+        expect(M.tab_node_ids_of(win_vn.node_id)).toEqual(
+            [tab1a.node_id, tab2.node_id]);
+
+        expect(M.eraseWin(win_vn.node_id)).toBe(true);
+    });
+
+    it('can restore the nesting of flattened tabs',()=>{
+        let win_vn = M.vnRezWin();
+        let tab1 = M.vnRezTab(win_vn.val);
+        let tab1a = M.vnRezTab(tab1.val);
+        let tab1a1 = M.vnRezTab(tab1a.node_id);
+        let tab1b = M.vnRezTab(tab1.node_id);
+        let tab2 = M.vnRezTab(win_vn.node_id);
+
+        expect(M.flattenTabs(win_vn.val)).toBe(true);
+        since('flattening should record the parents')
+        .expect(Array.from(M.nesting_of(win_vn.node_id))).toEqual([
+            [tab1a.node_id, tab1.node_id],
+            [tab1a1.node_id, tab1a.node_id],
+            [tab1b.node_id, tab1.node_id],
+        ]);
+
+        expect(M.restoreNesting(win_vn.val)).toBe(true);
+        since('restoring should put the tabs back in their places')
+        .expect(T.treeobj.get_node(win_vn.node_id).children).toEqual(
+            [tab1.node_id, tab2.node_id]);
+        expect(T.treeobj.get_node(tab1.node_id).children).toEqual(
+            [tab1a.node_id, tab1b.node_id]);
+        expect(T.treeobj.get_node(tab1a.node_id).children).toEqual(
+            [tab1a1.node_id]);
+        since('restoring should forget the recorded parents')
+        .expect(M.nesting_of(win_vn.node_id).size).toBe(0);
+
+        // Tabs moved above their parent while flat stay where they are
+        M.flattenTabs(win_vn.val);
+        T.treeobj.move_node(tab1b.node_id, win_vn.node_id, 0);
+        tab1a.val.isPinned = true;
+        expect(M.restoreNesting(win_vn.val)).toBe(true);
+        since('only tabs after unpinned parents should be nested')
+        .expect(T.treeobj.get_node(win_vn.node_id).children).toEqual(
+            [tab1b.node_id, tab1.node_id, tab1a.node_id, tab1a1.node_id,
+                tab2.node_id]);
+
+        expect(M.eraseWin(win_vn.node_id)).toBe(true);
+    });
+
+    it('can rez and erase folders holding windows',()=>{
+        let folder_vn = M.vnRezFolder(false, 'My folder');
+        expect(folder_vn.val).toBeTruthy();
+        expect(folder_vn.node_id).toBeTruthy();
+        expect(folder_vn.val.ty).toBe(K.IT_FOLDER);
+        expect(D.val_by_node_id(folder_vn.node_id)).toBe(folder_vn.val);
+        expect(M.get_raw_text(folder_vn.val)).toBe('My folder');
+
+        let win1 = M.vnRezWin(false, folder_vn.val);
+        let win0 = M.vnRezWin(true, folder_vn.node_id);
+        expect(win1.node_id).toBeTruthy();
+        expect(win0.node_id).toBeTruthy();
+        since('windows should be rezzed inside the folder, in order')
+        .expect(T.treeobj.get_node(folder_vn.node_id).children).toEqual(
+            [win0.node_id, win1.node_id]);
+
+        let tab = M.vnRezTab(win1.val);
+        expect(tab.node_id).toBeTruthy();
+
+        since('a window cannot be rezzed in a window')
+        .expect(M.vnRezWin(false, win0.node_id)).toEqual(M.VN_NONE);
+
+        since('erasing should succeed')
+        .expect(M.eraseFolder(folder_vn.node_id)).toBe(true);
+        for(let node_id of [folder_vn.node_id, win0.node_id, win1.node_id,
+                            tab.node_id]) {
+            since('the details record should be gone')
+            .expect(D.val_by_node_id(node_id)).toBeFalsy();
+        }
+    });
+
     afterAll(()=>{
         this.$div.remove();
     });
@@ -0,0 +1,41 @@
+// spec/view-palette.js: Test src/view/palette.js.
+
+describe('view/palette', function() {
+    let Modules={};     ///< loaded modules
+    let P;              ///< module under test
+
+    beforeAll(R('view/palette', Modules, ()=>{ P = Modules['view/palette']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(P).not.toBeUndefined();
+        expect(typeof P.rank).toBe('function');
+    });
+
+    it('matches characters in order, ignoring case and spaces', ()=>{
+        expect(P.match('gml', 'Gmail').positions).toEqual([0, 1, 4]);
+        expect(P.match('sort az', 'Sort: A-Z')).toBeTruthy();
+        expect(P.match('lmg', 'Gmail')).toBeNull();
+        expect(P.match('x', '')).toBeNull();
+        expect(P.match('', 'Gmail').score).toBe(0);
+    });
+
+    it('prefers word starts and consecutive characters', ()=>{
+        expect(P.match('ex', 'Expand all').score)
+            .toBeGreaterThan(P.match('ex', 'Some text').score);
+        expect(P.match('back', 'Backup now').score)
+            .toBeGreaterThan(P.match('back', 'Brand archive key').score);
+    });
+
+    it('ranks entries best first, keeping ties in order', ()=>{
+        let entries = [
+            {text: 'Some text'}, {text: 'Expand all'}, {text: 'Collapse all'},
+            {text: 'Exit'}, {text: 'Nothing'},
+        ];
+        expect(P.rank(entries, 'ex').map((r)=>r.entry.text)).toEqual(
+            ['Expand all', 'Exit', 'Some text']);
+        expect(P.rank(entries, '').map((r)=>r.entry)).toEqual(entries);
+        expect(P.rank(entries, '', 2).length).toBe(2);
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
@@ -0,0 +1,70 @@
+// spec/view-restore-preview.js: Test src/view/restore_preview.js.
+
+describe('view/restore_preview', function() {
+    let Modules={};     ///< loaded modules
+    let RP;             ///< RestorePreview: module under test
+
+    /// A V2 save-data tree with a nested tab and a folder
+    const TREE = [
+        {   raw_title: 'One',
+            tabs: [
+                {   raw_title: 'A', raw_url: 'https://a.example/',
+                    children: [ {raw_title: 'Kid', raw_url: 'https://k.example/'} ]
+                },
+            ]
+        },
+        {   folder: true, raw_title: 'Projects',
+            wins: [
+                { raw_title: 'Work', tabs: [ {raw_url: 'https://w.example/'} ] },
+                { tabs: [ {raw_title: 'No URL'} ] },
+            ]
+        },
+    ];
+
+    beforeAll(R('view/restore_preview', Modules,
+                ()=>{ RP = Modules['view/restore_preview']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(RP).not.toBeUndefined();
+        expect(typeof RP.entriesOf).toBe('function');
+    });
+
+    it('gets the tree from save data of each version', ()=>{
+        expect(RP.treeOf([{text: 'W', tabs: [{text: 'T', url: 'https://t.example/'}]}]))
+            .toEqual([{raw_title: 'W',
+                        tabs: [{raw_title: 'T', raw_url: 'https://t.example/'}]}]);
+
+        let v1 = RP.treeOf({tabfern: 42, version: 1, tree: [
+            {raw_title: 'W', tabs: [{raw_url: 'https://t.example/', children: [{}]}]}
+        ]});
+        expect(v1[0].tabs[0].children).toBeUndefined();
+
+        expect(RP.treeOf({tabfern: 42, version: 2, tree: TREE})).toEqual(TREE);
+        expect(RP.treeOf({tabfern: 42, version: 99, tree: []})).toBeNull();
+        expect(RP.treeOf({some: 'thing'})).toBeNull();
+    });
+
+    it('lists windows and folders', ()=>{
+        let entries = RP.entriesOf(TREE);
+        expect(entries.map((e)=>e.path)).toEqual(['0', '1', '1/0', '1/1']);
+        expect(entries[0].ntabs).toBe(2);
+        expect(entries[0].urls).toEqual(['https://a.example/', 'https://k.example/']);
+        expect(entries[1].is_folder).toBe(true);
+        expect(entries[1].ntabs).toBe(2);
+        expect(entries[2].folder_path).toBe('1');
+        expect(entries[3].raw_title).toBeNull();
+        expect(entries[3].urls).toBeNull();     // A tab without a URL
+    });
+
+    it('keeps only the selected windows', ()=>{
+        expect(RP.filterTree(TREE, new Set(['1/0']))).toEqual([
+            {folder: true, raw_title: 'Projects', wins: [TREE[1].wins[0]]}
+        ]);
+        expect(RP.filterTree(TREE, new Set(['0']))).toEqual([TREE[0]]);
+        expect(RP.filterTree(TREE, new Set(['1'])))
+            .toEqual([{folder: true, raw_title: 'Projects', wins: []}]);
+        expect(RP.filterTree(TREE, new Set())).toEqual([]);
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
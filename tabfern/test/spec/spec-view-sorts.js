@@ -0,0 +1,166 @@
+// spec/view-sorts.js: Test src/view/sorts.js.
+
+describe('view/sorts', function() {
+    let Modules={};     ///< loaded modules
+    let S;              ///< Sorts: module under test
+    let M;              ///< view/model
+    let K;              ///< view/const
+    let T;              ///< view/item_tree
+    let $;              ///< jQuery
+
+    beforeAll(R(['jquery','jstree','view/sorts', 'view/model', 'view/const',
+                    'view/item_tree', 'view/item_details'],
+            Modules,
+            ()=>{
+                S = Modules['view/sorts'];
+                M = Modules['view/model'];
+                K = Modules['view/const'];
+                T = Modules['view/item_tree'];
+                $ = Modules['jquery'];
+
+                this.$div = $('<div />').appendTo('body');
+                T.create(this.$div, true);
+                    // true = check-callback => allow all
+            }
+    ));
+
+    /// Rez a window for each of #titles, in order.
+    /// @return {Array} the node IDs of the windows
+    function rezWins(...titles)
+    {
+        return titles.map((title)=>{
+            let vn = M.vnRezWin();
+            vn.val.raw_title = title;
+            M.vnRezTab(vn.val);
+            M.refresh_label(vn.val);
+            return vn.node_id;
+        });
+    } //rezWins
+
+    /// Sort a copy of #node_ids by #cmp.
+    function sorted(node_ids, cmp)
+    {
+        let retval = node_ids.slice();
+        S.stable_sort(retval, cmp);
+        return retval;
+    } //sorted
+
+    it('can be loaded successfully', ()=>{
+        expect(S).not.toBeUndefined();
+        expect(typeof S.compare_node_text).toBe('function');
+    });
+
+    it('sorts colored windows by name', ()=>{
+        let [banana, apple, cherry] = rezWins('banana', 'Apple', 'cherry');
+        expect(M.set_color(banana, '#e53935')).toBe(true);
+        since('the label should have the color stripe')
+        .expect(T.treeobj.get_node(banana).text)
+            .toContain(K.COLOR_STRIPE_CLASS);
+
+        since('the color should not change the A-Z order')
+        .expect(sorted([banana, apple, cherry], S.compare_node_text))
+            .toEqual([apple, banana, cherry]);
+        expect(sorted([banana, apple, cherry], S.compare_node_text_desc))
+            .toEqual([cherry, banana, apple]);
+
+        M.set_search_highlight(/r/);
+        M.refresh_label(cherry);
+        since('search highlights should not change the order')
+        .expect(sorted([cherry, banana, apple], S.compare_node_text))
+            .toEqual([apple, banana, cherry]);
+        M.set_search_highlight(null);
+
+        for(let node_id of [banana, apple, cherry]) M.eraseWin(node_id);
+    });
+
+    it('keeps colored windows in place in the window sort modes', ()=>{
+        let [w10, w9, plain] = rezWins('Window 10', 'window 9', 'Window 2');
+        M.set_color(w10, '#43a047');
+        M.set_color(w9, '#e53935');
+
+        since('A-Z compares digits as text')
+        .expect(sorted([w10, w9, plain], S.window_sort_modes['az']))
+            .toEqual([w10, plain, w9]);
+        since('natural order compares digits as numbers')
+        .expect(sorted([w10, w9, plain], S.window_sort_modes['natural']))
+            .toEqual([plain, w9, w10]);
+        expect(sorted([w10, w9, plain], S.compare_node_natural_desc))
+            .toEqual([w10, w9, plain]);
+
+        for(let node_id of [w10, w9, plain]) M.eraseWin(node_id);
+    });
+
+    it('sorts open windows by name', ()=>{
+        let [banana, apple, cherry] = rezWins('banana', 'Apple', 'cherry');
+        M.set_color(cherry, '#1e88e5');
+        M.get_node_val(banana).isOpen = true;
+        M.get_node_val(cherry).isOpen = true;
+
+        since('open windows should come first, by name')
+        .expect(sorted([apple, cherry, banana], S.open_windows_to_top))
+            .toEqual([banana, cherry, apple]);
+
+        for(let node_id of [banana, apple, cherry]) {
+            M.get_node_val(node_id).isOpen = false;
+            M.eraseWin(node_id);
+        }
+    });
+
+    describe('tab sorts', ()=>{
+        let win_node_id;
+        let tabs;   ///< tab node IDs, by name
+
+        beforeAll(()=>{
+            let win_vn = M.vnRezWin();
+            win_node_id = win_vn.node_id;
+            tabs = {};
+            for(let [name, raw_title, raw_url] of [
+                ['zeta', 'zeta', 'https://a.example/z'],
+                ['beta', 'beta', 'https://www.b.example/2'],
+                ['Alpha', 'Alpha', 'https://a.example/z'],
+                ['untitled', null, 'https://b.example/1'],
+                ['alpha', 'alpha', undefined],
+                ['empty', null, undefined],
+            ]) {
+                let vn = M.vnRezTab(win_vn.val);
+                vn.val.raw_title = raw_title;
+                vn.val.raw_url = raw_url;
+                tabs[name] = vn.node_id;
+            }
+        });
+
+        afterAll(()=>{ M.eraseWin(win_node_id); });
+
+        /// The names of the tabs, sorted by #cmp
+        let names_sorted_by = (cmp)=>{
+            let by_id = {};
+            for(let name in tabs) by_id[tabs[name]] = name;
+            return sorted(Object.values(tabs), cmp).map((id)=>by_id[id]);
+        };
+
+        it('sorts by title, then URL if there is no title', ()=>{
+            since('equal titles keep their order; tabs with neither go last')
+            .expect(names_sorted_by(S.compare_tab_title)).toEqual(
+                ['Alpha', 'alpha', 'beta', 'untitled', 'zeta', 'empty']);
+        });
+
+        it('sorts by site, then URL', ()=>{
+            since('"www." is ignored; tabs without URLs go last')
+            .expect(names_sorted_by(S.compare_tab_domain)).toEqual(
+                ['zeta', 'Alpha', 'untitled', 'beta', 'alpha', 'empty']);
+        });
+
+        it('sorts by URL', ()=>{
+            since('equal URLs keep their order; tabs without URLs go last')
+            .expect(names_sorted_by(S.compare_tab_url)).toEqual(
+                ['zeta', 'Alpha', 'untitled', 'beta', 'alpha', 'empty']);
+        });
+
+        it('sorts tabs before other items', ()=>{
+            expect(S.compare_tab_url(win_node_id, tabs.alpha)).toBeGreaterThan(0);
+            expect(S.compare_tab_url(tabs.empty, win_node_id)).toBeLessThan(0);
+        });
+    });
+});
+
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //
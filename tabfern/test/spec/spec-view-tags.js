@@ -0,0 +1,44 @@
+// spec/view-tags.js: Test src/view/tags.js.
+
+describe('view/tags', function() {
+    let Modules={};     ///< loaded modules
+    let Tags;           ///< module under test
+
+    beforeAll(R('view/tags', Modules, ()=>{ Tags = Modules['view/tags']; }));
+
+    it('can be loaded successfully', ()=>{
+        expect(Tags).not.toBeUndefined();
+        expect(typeof Tags.parse).toBe('function');
+    });
+
+    it('parses comma-separated tags', ()=>{
+        expect(Tags.parse(' work,  to   read ,, Work, home ')).toEqual(
+            ['work', 'to read', 'home']);
+        expect(Tags.parse('')).toEqual([]);
+    });
+
+    it('normalizes stored tags', ()=>{
+        expect(Tags.normalize(['a', 42, ' ', null, 'A', 'b'])).toEqual(['a', 'b']);
+        expect(Tags.normalize('a, b')).toEqual([]);
+        expect(Tags.normalize(undefined)).toEqual([]);
+    });
+
+    it('formats tags for editing', ()=>{
+        expect(Tags.format(['work', 'to read'])).toBe('work, to read');
+        expect(Tags.parse(Tags.format(['work', 'to read']))).toEqual(
+            ['work', 'to read']);
+    });
+
+    it('matches tags case-insensitively', ()=>{
+        expect(Tags.matchesAny(['Work', 'home'], ['work'])).toBe(true);
+        expect(Tags.matchesAny(['home'], ['work', 'play'])).toBe(false);
+        expect(Tags.matchesAny(undefined, ['work'])).toBe(false);
+    });
+
+    it('lists all the tags in use', ()=>{
+        expect(Tags.union([['b', 'A'], undefined, ['a', 'c']])).toEqual(
+            ['A', 'b', 'c']);
+    });
+
+});
+// vi: set ts=4 sts=4 sw=4 et ai fo-=o fo-=r: //